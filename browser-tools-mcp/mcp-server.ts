@@ -2,15 +2,32 @@
 
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import type { RequestHandlerExtra } from "@modelcontextprotocol/sdk/shared/protocol.js";
+import {
+  isInitializeRequest,
+  ServerNotification,
+  ServerRequest,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import {
+  AUDIT_CATEGORY_TOOLS,
+  buildAuditPrompt,
+  buildDebuggerPrompt,
+  buildNextJSAuditPrompt,
+  parseAuditCategories,
+  parseMaxIterations,
+} from "./prompts.js";
+import express from "express";
+import cors from "cors";
+import { randomBytes, randomUUID, timingSafeEqual } from "crypto";
 import path from "path";
+import os from "os";
 import fs from "fs";
 
-// Create the MCP server
-const server = new McpServer({
-  name: "Browser Tools MCP",
-  version: "1.2.0",
-});
-
 // Track the discovered server connection
 let discoveredHost = "127.0.0.1";
 let discoveredPort = 3025;
@@ -112,6 +129,55 @@ async function discoverServer(): Promise<boolean> {
   return false;
 }
 
+// ===== Pairing =====
+
+// Raised when the connector rejects our pairing token. Rediscovering the
+// server can't fix it, so tools report it as is.
+class PairingError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "PairingError";
+  }
+}
+
+// Reads the connector's pairing token from BROWSER_TOOLS_TOKEN or the file
+// the connector saves it to. It is read for every request, so a connector
+// started after this server is picked up.
+function getPairingToken(): string | undefined {
+  if (process.env.BROWSER_TOOLS_TOKEN) {
+    return process.env.BROWSER_TOOLS_TOKEN;
+  }
+  const tokenFile =
+    process.env.BROWSER_TOOLS_TOKEN_FILE ||
+    path.join(os.homedir(), ".browser-tools", "token");
+  try {
+    return fs.readFileSync(tokenFile, "utf8").trim() || undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// fetch() for connector endpoints, presenting the pairing token
+async function fetchConnector(
+  url: string,
+  init: RequestInit = {}
+): Promise<Response> {
+  const headers = new Headers(init.headers);
+  const token = getPairingToken();
+  if (token) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+
+  const response = await fetch(url, { ...init, headers });
+  if (response.status === 401) {
+    const json = await response.json().catch(() => ({}));
+    throw new PairingError(
+      json.error || "The browser connector rejected the pairing token"
+    );
+  }
+  return response;
+}
+
 // Wrapper function to ensure server connection before making requests
 async function withServerConnection<T>(
   apiCall: () => Promise<T>
@@ -136,6 +202,13 @@ async function withServerConnection<T>(
   try {
     return await apiCall();
   } catch (error: any) {
+    if (error instanceof PairingError) {
+      return {
+        content: [{ type: "text", text: error.message }],
+        isError: true,
+      };
+    }
+
     // If the request fails, try rediscovering the server once
     console.error(
       `API call failed: ${error.message}. Attempting rediscovery...`
@@ -174,384 +247,834 @@ async function withServerConnection<T>(
   }
 }
 
-// We'll define our tools that retrieve data from the browser connector
-server.tool("getConsoleLogs", "Check our browser logs", async () => {
-  return await withServerConnection(async () => {
-    const response = await fetch(
-      `http://${discoveredHost}:${discoveredPort}/console-logs`
-    );
-    const json = await response.json();
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify(json, null, 2),
-        },
-      ],
-    };
-  });
-});
-
-server.tool(
-  "getConsoleErrors",
-  "Check our browsers console errors",
-  async () => {
-    return await withServerConnection(async () => {
-      const response = await fetch(
-        `http://${discoveredHost}:${discoveredPort}/console-errors`
-      );
-      const json = await response.json();
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(json, null, 2),
-          },
-        ],
-      };
-    });
+// Selects one of several inspected tabs; accepted by every tool
+const tabOption = {
+  tabId: z
+    .number()
+    .int()
+    .optional()
+    .describe(
+      "Chrome tab to target, from listTabs. Defaults to the tab whose DevTools panel was most recently active"
+    ),
+};
+
+// What a screenshot captures; the visible viewport when none is set
+const screenshotTargetOptions = {
+  fullPage: z
+    .boolean()
+    .optional()
+    .describe("Capture the whole scrollable page, not just the viewport"),
+  selector: z
+    .string()
+    .optional()
+    .describe("Capture the first element matching this CSS selector"),
+  selectedElement: z
+    .boolean()
+    .optional()
+    .describe(
+      "Capture the element currently selected in the DevTools Elements panel"
+    ),
+  clip: z
+    .object({
+      x: z.number().min(0),
+      y: z.number().min(0),
+      width: z.number().positive(),
+      height: z.number().positive(),
+    })
+    .optional()
+    .describe(
+      "Capture this region, in CSS pixels from the top-left corner of the page"
+    ),
+};
+
+// Filters accepted by the connector's console log endpoints
+const consoleLogFilters = {
+  ...tabOption,
+  level: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Only return entries with these console levels, e.g. ["warning", "error"]'
+    ),
+  severity: z
+    .array(z.enum(["verbose", "info", "warning", "error"]))
+    .optional()
+    .describe(
+      'Only return entries with these severities. "verbose" covers console.debug, and "error" includes console.assert failures'
+    ),
+  source: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Only return entries from these sources: "console-api" for console calls, "javascript" for uncaught exceptions, or a browser source such as "security" (CSP), "deprecation", "intervention", "violation", "network" or "recommendation"'
+    ),
+  message: z
+    .string()
+    .optional()
+    .describe(
+      "Case-insensitive regular expression matched against the message"
+    ),
+  since: z
+    .string()
+    .optional()
+    .describe(
+      "Only return entries logged at or after this time (ISO 8601 or epoch milliseconds)"
+    ),
+  sinceLastNavigation: z
+    .boolean()
+    .optional()
+    .describe(
+      "Only return entries logged since the page last navigated or reloaded"
+    ),
+  cursor: z
+    .string()
+    .optional()
+    .describe(
+      "nextCursor from a previous call, to fetch the entries that didn't fit on that page"
+    ),
+  limit: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe("Maximum number of entries to return on this page"),
+  tokenBudget: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(
+      "Maximum number of tokens to spend on entries. Entries that don't fit are left for the next page, and an oversized first entry has its bodies shortened"
+    ),
+};
+
+// Filters accepted by the connector's network log endpoints
+const networkLogFilters = {
+  ...tabOption,
+  url: z
+    .string()
+    .optional()
+    .describe(
+      'URL glob to match, e.g. "*/api/*" ("*" matches anything, "?" one character)'
+    ),
+  method: z
+    .array(z.string())
+    .optional()
+    .describe('Only return requests with these HTTP methods, e.g. ["POST"]'),
+  resourceType: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Only return requests of these Chrome resource types, e.g. ["script", "stylesheet"] for a failed bundle or ["xhr", "fetch"] for API calls. Other types include "document", "image", "font", "media" and "eventsource"'
+    ),
+  statusMin: z
+    .number()
+    .int()
+    .optional()
+    .describe(
+      "Only return responses with a status code at or above this value"
+    ),
+  statusMax: z
+    .number()
+    .int()
+    .optional()
+    .describe(
+      "Only return responses with a status code at or below this value"
+    ),
+  message: z
+    .string()
+    .optional()
+    .describe(
+      "Case-insensitive regular expression matched against the request and response bodies"
+    ),
+  since: consoleLogFilters.since,
+  sinceLastNavigation: consoleLogFilters.sinceLastNavigation,
+  cursor: consoleLogFilters.cursor,
+  limit: consoleLogFilters.limit,
+  tokenBudget: consoleLogFilters.tokenBudget,
+};
+
+// Device options accepted by the connector's audit endpoints
+const auditOptions = {
+  ...tabOption,
+  url: z
+    .string()
+    .optional()
+    .describe(
+      "Absolute URL to audit, defaults to the page open in the inspected tab"
+    ),
+  formFactor: z
+    .enum(["desktop", "mobile"])
+    .optional()
+    .describe("Device to emulate, defaults to desktop"),
+  throttling: z
+    .enum(["mobile-slow-4g", "mobile-3g", "desktop", "none"])
+    .optional()
+    .describe(
+      "Network and CPU throttling preset, defaults to mobile-slow-4g for mobile and desktop for desktop"
+    ),
+  viewport: z
+    .object({
+      width: z.number().int().positive(),
+      height: z.number().int().positive(),
+      deviceScaleFactor: z.number().positive().optional(),
+    })
+    .optional()
+    .describe("Emulated screen size, defaults to the form factor's screen"),
+};
+
+// Paging and budget arguments for audits whose issue list is split across pages
+const auditPageOptions = {
+  cursor: z
+    .string()
+    .optional()
+    .describe(
+      "pagination.nextCursor from a previous run of the same audit, to fetch the next page of its results without re-running it"
+    ),
+  limit: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe("Maximum number of issues or opportunities per page"),
+  tokenBudget: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(
+      "Maximum number of tokens for the report. Issues or opportunities that don't fit are left for the next page"
+    ),
+};
+
+// Arguments for reading the connector's on-disk log history. Entries can be
+// narrowed with any of the console and network filters.
+const logHistoryFilters = {
+  ...tabOption,
+  session: z
+    .string()
+    .optional()
+    .describe(
+      'Connector session to read: "current" (default), "previous" for the run before the last restart, or an id from listLogSessions'
+    ),
+  navigation: z
+    .string()
+    .optional()
+    .describe(
+      'Page load within the session: "all" (default), "current", "previous" for the load before the last reload, or a number from listLogSessions'
+    ),
+  kind: z
+    .array(
+      z.enum([
+        "console-log",
+        "console-error",
+        "network-error",
+        "network-success",
+      ])
+    )
+    .optional()
+    .describe("Only return these kinds of entries, defaults to all"),
+  level: consoleLogFilters.level,
+  severity: consoleLogFilters.severity,
+  source: consoleLogFilters.source,
+  url: networkLogFilters.url,
+  method: networkLogFilters.method,
+  resourceType: networkLogFilters.resourceType,
+  statusMin: networkLogFilters.statusMin,
+  statusMax: networkLogFilters.statusMax,
+  message: z
+    .string()
+    .optional()
+    .describe(
+      "Case-insensitive regular expression matched against console messages and network bodies"
+    ),
+  since: consoleLogFilters.since,
+  cursor: consoleLogFilters.cursor,
+  limit: consoleLogFilters.limit,
+  tokenBudget: consoleLogFilters.tokenBudget,
+};
+
+// Turns tool arguments into a query string for the connector's log endpoints
+function buildLogQueryString(filters: Record<string, unknown>): string {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined || value === null || value === "") continue;
+    params.set(key, Array.isArray(value) ? value.join(",") : String(value));
   }
-);
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
 
-server.tool("getNetworkErrors", "Check our network ERROR logs", async () => {
-  return await withServerConnection(async () => {
-    const response = await fetch(
-      `http://${discoveredHost}:${discoveredPort}/network-errors`
-    );
-    const json = await response.json();
+// Fetches a filtered log endpoint and formats the entries as a tool result
+async function fetchFilteredLogs(
+  endpoint: string,
+  filters: Record<string, unknown>,
+  isError: boolean = false
+) {
+  const response = await fetchConnector(
+    `http://${discoveredHost}:${discoveredPort}${endpoint}${buildLogQueryString(
+      filters
+    )}`
+  );
+  const json = await response.json();
+
+  // The connector rejects malformed filters (e.g. an invalid regex) with a 400
+  if (response.status === 400) {
     return {
       content: [
         {
-          type: "text",
-          text: JSON.stringify(json, null, 2),
+          type: "text" as const,
+          text: `Invalid log filter: ${json.error}`,
         },
       ],
       isError: true,
     };
-  });
-});
+  }
 
-server.tool("getNetworkLogs", "Check ALL our network logs", async () => {
-  return await withServerConnection(async () => {
-    const response = await fetch(
-      `http://${discoveredHost}:${discoveredPort}/network-success`
-    );
-    const json = await response.json();
+  // e.g. the log history endpoints while the log store is disabled
+  if (!response.ok) {
     return {
       content: [
         {
-          type: "text",
-          text: JSON.stringify(json, null, 2),
+          type: "text" as const,
+          text: json.error || `Request failed with status ${response.status}`,
         },
       ],
+      isError: true,
     };
+  }
+
+  return {
+    content: [
+      {
+        type: "text" as const,
+        text: JSON.stringify(json, null, 2),
+      },
+    ],
+    ...(isError && { isError: true }),
+  };
+}
+
+// Runs an audit on the connector and returns its JSON result. Audit phases
+// are relayed as MCP progress notifications when the client asked for them,
+// and cancelling the tool call aborts the request, which stops the Lighthouse
+// run on the connector.
+async function runAuditRequest(
+  endpoint: string,
+  body: Record<string, unknown>,
+  extra: RequestHandlerExtra<ServerRequest, ServerNotification>
+): Promise<any> {
+  const url = `http://${discoveredHost}:${discoveredPort}${endpoint}`;
+  console.log(`Sending POST request to ${url}`);
+  const response = await fetchConnector(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/x-ndjson, application/json",
+    },
+    body: JSON.stringify({
+      ...body,
+      source: "mcp_tool",
+      timestamp: Date.now(),
+    }),
+    signal: extra.signal,
   });
-});
 
-server.tool(
-  "takeScreenshot",
-  "Take a screenshot of the current browser tab",
-  async () => {
-    return await withServerConnection(async () => {
-      try {
-        const response = await fetch(
-          `http://${discoveredHost}:${discoveredPort}/capture-screenshot`,
-          {
-            method: "POST",
-          }
-        );
+  console.log(`${endpoint} response status: ${response.status}`);
 
-        const result = await response.json();
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`${endpoint} error: ${errorText}`);
+    throw new Error(`Server returned ${response.status}: ${errorText}`);
+  }
 
-        if (response.ok) {
-          return {
-            content: [
-              {
-                type: "text",
-                text: "Successfully saved screenshot",
-              },
-            ],
-          };
-        } else {
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Error taking screenshot: ${result.error}`,
-              },
-            ],
-          };
-        }
-      } catch (error: any) {
-        const errorMessage =
-          error instanceof Error ? error.message : String(error);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to take screenshot: ${errorMessage}`,
+  // Older connectors answer with the plain JSON result
+  const contentType = response.headers.get("content-type") || "";
+  if (!contentType.includes("application/x-ndjson") || !response.body) {
+    return await response.json();
+  }
+
+  const progressToken = extra._meta?.progressToken;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop() || "";
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const event = JSON.parse(line);
+
+      if (event.type === "result") return event.result;
+      if (event.type === "error") throw new Error(event.error);
+      if (event.type === "progress" && progressToken !== undefined) {
+        await extra
+          .sendNotification({
+            method: "notifications/progress",
+            params: {
+              progressToken,
+              progress: event.progress,
+              total: event.total,
+              message: event.message,
             },
-          ],
-        };
+          })
+          .catch((error) =>
+            console.error("Failed to send audit progress:", error)
+          );
       }
-    });
-  }
-);
-
-server.tool(
-  "getSelectedElement",
-  "Get the selected element from the browser",
-  async () => {
-    return await withServerConnection(async () => {
-      const response = await fetch(
-        `http://${discoveredHost}:${discoveredPort}/selected-element`
-      );
-      const json = await response.json();
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify(json, null, 2),
-          },
-        ],
-      };
-    });
+    }
   }
-);
 
-server.tool("wipeLogs", "Wipe all browser logs from memory", async () => {
-  return await withServerConnection(async () => {
-    const response = await fetch(
-      `http://${discoveredHost}:${discoveredPort}/wipelogs`,
+  throw new Error(`${endpoint} ended without returning a result`);
+}
+
+// Wraps prompt text as a single user message
+function userPrompt(text: string) {
+  return {
+    messages: [
       {
-        method: "POST",
-      }
+        role: "user" as const,
+        content: { type: "text" as const, text },
+      },
+    ],
+  };
+}
+
+// ===== Exported files =====
+
+// Raised when a tool is asked to write outside the export directory or
+// over an existing file. Tools report it as is.
+class ExportPathError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ExportPathError";
+  }
+}
+
+// Directory tools may write files to: BROWSER_TOOLS_MCP_EXPORT_DIR, or the
+// system temp directory. Clients can reach this server over HTTP, so they
+// must not be able to write anywhere else.
+function getExportDir(): string {
+  return path.resolve(process.env.BROWSER_TOOLS_MCP_EXPORT_DIR || os.tmpdir());
+}
+
+// Whether a path is the directory or inside it
+function isInside(dir: string, filePath: string): boolean {
+  const relative = path.relative(dir, filePath);
+  return (
+    relative === "" ||
+    (relative !== ".." &&
+      !relative.startsWith(`..${path.sep}`) &&
+      !path.isAbsolute(relative))
+  );
+}
+
+/**
+ * Writes a new file in the export directory. Relative paths are resolved
+ * against it, and its subdirectories are created as needed.
+ *
+ * @throws ExportPathError if the path leads outside the export directory,
+ * through a symlink or otherwise, or the file already exists
+ */
+function writeExportFile(requestedPath: string, contents: string): string {
+  const exportDir = getExportDir();
+  const filePath = path.resolve(exportDir, requestedPath);
+  if (!isInside(exportDir, filePath) || filePath === exportDir) {
+    throw new ExportPathError(
+      `Can't write to ${filePath}: files can only be saved in ${exportDir} (set BROWSER_TOOLS_MCP_EXPORT_DIR to change it)`
     );
-    const json = await response.json();
-    return {
-      content: [
-        {
-          type: "text",
-          text: json.message,
-        },
-      ],
-    };
-  });
-});
-
-// Define audit categories as enum to match the server's AuditCategory enum
-enum AuditCategory {
-  ACCESSIBILITY = "accessibility",
-  PERFORMANCE = "performance",
-  SEO = "seo",
-  BEST_PRACTICES = "best-practices",
-  PWA = "pwa",
+  }
+
+  // Compare real paths too, so a symlinked directory can't lead outside.
+  // The deepest existing directory is checked before creating any below it.
+  fs.mkdirSync(exportDir, { recursive: true });
+  let existing = path.dirname(filePath);
+  while (!fs.existsSync(existing)) existing = path.dirname(existing);
+  if (!isInside(fs.realpathSync(exportDir), fs.realpathSync(existing))) {
+    throw new ExportPathError(
+      `Can't write to ${filePath}: it leads outside ${exportDir}`
+    );
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  try {
+    // "wx" fails if the file exists, and never follows a symlink there
+    fs.writeFileSync(filePath, contents, { flag: "wx" });
+  } catch (error: any) {
+    if (error.code === "EEXIST") {
+      throw new ExportPathError(
+        `${filePath} already exists. Choose another path or remove it first.`
+      );
+    }
+    throw error;
+  }
+  return filePath;
 }
 
-// Add tool for accessibility audits, launches a headless browser instance
-server.tool(
-  "runAccessibilityAudit",
-  "Run an accessibility audit on the current page",
-  {},
-  async () => {
-    return await withServerConnection(async () => {
-      try {
-        // Simplified approach - let the browser connector handle the current tab and URL
-        console.log(
-          `Sending POST request to http://${discoveredHost}:${discoveredPort}/accessibility-audit`
-        );
-        const response = await fetch(
-          `http://${discoveredHost}:${discoveredPort}/accessibility-audit`,
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Accept: "application/json",
-            },
-            body: JSON.stringify({
-              category: AuditCategory.ACCESSIBILITY,
-              source: "mcp_tool",
-              timestamp: Date.now(),
-            }),
-          }
-        );
+// ===== MCP server factory =====
 
-        // Log the response status
-        console.log(`Accessibility audit response status: ${response.status}`);
+// Every MCP session gets its own server instance (stdio mode only ever creates one).
+// All instances share the browser connector discovered above.
+function createMcpServer(): McpServer {
+  const server = new McpServer({
+    name: "Browser Tools MCP",
+    version: "1.2.0",
+  });
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error(`Accessibility audit error: ${errorText}`);
-          throw new Error(`Server returned ${response.status}: ${errorText}`);
-        }
+  // We'll define our tools that retrieve data from the browser connector
+  server.tool(
+    "getConsoleLogs",
+    'Check our browser logs. Objects and arrays passed to console calls are expanded into an "args" list of JSON values',
+    consoleLogFilters,
+    async (filters) => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/console-logs", filters)
+      );
+    }
+  );
+
+  server.tool(
+    "getConsoleErrors",
+    'Check our browsers console errors. Each error has a stackTrace of call frames; frames covered by the page\'s source maps include an "original" location with the source file (relative to the project where possible) and line to open',
+    consoleLogFilters,
+    async (filters) => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/console-errors", filters)
+      );
+    }
+  );
+
+  server.tool(
+    "getConsoleWarnings",
+    "Check our browser console warnings, from console.warn calls and from the browser itself, such as CSP violations, deprecations, interventions and mixed content. Each entry has a source saying which",
+    consoleLogFilters,
+    async (filters) => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/console-warnings", filters)
+      );
+    }
+  );
 
-        const json = await response.json();
+  server.tool(
+    "getErrorGroups",
+    "Get the page's console errors grouped by cause (normalized message and top stack frames), most frequent first. Each group has a count, first and last seen times, the frames it was grouped by and a few sample occurrences. Use this instead of getConsoleErrors when one error repeats, e.g. in a render loop",
+    {
+      ...tabOption,
+      limit: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Maximum number of groups to return (default 20)"),
+    },
+    async (filters) => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/error-groups", filters)
+      );
+    }
+  );
 
-        // flatten it by merging metadata with the report contents
-        if (json.report) {
-          const { metadata, report } = json;
-          const flattened = {
-            ...metadata,
-            ...report,
-          };
+  server.tool(
+    "getTimeline",
+    'Get everything that happened in the page in time order: navigations, console messages, uncaught exceptions, network request starts and finishes, and screenshots. Errors are linked through "related" to failed requests that came just before them and to requests their messages name, to help find which request caused which error',
+    {
+      ...tabOption,
+      navigation: z
+        .string()
+        .optional()
+        .describe(
+          'Page load to return: "current" (default), "previous" for the load before the last reload, a page load number, or "all"'
+        ),
+      cursor: consoleLogFilters.cursor,
+      limit: consoleLogFilters.limit,
+      tokenBudget: consoleLogFilters.tokenBudget,
+    },
+    async (filters) => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/timeline", filters)
+      );
+    }
+  );
+
+  server.tool(
+    "getNetworkErrors",
+    "Check our network ERROR logs",
+    networkLogFilters,
+    async (filters) => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/network-errors", filters, true)
+      );
+    }
+  );
+
+  server.tool(
+    "getNetworkLogs",
+    "Check ALL our network logs",
+    networkLogFilters,
+    async (filters) => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/network-success", filters)
+      );
+    }
+  );
 
+  server.tool(
+    "takeScreenshot",
+    "Take a screenshot of the current browser tab and return it as an image. Captures the visible viewport by default, or the full page, one element or a region. The screenshot is also saved to the configured screenshot folder.",
+    {
+      ...screenshotTargetOptions,
+      maxWidth: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe("Downscale the image to at most this many pixels wide"),
+      maxBytes: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe(
+          "Size budget for the returned image in bytes (default 750KB). Larger screenshots are re-encoded as JPEG (or WebP) and downscaled until they fit."
+        ),
+      format: z
+        .enum(["auto", "png", "jpeg", "webp"])
+        .optional()
+        .describe(
+          'Image format to capture and return. "auto" (default) captures PNG and returns it unless it exceeds the size budget.'
+        ),
+      quality: z
+        .number()
+        .int()
+        .min(1)
+        .max(100)
+        .optional()
+        .describe("JPEG or WebP quality (default 80)"),
+      ...tabOption,
+    },
+    async (options) => {
+      return await withServerConnection(async () => {
+        try {
+          const response = await fetchConnector(
+            `http://${discoveredHost}:${discoveredPort}/capture-screenshot`,
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ ...options, includeImage: true }),
+            }
+          );
+
+          const result = await response.json();
+
+          if (response.ok) {
+            const image = result.image;
+            if (!image) {
+              // Older connectors only save the file
+              return {
+                content: [
+                  {
+                    type: "text",
+                    text: `Successfully saved screenshot to ${result.path}`,
+                  },
+                ],
+              };
+            }
+
+            const resized =
+              image.width !== image.originalWidth
+                ? `, downscaled from ${image.originalWidth}x${image.originalHeight}`
+                : "";
+            return {
+              content: [
+                {
+                  type: "image",
+                  data: image.data,
+                  mimeType: image.mimeType,
+                },
+                {
+                  type: "text",
+                  text: `Screenshot saved to ${result.path} (${image.mimeType}, ${image.width}x${image.height}${resized})`,
+                },
+              ],
+            };
+          } else {
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: `Error taking screenshot: ${result.error}`,
+                },
+              ],
+            };
+          }
+        } catch (error: any) {
+          const errorMessage =
+            error instanceof Error ? error.message : String(error);
           return {
             content: [
               {
                 type: "text",
-                text: JSON.stringify(flattened, null, 2),
-              },
-            ],
-          };
-        } else {
-          // Return as-is if it's not in the new format
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify(json, null, 2),
+                text: `Failed to take screenshot: ${errorMessage}`,
               },
             ],
           };
         }
-      } catch (error) {
-        const errorMessage =
-          error instanceof Error ? error.message : String(error);
-        console.error("Error in accessibility audit:", errorMessage);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to run accessibility audit: ${errorMessage}`,
-            },
-          ],
-        };
-      }
-    });
-  }
-);
-
-// Add tool for performance audits, launches a headless browser instance
-server.tool(
-  "runPerformanceAudit",
-  "Run a performance audit on the current page",
-  {},
-  async () => {
-    return await withServerConnection(async () => {
-      try {
-        // Simplified approach - let the browser connector handle the current tab and URL
-        console.log(
-          `Sending POST request to http://${discoveredHost}:${discoveredPort}/performance-audit`
-        );
-        const response = await fetch(
-          `http://${discoveredHost}:${discoveredPort}/performance-audit`,
+      });
+    }
+  );
+
+  server.tool(
+    "compareScreenshot",
+    "Capture the current browser tab and compare it pixel by pixel with a named baseline screenshot for the same URL and viewport, e.g. to check that a CSS refactor didn't move anything. The first comparison under a name saves the baseline. Returns the percentage of pixels that changed, the bounding boxes of changed regions and a diff image with changes in red.",
+    {
+      name: z
+        .string()
+        .regex(/^[\w.-]{1,100}$/)
+        .describe(
+          'Baseline name, e.g. "header" or "checkout-form". Letters, digits, ".", "-" and "_"'
+        ),
+      tolerance: z
+        .number()
+        .min(0)
+        .max(1)
+        .optional()
+        .describe(
+          "Per-pixel color difference to ignore, from 0 (any difference counts) to 1 (default 0.1)"
+        ),
+      maxChangedPercent: z
+        .number()
+        .min(0)
+        .max(100)
+        .optional()
+        .describe(
+          "Percentage of changed pixels still reported as a match (default 0)"
+        ),
+      updateBaseline: z
+        .boolean()
+        .optional()
+        .describe(
+          "Replace the baseline with the current state instead of comparing, e.g. after an intended change"
+        ),
+      ...screenshotTargetOptions,
+      ...tabOption,
+    },
+    async (options) => {
+      return await withServerConnection(async () => {
+        const response = await fetchConnector(
+          `http://${discoveredHost}:${discoveredPort}/compare-screenshot`,
           {
             method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Accept: "application/json",
-            },
-            body: JSON.stringify({
-              category: AuditCategory.PERFORMANCE,
-              source: "mcp_tool",
-              timestamp: Date.now(),
-            }),
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...options, includeDiffImage: true }),
           }
         );
-
-        // Log the response status
-        console.log(`Performance audit response status: ${response.status}`);
+        const result = await response.json();
 
         if (!response.ok) {
-          const errorText = await response.text();
-          console.error(`Performance audit error: ${errorText}`);
-          throw new Error(`Server returned ${response.status}: ${errorText}`);
-        }
-
-        const json = await response.json();
-
-        // flatten it by merging metadata with the report contents
-        if (json.report) {
-          const { metadata, report } = json;
-          const flattened = {
-            ...metadata,
-            ...report,
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Error comparing screenshot: ${result.error}`,
+              },
+            ],
+            isError: true,
           };
+        }
 
+        if (result.status === "baseline-created") {
           return {
             content: [
               {
                 type: "text",
-                text: JSON.stringify(flattened, null, 2),
+                text: `No baseline named "${result.name}" existed for ${result.url}, so the current state was saved as the baseline (${result.baselinePath}). Compare again after making changes.`,
               },
             ],
           };
-        } else {
-          // Return as-is if it's not in the new format
+        }
+        if (result.status === "baseline-updated") {
           return {
             content: [
               {
                 type: "text",
-                text: JSON.stringify(json, null, 2),
+                text: `Replaced baseline "${result.name}" for ${result.url} with the current state (${result.baselinePath}).`,
               },
             ],
           };
         }
-      } catch (error) {
-        const errorMessage =
-          error instanceof Error ? error.message : String(error);
-        console.error("Error in performance audit:", errorMessage);
+
+        const { diffImage, ...summary } = result;
         return {
           content: [
             {
-              type: "text",
-              text: `Failed to run performance audit: ${errorMessage}`,
+              type: "text" as const,
+              text:
+                result.status === "match"
+                  ? `Matches baseline "${result.name}": ${result.changedPercent}% of pixels changed.`
+                  : `Differs from baseline "${result.name}": ${result.changedPercent}% of pixels changed in ${result.regionCount} region(s). Region coordinates are in image pixels; divide by the viewport's deviceScaleFactor for CSS pixels.`,
             },
+            { type: "text" as const, text: JSON.stringify(summary, null, 2) },
+            // Red marks the changed pixels
+            ...(diffImage
+              ? [
+                  {
+                    type: "image" as const,
+                    data: diffImage.data,
+                    mimeType: diffImage.mimeType,
+                  },
+                ]
+              : []),
           ],
         };
-      }
-    });
-  }
-);
-
-// Add tool for SEO audits, launches a headless browser instance
-server.tool(
-  "runSEOAudit",
-  "Run an SEO audit on the current page",
-  {},
-  async () => {
-    return await withServerConnection(async () => {
-      try {
-        console.log(
-          `Sending POST request to http://${discoveredHost}:${discoveredPort}/seo-audit`
+      });
+    }
+  );
+
+  server.tool(
+    "listTabs",
+    "List the browser tabs the extension has reported, with their URL, window, whether their DevTools panel is open and how many logs were captured. Pass a tabId from here to other tools to target that tab",
+    async () => {
+      return await withServerConnection(async () => {
+        const response = await fetchConnector(
+          `http://${discoveredHost}:${discoveredPort}/tabs`
         );
-        const response = await fetch(
-          `http://${discoveredHost}:${discoveredPort}/seo-audit`,
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Accept: "application/json",
+        const json = await response.json();
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(json.tabs, null, 2),
             },
-            body: JSON.stringify({
-              category: AuditCategory.SEO,
-              source: "mcp_tool",
-              timestamp: Date.now(),
-            }),
-          }
+          ],
+        };
+      });
+    }
+  );
+
+  server.tool(
+    "getSelectedElement",
+    "Get the selected element from the browser",
+    tabOption,
+    async ({ tabId }) => {
+      return await withServerConnection(async () => {
+        const response = await fetchConnector(
+          `http://${discoveredHost}:${discoveredPort}/selected-element${buildLogQueryString(
+            { tabId }
+          )}`
         );
-
-        // Log the response status
-        console.log(`SEO audit response status: ${response.status}`);
-
+        const json = await response.json();
         if (!response.ok) {
-          const errorText = await response.text();
-          console.error(`SEO audit error: ${errorText}`);
-          throw new Error(`Server returned ${response.status}: ${errorText}`);
+          return {
+            content: [{ type: "text", text: json.error }],
+            isError: true,
+          };
         }
-
-        const json = await response.json();
-
         return {
           content: [
             {
@@ -560,873 +1083,1175 @@ server.tool(
             },
           ],
         };
-      } catch (error) {
-        const errorMessage =
-          error instanceof Error ? error.message : String(error);
-        console.error("Error in SEO audit:", errorMessage);
+      });
+    }
+  );
+
+  server.tool(
+    "wipeLogs",
+    "Wipe browser logs from memory, for one tab or all of them",
+    {
+      tabId: tabOption.tabId.describe(
+        "Only wipe this tab's logs. Defaults to wiping every tab"
+      ),
+    },
+    async ({ tabId }) => {
+      return await withServerConnection(async () => {
+        const response = await fetchConnector(
+          `http://${discoveredHost}:${discoveredPort}/wipelogs`,
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ tabId }),
+          }
+        );
+        const json = await response.json();
         return {
           content: [
             {
               type: "text",
-              text: `Failed to run SEO audit: ${errorMessage}`,
+              text: json.message,
             },
           ],
         };
-      }
-    });
-  }
-);
-
-server.tool("runNextJSAudit", {}, async () => ({
-  content: [
-    {
-      type: "text",
-      text: `
-      You are an expert in SEO and web development with NextJS. Given the following procedures for analyzing my codebase, please perform a comprehensive - page by page analysis of our NextJS application to identify any issues or areas of improvement for SEO.
-
-      After each iteration of changes, reinvoke this tool to re-fetch our SEO audit procedures and then scan our codebase again to identify additional areas of improvement. 
-
-      When no more areas of improvement are found, return "No more areas of improvement found, your NextJS application is optimized for SEO!".
-
-      Start by analyzing each of the following aspects of our codebase:
-      1. Meta tags - provides information about your website to search engines and social media platforms.
-
-        Pages should provide the following standard meta tags:
-
-        title
-        description
-        keywords
-        robots
-        viewport
-        charSet
-        Open Graph meta tags:
-
-        og:site_name
-        og:locale
-        og:title
-        og:description
-        og:type
-        og:url
-        og:image
-        og:image:alt
-        og:image:type
-        og:image:width
-        og:image:height
-        Article meta tags (actually it's also OpenGraph):
-
-        article:published_time
-        article:modified_time
-        article:author
-        Twitter meta tags:
-
-        twitter:card
-        twitter:site
-        twitter:creator
-        twitter:title
-        twitter:description
-        twitter:image
-
-        For applications using the pages router, set up metatags like this in pages/[slug].tsx:
-          import Head from "next/head";
-
-          export default function Page() {
-            return (
-              <Head>
-                <title>
-                  Next.js SEO: The Complete Checklist to Boost Your Site Ranking
-                </title>
-                <meta
-                  name="description"
-                  content="Learn how to optimize your Next.js website for SEO by following this complete checklist."
-                />
-                <meta
-                  name="keywords"
-                  content="nextjs seo complete checklist, nextjs seo tutorial"
-                />
-                <meta name="robots" content="index, follow" />
-                <meta name="googlebot" content="index, follow" />
-                <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-                <meta charSet="utf-8" />
-                <meta property="og:site_name" content="Blog | Minh Vu" />
-                <meta property="og:locale" content="en_US" />
-                <meta
-                  property="og:title"
-                  content="Next.js SEO: The Complete Checklist to Boost Your Site Ranking"
-                />
-                <meta
-                  property="og:description"
-                  content="Learn how to optimize your Next.js website for SEO by following this complete checklist."
-                />
-                <meta property="og:type" content="website" />
-                <meta property="og:url" content="https://dminhvu.com/nextjs-seo" />
-                <meta
-                  property="og:image"
-                  content="https://ik.imagekit.io/dminhvu/assets/nextjs-seo/thumbnail.png?tr=f-png"
-                />
-                <meta property="og:image:alt" content="Next.js SEO" />
-                <meta property="og:image:type" content="image/png" />
-                <meta property="og:image:width" content="1200" />
-                <meta property="og:image:height" content="630" />
-                <meta
-                  property="article:published_time"
-                  content="2024-01-11T11:35:00+07:00"
-                />
-                <meta
-                  property="article:modified_time"
-                  content="2024-01-11T11:35:00+07:00"
-                />
-                <meta
-                  property="article:author"
-                  content="https://www.linkedin.com/in/dminhvu02"
-                />
-                <meta name="twitter:card" content="summary_large_image" />
-                <meta name="twitter:site" content="@dminhvu02" />
-                <meta name="twitter:creator" content="@dminhvu02" />
-                <meta
-                  name="twitter:title"
-                  content="Next.js SEO: The Complete Checklist to Boost Your Site Ranking"
-                />
-                <meta
-                  name="twitter:description"
-                  content="Learn how to optimize your Next.js website for SEO by following this complete checklist."
-                />
-                <meta
-                  name="twitter:image"
-                  content="https://ik.imagekit.io/dminhvu/assets/nextjs-seo/thumbnail.png?tr=f-png"
-                />
-              </Head>
-            );
-          }
+      });
+    }
+  );
+
+  server.tool(
+    "listLogSessions",
+    "List the connector runs and page loads kept in the on-disk log history, newest first",
+    async () => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/log-history/sessions", {})
+      );
+    }
+  );
+
+  server.tool(
+    "getLogHistory",
+    "Read stored browser logs from earlier page loads or connector runs, e.g. errors that a reload or restart wiped from the live logs. Requires the connector's log store to be enabled",
+    logHistoryFilters,
+    async (filters) => {
+      return await withServerConnection(() =>
+        fetchFilteredLogs("/log-history", filters)
+      );
+    }
+  );
 
-        For applications using the app router, set up metatags like this in layout.tsx:
-          import type { Viewport, Metadata } from "next";
+  server.tool(
+    "exportHar",
+    "Save the network traffic recorded from a tab as a HAR 1.2 file, with timings, sizes and initiators for every resource, for use in DevTools or other HAR viewers",
+    {
+      ...tabOption,
+      outputPath: z
+        .string()
+        .optional()
+        .describe(
+          "Where to write the file, inside the export directory (the system temp directory unless configured). Relative paths are resolved against it. Defaults to a timestamped file name; existing files are never overwritten"
+        ),
+      clear: z
+        .boolean()
+        .optional()
+        .describe(
+          "Start a new recording after exporting, so the next export only has later traffic"
+        ),
+    },
+    async ({ tabId, outputPath, clear }) => {
+      return await withServerConnection(async () => {
+        const url = `http://${discoveredHost}:${discoveredPort}/har${buildLogQueryString(
+          { tabId }
+        )}`;
+        const response = await fetchConnector(url);
+        const json = await response.json();
+        if (!response.ok) {
+          return {
+            content: [{ type: "text", text: json.error }],
+            isError: true,
+          };
+        }
 
-          export const viewport: Viewport = {
-            width: "device-width",
-            initialScale: 1,
-            themeColor: "#ffffff"
+        const fileName =
+          response.headers
+            .get("content-disposition")
+            ?.match(/filename="([^"]+)"/)?.[1] || "browser-tools.har";
+        let filePath: string;
+        try {
+          filePath = writeExportFile(
+            outputPath || fileName,
+            JSON.stringify(json, null, 2)
+          );
+        } catch (error) {
+          if (!(error instanceof ExportPathError)) throw error;
+          return {
+            content: [{ type: "text", text: error.message }],
+            isError: true,
           };
-          
-          export const metadata: Metadata = {
-            metadataBase: new URL("https://dminhvu.com"),
-            openGraph: {
-              siteName: "Blog | Minh Vu",
-              type: "website",
-              locale: "en_US"
-            },
-            robots: {
-              index: true,
-              follow: true,
-              "max-image-preview": "large",
-              "max-snippet": -1,
-              "max-video-preview": -1,
-              googleBot: "index, follow"
-            },
-            alternates: {
-              types: {
-                "application/rss+xml": "https://dminhvu.com/rss.xml"
-              }
-            },
-            applicationName: "Blog | Minh Vu",
-            appleWebApp: {
-              title: "Blog | Minh Vu",
-              statusBarStyle: "default",
-              capable: true
-            },
-            verification: {
-              google: "YOUR_DATA",
-              yandex: ["YOUR_DATA"],
-              other: {
-                "msvalidate.01": ["YOUR_DATA"],
-                "facebook-domain-verification": ["YOUR_DATA"]
-              }
-            },
-            icons: {
-              icon: [
+        }
+
+        if (clear) {
+          await fetchConnector(url, { method: "DELETE" });
+        }
+
+        const entries: any[] = json.log.entries;
+        const failed = entries.filter(
+          (entry) => entry.response.status === 0 || entry.response.status >= 400
+        ).length;
+        const summary = [
+          `Saved ${entries.length} requests across ${json.log.pages.length} pages to ${filePath}`,
+          `${failed} requests failed`,
+          ...(json.log.comment ? [json.log.comment] : []),
+          ...(clear ? ["The recording was cleared"] : []),
+        ];
+        return {
+          content: [{ type: "text", text: summary.join("\n") }],
+        };
+      });
+    }
+  );
+
+  // Define audit categories as enum to match the server's AuditCategory enum
+  enum AuditCategory {
+    ACCESSIBILITY = "accessibility",
+    PERFORMANCE = "performance",
+    SEO = "seo",
+    BEST_PRACTICES = "best-practices",
+    PWA = "pwa",
+  }
+
+  // Add tool for accessibility audits, launches a headless browser instance
+  server.tool(
+    "runAccessibilityAudit",
+    "Run an accessibility audit on the current page or a given URL",
+    { ...auditOptions, ...auditPageOptions },
+    async (options, extra) => {
+      return await withServerConnection(async () => {
+        try {
+          // Simplified approach - let the browser connector handle the current tab and URL
+          const json = await runAuditRequest(
+            "/accessibility-audit",
+            { ...options, category: AuditCategory.ACCESSIBILITY },
+            extra
+          );
+
+          // flatten it by merging metadata with the report contents
+          if (json.report) {
+            const { metadata, report } = json;
+            const flattened = {
+              ...metadata,
+              ...report,
+              pagination: json.pagination,
+              usage: json.usage,
+            };
+
+            return {
+              content: [
                 {
-                  url: "/favicon.ico",
-                  type: "image/x-icon"
+                  type: "text",
+                  text: JSON.stringify(flattened, null, 2),
                 },
-                {
-                  url: "/favicon-16x16.png",
-                  sizes: "16x16",
-                  type: "image/png"
-                }
-                // add favicon-32x32.png, favicon-96x96.png, android-chrome-192x192.png
               ],
-              shortcut: [
+            };
+          } else {
+            // Return as-is if it's not in the new format
+            return {
+              content: [
                 {
-                  url: "/favicon.ico",
-                  type: "image/x-icon"
-                }
+                  type: "text",
+                  text: JSON.stringify(json, null, 2),
+                },
               ],
-              apple: [
+            };
+          }
+        } catch (error) {
+          const errorMessage =
+            error instanceof Error ? error.message : String(error);
+          console.error("Error in accessibility audit:", errorMessage);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Failed to run accessibility audit: ${errorMessage}`,
+              },
+            ],
+          };
+        }
+      });
+    }
+  );
+
+  // Add tool for performance audits, launches a headless browser instance
+  server.tool(
+    "runPerformanceAudit",
+    "Run a performance audit on the current page or a given URL",
+    { ...auditOptions, ...auditPageOptions },
+    async (options, extra) => {
+      return await withServerConnection(async () => {
+        try {
+          // Simplified approach - let the browser connector handle the current tab and URL
+          const json = await runAuditRequest(
+            "/performance-audit",
+            { ...options, category: AuditCategory.PERFORMANCE },
+            extra
+          );
+
+          // flatten it by merging metadata with the report contents
+          if (json.report) {
+            const { metadata, report } = json;
+            const flattened = {
+              ...metadata,
+              ...report,
+              pagination: json.pagination,
+              usage: json.usage,
+            };
+
+            return {
+              content: [
                 {
-                  url: "/apple-icon-57x57.png",
-                  sizes: "57x57",
-                  type: "image/png"
+                  type: "text",
+                  text: JSON.stringify(flattened, null, 2),
                 },
+              ],
+            };
+          } else {
+            // Return as-is if it's not in the new format
+            return {
+              content: [
                 {
-                  url: "/apple-icon-60x60.png",
-                  sizes: "60x60",
-                  type: "image/png"
-                }
-                // add apple-icon-72x72.png, apple-icon-76x76.png, apple-icon-114x114.png, apple-icon-120x120.png, apple-icon-144x144.png, apple-icon-152x152.png, apple-icon-180x180.png
-              ]
-            }
-          };
-        And like this for any page.tsx file:
-          import { Metadata } from "next";
-
-          export const metadata: Metadata = {
-            title: "Elastic Stack, Next.js, Python, JavaScript Tutorials | dminhvu",
-            description:
-              "dminhvu.com - Programming blog for everyone to learn Elastic Stack, Next.js, Python, JavaScript, React, Machine Learning, Data Science, and more.",
-            keywords: [
-              "elastic",
-              "python",
-              "javascript",
-              "react",
-              "machine learning",
-              "data science"
+                  type: "text",
+                  text: JSON.stringify(json, null, 2),
+                },
+              ],
+            };
+          }
+        } catch (error) {
+          const errorMessage =
+            error instanceof Error ? error.message : String(error);
+          console.error("Error in performance audit:", errorMessage);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Failed to run performance audit: ${errorMessage}`,
+              },
             ],
-            openGraph: {
-              url: "https://dminhvu.com",
-              type: "website",
-              title: "Elastic Stack, Next.js, Python, JavaScript Tutorials | dminhvu",
-              description:
-                "dminhvu.com - Programming blog for everyone to learn Elastic Stack, Next.js, Python, JavaScript, React, Machine Learning, Data Science, and more.",
-              images: [
-                {
-                  url: "https://dminhvu.com/images/home/thumbnail.png",
-                  width: 1200,
-                  height: 630,
-                  alt: "dminhvu"
-                }
-              ]
-            },
-            twitter: {
-              card: "summary_large_image",
-              title: "Elastic Stack, Next.js, Python, JavaScript Tutorials | dminhvu",
-              description:
-                "dminhvu.com - Programming blog for everyone to learn Elastic Stack, Next.js, Python, JavaScript, React, Machine Learning, Data Science, and more.",
-              creator: "@dminhvu02",
-              site: "@dminhvu02",
-              images: [
-                {
-                  url: "https://dminhvu.com/images/home/thumbnail.png",
-                  width: 1200,
-                  height: 630,
-                  alt: "dminhvu"
-                }
-              ]
-            },
-            alternates: {
-              canonical: "https://dminhvu.com"
-            }
           };
+        }
+      });
+    }
+  );
+
+  // Add tool for SEO audits, launches a headless browser instance
+  server.tool(
+    "runSEOAudit",
+    "Run an SEO audit on the current page or a given URL",
+    { ...auditOptions, ...auditPageOptions },
+    async (options, extra) => {
+      return await withServerConnection(async () => {
+        try {
+          const json = await runAuditRequest(
+            "/seo-audit",
+            { ...options, category: AuditCategory.SEO },
+            extra
+          );
 
-          Note that the charSet and viewport are automatically added by Next.js App Router, so you don't need to define them.
-
-        For applications using the app router, dynamic metadata can be defined by using the generateMetadata function, this is useful when you have dynamic pages like [slug]/page.tsx, or [id]/page.tsx:
-
-        import type { Metadata, ResolvingMetadata } from "next";
-
-        type Params = {
-          slug: string;
-        };
-        
-        type Props = {
-          params: Params;
-          searchParams: { [key: string]: string | string[] | undefined };
-        };
-        
-        export async function generateMetadata(
-          { params, searchParams }: Props,
-          parent: ResolvingMetadata
-        ): Promise<Metadata> {
-          const { slug } = params;
-        
-          const post: Post = await fetch("YOUR_ENDPOINT", {
-            method: "GET",
-            next: {
-              revalidate: 60 * 60 * 24
-            }
-          }).then((res) => res.json());
-        
           return {
-            title: "{post.title} | dminhvu",
-            authors: [
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(json, null, 2),
+              },
+            ],
+          };
+        } catch (error) {
+          const errorMessage =
+            error instanceof Error ? error.message : String(error);
+          console.error("Error in SEO audit:", errorMessage);
+          return {
+            content: [
               {
-                name: post.author || "Minh Vu"
-              }
+                type: "text",
+                text: `Failed to run SEO audit: ${errorMessage}`,
+              },
             ],
-            description: post.description,
-            keywords: post.keywords,
-            openGraph: {
-              title: "{post.title} | dminhvu",
-              description: post.description,
-              type: "article",
-              url: "https://dminhvu.com/{post.slug}",
-              publishedTime: post.created_at,
-              modifiedTime: post.modified_at,
-              authors: ["https://dminhvu.com/about"],
-              tags: post.categories,
-              images: [
+          };
+        }
+      });
+    }
+  );
+
+  // Add tool for Best Practices audits, launches a headless browser instance
+  server.tool(
+    "runBestPracticesAudit",
+    "Run a best practices audit on the current page or a given URL",
+    { ...auditOptions, ...auditPageOptions },
+    async (options, extra) => {
+      return await withServerConnection(async () => {
+        try {
+          const json = await runAuditRequest(
+            "/best-practices-audit",
+            options,
+            extra
+          );
+
+          // flatten it by merging metadata with the report contents
+          if (json.report) {
+            const { metadata, report } = json;
+            const flattened = {
+              ...metadata,
+              ...report,
+              pagination: json.pagination,
+              usage: json.usage,
+            };
+
+            return {
+              content: [
                 {
-                  url: "https://ik.imagekit.io/dminhvu/assets/{post.slug}/thumbnail.png?tr=f-png",
-                  width: 1024,
-                  height: 576,
-                  alt: post.title,
-                  type: "image/png"
-                }
-              ]
-            },
-            twitter: {
-              card: "summary_large_image",
-              site: "@dminhvu02",
-              creator: "@dminhvu02",
-              title: "{post.title} | dminhvu",
-              description: post.description,
-              images: [
+                  type: "text",
+                  text: JSON.stringify(flattened, null, 2),
+                },
+              ],
+            };
+          } else {
+            // Return as-is if it's not in the new format
+            return {
+              content: [
                 {
-                  url: "https://ik.imagekit.io/dminhvu/assets/{post.slug}/thumbnail.png?tr=f-png",
-                  width: 1024,
-                  height: 576,
-                  alt: post.title
-                }
-              ]
-            },
-            alternates: {
-              canonical: "https://dminhvu.com/{post.slug}"
-            }
+                  type: "text",
+                  text: JSON.stringify(json, null, 2),
+                },
+              ],
+            };
+          }
+        } catch (error) {
+          const errorMessage =
+            error instanceof Error ? error.message : String(error);
+          console.error("Error in Best Practices audit:", errorMessage);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Failed to run Best Practices audit: ${errorMessage}`,
+              },
+            ],
           };
         }
-
-        
-      2. JSON-LD Schema
-
-      JSON-LD is a format for structured data that can be used by search engines to understand your content. For example, you can use it to describe a person, an event, an organization, a movie, a book, a recipe, and many other types of entities.
-
-      Our current recommendation for JSON-LD is to render structured data as a <script> tag in your layout.js or page.js components. For example:
-      export default async function Page({ params }) {
-        const { id } = await params
-        const product = await getProduct(id)
-      
-        const jsonLd = {
-          '@context': 'https://schema.org',
-          '@type': 'Product',
-          name: product.name,
-          image: product.image,
-          description: product.description,
+      });
+    }
+  );
+
+  // Add tool for PWA audits, launches a headless browser instance
+  server.tool(
+    "runPWAAudit",
+    "Run a Progressive Web App audit (installability, service worker, offline support) on the current page or a given URL",
+    { ...auditOptions, ...auditPageOptions },
+    async (options, extra) => {
+      return await withServerConnection(async () => {
+        try {
+          const json = await runAuditRequest(
+            "/pwa-audit",
+            { ...options, category: AuditCategory.PWA },
+            extra
+          );
+
+          // flatten it by merging metadata with the report contents
+          const { metadata, report, pagination, usage } = json;
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  report ? { ...metadata, ...report, pagination, usage } : json,
+                  null,
+                  2
+                ),
+              },
+            ],
+          };
+        } catch (error) {
+          const errorMessage =
+            error instanceof Error ? error.message : String(error);
+          console.error("Error in PWA audit:", errorMessage);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Failed to run PWA audit: ${errorMessage}`,
+              },
+            ],
+          };
         }
-      
-        return (
-          <section>
-            {/* Add JSON-LD to your page */}
-            <script
-              type="application/ld+json"
-              dangerouslySetInnerHTML={{ __html: JSON.stringify(jsonLd) }}
-            />
-            {/* ... */}
-          </section>
-        )
-      }
-      
-      You can type your JSON-LD with TypeScript using community packages like schema-dts:
-
-
-      import { Product, WithContext } from 'schema-dts'
-      
-      const jsonLd: WithContext<Product> = {
-        '@context': 'https://schema.org',
-        '@type': 'Product',
-        name: 'Next.js Sticker',
-        image: 'https://nextjs.org/imgs/sticker.png',
-        description: 'Dynamic at the speed of static.',
-      }
-      3. Sitemap
-      Your website should provide a sitemap so that search engines can easily crawl and index your pages.
-
-        Generate Sitemap for Next.js Pages Router
-        For Next.js Pages Router, you can use next-sitemap to generate a sitemap for your Next.js website after building.
+      });
+    }
+  );
 
-        For example, running the following command will install next-sitemap and generate a sitemap for this blog:
+  // Add tool for a full site analysis across every audit category
+  server.tool(
+    "runComprehensiveAnalysis",
+    "Run performance, accessibility, SEO, best practices and PWA audits on the current page or a given URL, and combine them into a weighted overall score, cross-category insights, prioritized action items and quick wins. Takes several minutes.",
+    {
+      ...auditOptions,
+      weights: z
+        .object({
+          performance: z.number().nonnegative().optional(),
+          accessibility: z.number().nonnegative().optional(),
+          seo: z.number().nonnegative().optional(),
+          best_practices: z.number().nonnegative().optional(),
+          pwa: z.number().nonnegative().optional(),
+        })
+        .optional()
+        .describe(
+          "Relative category weights for overall_score, normalized to sum to 1. Defaults: performance 0.3, accessibility 0.25, seo 0.25, best_practices 0.15, pwa 0.05"
+        ),
+    },
+    async (options, extra) => {
+      return await withServerConnection(async () => {
+        try {
+          const json = await runAuditRequest(
+            "/comprehensive-analysis",
+            options,
+            extra
+          );
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(json, null, 2),
+              },
+            ],
+          };
+        } catch (error) {
+          const errorMessage =
+            error instanceof Error ? error.message : String(error);
+          console.error("Error in comprehensive analysis:", errorMessage);
+          return {
+            content: [
+              {
+                type: "text",
+                text: `Failed to run comprehensive analysis: ${errorMessage}`,
+              },
+            ],
+          };
+        }
+      });
+    }
+  );
 
+  // ===== Workflow prompts =====
 
-        npm install next-sitemap
-        npx next-sitemap
-        A sitemap will be generated at public/sitemap.xml:
+  server.prompt(
+    "debugger-mode",
+    "Debug an issue in our application step by step using the browser logs",
+    {
+      issue: z
+        .string()
+        .optional()
+        .describe("What is going wrong, in your own words"),
+      url: z.string().optional().describe("URL the issue reproduces on"),
+      framework: z
+        .string()
+        .optional()
+        .describe("Framework the application uses, e.g. react or nextjs"),
+      maxIterations: z
+        .string()
+        .optional()
+        .describe("Rounds of logging and analysis before reporting back"),
+    },
+    async ({ issue, url, framework, maxIterations }) =>
+      userPrompt(
+        buildDebuggerPrompt({
+          issue,
+          url,
+          framework,
+          maxIterations: parseMaxIterations(maxIterations),
+        })
+      )
+  );
+
+  server.prompt(
+    "audit-mode",
+    "Audit and optimize our application for SEO, accessibility and performance",
+    {
+      url: z.string().optional().describe("URL of the page to audit"),
+      categories: z
+        .string()
+        .optional()
+        .describe(
+          `Comma-separated audits to run (${Object.keys(
+            AUDIT_CATEGORY_TOOLS
+          ).join(", ")}), defaults to all`
+        ),
+      framework: z
+        .string()
+        .optional()
+        .describe(
+          "Framework the application uses; nextjs adds the Next.js SEO checklist"
+        ),
+      maxIterations: z
+        .string()
+        .optional()
+        .describe("Audit-and-fix cycles before stopping"),
+    },
+    async ({ url, categories, framework, maxIterations }) =>
+      userPrompt(
+        buildAuditPrompt({
+          url,
+          framework,
+          categories: parseAuditCategories(categories),
+          maxIterations: parseMaxIterations(maxIterations),
+        })
+      )
+  );
+
+  server.prompt(
+    "nextjs-audit",
+    "Analyze our Next.js application page by page for SEO improvements",
+    {
+      url: z.string().optional().describe("URL of the page to start with"),
+      router: z
+        .enum(["app", "pages"])
+        .optional()
+        .describe("Next.js router the application uses"),
+      maxIterations: z
+        .string()
+        .optional()
+        .describe("Analysis-and-fix cycles before stopping"),
+    },
+    async ({ url, router, maxIterations }) =>
+      userPrompt(
+        buildNextJSAuditPrompt({
+          url,
+          router,
+          maxIterations: parseMaxIterations(maxIterations),
+        })
+      )
+  );
+
+  registerBrowserResources(server);
+
+  return server;
+}
 
-        public/sitemap.xml
+// ===== Browser state resources =====
+
+// Browser state published as MCP resources, each backed by a connector endpoint.
+// `changes` lists the connector /events types that invalidate the resource.
+const browserResources = [
+  {
+    name: "console-logs",
+    uri: "browser://console/logs",
+    endpoint: "/console-logs",
+    description: "Recent console logs from the inspected page",
+    changes: ["console-log", "logs-wiped"],
+  },
+  {
+    name: "console-warnings",
+    uri: "browser://console/warnings",
+    endpoint: "/console-warnings",
+    description:
+      "Recent console warnings, including browser warnings such as CSP violations and deprecations",
+    changes: ["console-log", "logs-wiped"],
+  },
+  {
+    name: "console-errors",
+    uri: "browser://console/errors",
+    endpoint: "/console-errors",
+    description: "Recent console errors and uncaught exceptions",
+    changes: ["console-error", "logs-wiped"],
+  },
+  {
+    name: "network-logs",
+    uri: "browser://network/logs",
+    endpoint: "/network-success",
+    description: "Recent successful network requests",
+    changes: ["network-request", "logs-wiped"],
+  },
+  {
+    name: "network-errors",
+    uri: "browser://network/errors",
+    endpoint: "/network-errors",
+    description: "Recent failed network requests (status 400 and above)",
+    changes: ["network-request", "logs-wiped"],
+  },
+  {
+    name: "selected-element",
+    uri: "browser://selected-element",
+    endpoint: "/selected-element",
+    description:
+      "The element currently selected in the DevTools Elements panel",
+    changes: ["selected-element", "logs-wiped"],
+  },
+  {
+    name: "current-url",
+    uri: "browser://current-url",
+    endpoint: "/current-url",
+    description: "The URL of the inspected tab",
+    changes: ["page-navigated"],
+  },
+];
+
+// URIs each live server's client has subscribed to
+const resourceSubscriptions = new Map<McpServer, Set<string>>();
+
+// Registers the browser state resources and subscription handlers on a server
+function registerBrowserResources(server: McpServer) {
+  for (const resource of browserResources) {
+    server.resource(
+      resource.name,
+      resource.uri,
+      { description: resource.description, mimeType: "application/json" },
+      async (uri) => {
+        // Resource reads must fail with an error rather than an isError tool result
+        if (!serverDiscovered && !(await discoverServer())) {
+          throw new Error(
+            "Failed to discover browser connector server. Please ensure it's running."
+          );
+        }
+        const response = await fetchConnector(
+          `http://${discoveredHost}:${discoveredPort}${resource.endpoint}`
+        );
+        const json = await response.json();
+        return {
+          contents: [
+            {
+              uri: uri.href,
+              mimeType: "application/json",
+              text: JSON.stringify(json, null, 2),
+            },
+          ],
+        };
+      }
+    );
+  }
 
-        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml" xmlns:mobile="http://www.google.com/schemas/sitemap-mobile/1.0" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1" xmlns:video="http://www.google.com/schemas/sitemap-video/1.1">
-        <url>
-          <loc>https://dminhvu.com</loc>
-            <lastmod>2024-01-11T02:03:09.613Z</lastmod>
-            <changefreq>daily</changefreq>
-          <priority>0.7</priority>
-        </url>
-        <!-- other pages -->
-        </urlset>
-        Please visit the next-sitemap page for more information.
+  const subscribedUris = new Set<string>();
+  resourceSubscriptions.set(server, subscribedUris);
 
-        Generate Sitemap for Next.js App Router
-        For Next.js App Router, you can define the sitemap.ts file at app/sitemap.ts:
+  server.server.registerCapabilities({ resources: { subscribe: true } });
 
-        app/sitemap.ts
+  server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscribedUris.add(request.params.uri);
+    startConnectorEventStream();
+    return {};
+  });
 
-        import {
-          getAllCategories,
-          getAllPostSlugsWithModifyTime
-        } from "@/utils/getData";
-        import { MetadataRoute } from "next";
-        
-        export default async function sitemap(): Promise<MetadataRoute.Sitemap> {
-          const defaultPages = [
-            {
-              url: "https://dminhvu.com",
-              lastModified: new Date(),
-              changeFrequency: "daily",
-              priority: 1
-            },
-            {
-              url: "https://dminhvu.com/about",
-              lastModified: new Date(),
-              changeFrequency: "monthly",
-              priority: 0.9
-            },
-            {
-              url: "https://dminhvu.com/contact",
-              lastModified: new Date(),
-              changeFrequency: "monthly",
-              priority: 0.9
-            }
-            // other pages
-          ];
-        
-          const postSlugs = await getAllPostSlugsWithModifyTime();
-          const categorySlugs = await getAllCategories();
-        
-          const sitemap = [
-            ...defaultPages,
-            ...postSlugs.map((e: any) => ({
-              url: "https://dminhvu.com/{e.slug}",
-              lastModified: e.modified_at,
-              changeFrequency: "daily",
-              priority: 0.8
-            })),
-            ...categorySlugs.map((e: any) => ({
-              url: "https://dminhvu.com/category/{e}",
-              lastModified: new Date(),
-              changeFrequency: "daily",
-              priority: 0.7
-            }))
-          ];
-        
-          return sitemap;
-        }
-        With this sitemap.ts file created, you can access the sitemap at https://dminhvu.com/sitemap.xml.
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscribedUris.delete(request.params.uri);
+    return {};
+  });
 
+  // Forget the session's subscriptions once its transport goes away
+  server.server.onclose = () => {
+    resourceSubscriptions.delete(server);
+    pendingResourceUpdates.delete(server);
+  };
+}
 
-        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-          <url>
-            <loc>https://dminhvu.com</loc>
-            <lastmod>2024-01-11T02:03:09.613Z</lastmod>
-            <changefreq>daily</changefreq>
-            <priority>0.7</priority>
-          </url>
-          <!-- other pages -->
-        </urlset>
-      4. robots.txt
-      A robots.txt file should be added to tell search engines which pages to crawl and which pages to ignore.
+function hasResourceSubscriptions(): boolean {
+  for (const subscribedUris of resourceSubscriptions.values()) {
+    if (subscribedUris.size > 0) return true;
+  }
+  return false;
+}
 
-        robots.txt for Next.js Pages Router
-        For Next.js Pages Router, you can create a robots.txt file at public/robots.txt:
+// Bursts of log entries are coalesced into one notification per resource and session
+const RESOURCE_UPDATE_DELAY = 250; // ms
+const pendingResourceUpdates = new Map<McpServer, Set<string>>();
+let resourceUpdateTimeout: NodeJS.Timeout | null = null;
+
+function queueResourceUpdates(changeType: string) {
+  for (const [server, subscribedUris] of resourceSubscriptions) {
+    for (const resource of browserResources) {
+      if (
+        resource.changes.includes(changeType) &&
+        subscribedUris.has(resource.uri)
+      ) {
+        const pending = pendingResourceUpdates.get(server) || new Set<string>();
+        pending.add(resource.uri);
+        pendingResourceUpdates.set(server, pending);
+      }
+    }
+  }
 
-        public/robots.txt
+  if (pendingResourceUpdates.size === 0 || resourceUpdateTimeout) return;
 
-        User-agent: *
-        Disallow:
-        Sitemap: https://dminhvu.com/sitemap.xml
-        You can prevent the search engine from crawling a page (usually search result pages, noindex pages, etc.) by adding the following line:
+  resourceUpdateTimeout = setTimeout(() => {
+    resourceUpdateTimeout = null;
+    for (const [server, uris] of pendingResourceUpdates) {
+      for (const uri of uris) {
+        server.server.sendResourceUpdated({ uri }).catch((error) => {
+          console.error(`Failed to send update for ${uri}:`, error);
+        });
+      }
+    }
+    pendingResourceUpdates.clear();
+  }, RESOURCE_UPDATE_DELAY);
+}
 
-        public/robots.txt
+// Follows the connector's /events Server-Sent Events stream while any resource is subscribed
+const EVENT_STREAM_RETRY_DELAY = 5000; // ms
+let eventStreamActive = false;
 
-        User-agent: *
-        Disallow: /search?q=
-        Disallow: /admin
-        robots.txt for Next.js App Router
-        For Next.js App Router, you don't need to manually define a robots.txt file. Instead, you can define the robots.ts file at app/robots.ts:
+async function startConnectorEventStream() {
+  if (eventStreamActive) return;
+  eventStreamActive = true;
 
-        app/robots.ts
+  try {
+    if (!serverDiscovered && !(await discoverServer())) {
+      throw new Error("browser connector server not found");
+    }
 
-        import { MetadataRoute } from "next";
-        
-        export default function robots(): MetadataRoute.Robots {
-          return {
-            rules: {
-              userAgent: "*",
-              allow: ["/"],
-              disallow: ["/search?q=", "/admin/"]
-            },
-            sitemap: ["https://dminhvu.com/sitemap.xml"]
-          };
+    const response = await fetchConnector(
+      `http://${discoveredHost}:${discoveredPort}/events`,
+      { headers: { Accept: "text/event-stream" } }
+    );
+    if (!response.ok || !response.body) {
+      throw new Error(`Server returned ${response.status}`);
+    }
+    console.error("Following browser state events for resource subscriptions");
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const messages = buffer.split("\n\n");
+      buffer = messages.pop() || "";
+
+      for (const message of messages) {
+        const dataLine = message
+          .split("\n")
+          .find((line) => line.startsWith("data:"));
+        if (!dataLine) continue; // Comments such as keep-alives
+
+        try {
+          const change = JSON.parse(dataLine.slice("data:".length));
+          queueResourceUpdates(change.type);
+        } catch (error) {
+          console.error("Ignoring malformed browser state event:", error);
         }
-        With this robots.ts file created, you can access the robots.txt file at https://dminhvu.com/robots.txt.
-
-
-        User-agent: *
-        Allow: /
-        Disallow: /search?q=
-        Disallow: /admin
-        
-        Sitemap: https://dminhvu.com/sitemap.xml
-      5. Link tags
-      Link Tags for Next.js Pages Router
-      For example, the current page has the following link tags if I use the Pages Router:
-
-      pages/_app.tsx
-
-      import Head from "next/head";
-      
-      export default function Page() {
-        return (
-          <Head>
-            {/* other parts */}
-            <link
-              rel="alternate"
-              type="application/rss+xml"
-              href="https://dminhvu.com/rss.xml"
-            />
-            <link rel="icon" href="/favicon.ico" type="image/x-icon" />
-            <link rel="apple-touch-icon" sizes="57x57" href="/apple-icon-57x57.png" />
-            <link rel="apple-touch-icon" sizes="60x60" href="/apple-icon-60x60.png" />
-            {/* add apple-touch-icon-72x72.png, apple-touch-icon-76x76.png, apple-touch-icon-114x114.png, apple-touch-icon-120x120.png, apple-touch-icon-144x144.png, apple-touch-icon-152x152.png, apple-touch-icon-180x180.png */}
-            <link
-              rel="icon"
-              type="image/png"
-              href="/favicon-16x16.png"
-              sizes="16x16"
-            />
-            {/* add favicon-32x32.png, favicon-96x96.png, android-chrome-192x192.png */}
-          </Head>
-        );
       }
-      pages/[slug].tsx
-
-      import Head from "next/head";
-      
-      export default function Page() {
-        return (
-          <Head>
-            {/* other parts */}
-            <link rel="canonical" href="https://dminhvu.com/nextjs-seo" />
-          </Head>
-        );
-      }
-      Link Tags for Next.js App Router
-      For Next.js App Router, the link tags can be defined using the export const metadata or generateMetadata similar to the meta tags section.
+    }
 
-      The code below is exactly the same as the meta tags for Next.js App Router section above.
+    console.error("Browser state event stream ended");
+  } catch (error: any) {
+    console.error(`Browser state event stream failed: ${error.message}`);
+    serverDiscovered = false;
+  } finally {
+    eventStreamActive = false;
+  }
 
-      app/layout.tsx
+  // Keep following events while anything is still subscribed
+  if (hasResourceSubscriptions()) {
+    setTimeout(startConnectorEventStream, EVENT_STREAM_RETRY_DELAY);
+  }
+}
 
-      export const metadata: Metadata = {
-        // other parts
-        alternates: {
-          types: {
-            "application/rss+xml": "https://dminhvu.com/rss.xml"
-          }
-        },
-        icons: {
-          icon: [
-            {
-              url: "/favicon.ico",
-              type: "image/x-icon"
-            },
-            {
-              url: "/favicon-16x16.png",
-              sizes: "16x16",
-              type: "image/png"
-            }
-            // add favicon-32x32.png, favicon-96x96.png, android-chrome-192x192.png
-          ],
-          shortcut: [
-            {
-              url: "/favicon.ico",
-              type: "image/x-icon"
-            }
-          ],
-          apple: [
-            {
-              url: "/apple-icon-57x57.png",
-              sizes: "57x57",
-              type: "image/png"
-            },
-            {
-              url: "/apple-icon-60x60.png",
-              sizes: "60x60",
-              type: "image/png"
-            }
-            // add apple-icon-72x72.png, apple-icon-76x76.png, apple-icon-114x114.png, apple-icon-120x120.png, apple-icon-144x144.png, apple-icon-152x152.png, apple-icon-180x180.png
-          ]
-        }
-      };
-      app/page.tsx
+// ===== Transports =====
 
-      export const metadata: Metadata = {
-        // other parts
-        alternates: {
-          canonical: "https://dminhvu.com"
-        }
-      };
-      6. Script optimization
-      Script Optimization for General Scripts
-      Next.js provides a built-in component called <Script> to add external scripts to your website.
-
-      For example, you can add Google Analytics to your website by adding the following script tag:
-
-      pages/_app.tsx
-
-      import Head from "next/head";
-      import Script from "next/script";
-      
-      export default function Page() {
-        return (
-          <Head>
-            {/* other parts */}
-            {process.env.NODE_ENV === "production" && (
-              <>
-                <Script async strategy="afterInteractive" id="analytics">
-                  {'
-                    window.dataLayer = window.dataLayer || [];
-                    function gtag(){dataLayer.push(arguments);}
-                    gtag('js', new Date());
-                    gtag('config', 'G-XXXXXXXXXX');
-                  '}
-                </Script>
-              </>
-            )}
-          </Head>
-        );
-      }
-      Script Optimization for Common Third-Party Integrations
-      Next.js App Router introduces a new library called @next/third-parties for:
-
-      Google Tag Manager
-      Google Analytics
-      Google Maps Embed
-      YouTube Embed
-      To use the @next/third-parties library, you need to install it:
-
-
-      npm install @next/third-parties
-      Then, you can add the following code to your app/layout.tsx:
-
-      app/layout.tsx
-
-      import { GoogleTagManager } from "@next/third-parties/google";
-      import { GoogleAnalytics } from "@next/third-parties/google";
-      import Head from "next/head";
-      
-      export default function Page() {
-        return (
-          <html lang="en" className="scroll-smooth" suppressHydrationWarning>
-            {process.env.NODE_ENV === "production" && (
-              <>
-                <GoogleAnalytics gaId="G-XXXXXXXXXX" />
-                {/* other scripts */}
-              </>
-            )}
-            {/* other parts */}
-          </html>
-        );
-      }
-      Please note that you don't need to include both GoogleTagManager and GoogleAnalytics if you only use one of them.
-      7. Image optimization
-      Image Optimization
-      This part can be applied to both Pages Router and App Router.
+interface TransportOptions {
+  mode: "stdio" | "http";
+  host: string;
+  port: number;
+  allowedHosts: string[]; // Host headers accepted in HTTP mode
+  allowedOrigins: string[]; // Browser origins allowed to call the HTTP endpoints
+  sessionTimeout: number; // Milliseconds an idle HTTP session is kept
+}
 
-      Image optimization is also an important part of SEO as it helps your website load faster.
+// Reads a `--name value` or `--name=value` command line flag
+function getCliFlag(name: string): string | undefined {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === `--${name}`) return args[i + 1];
+    if (args[i].startsWith(`--${name}=`)) {
+      return args[i].slice(name.length + 3);
+    }
+  }
+  return undefined;
+}
 
-      Faster image rendering speed will contribute to the Google PageSpeed score, which can improve user experience and SEO.
+// Chooses the transport from CLI flags, then environment variables, defaulting to stdio
+function getTransportOptions(): TransportOptions {
+  const mode = (
+    getCliFlag("transport") ||
+    process.env.BROWSER_TOOLS_MCP_TRANSPORT ||
+    "stdio"
+  ).toLowerCase();
+  if (mode !== "stdio" && mode !== "http") {
+    throw new Error(`Unknown transport "${mode}", expected "stdio" or "http"`);
+  }
 
-      You can use next/image to optimize images in your Next.js website.
+  const rawPort =
+    getCliFlag("port") || process.env.BROWSER_TOOLS_MCP_PORT || "3045";
+  const port = parseInt(rawPort, 10);
+  if (isNaN(port) || port <= 0) {
+    throw new Error(`Invalid MCP server port "${rawPort}"`);
+  }
 
-      For example, the following code will optimize this post thumbnail:
+  const host =
+    getCliFlag("host") || process.env.BROWSER_TOOLS_MCP_HOST || "127.0.0.1";
 
+  const rawTimeout =
+    getCliFlag("session-timeout") ||
+    process.env.BROWSER_TOOLS_MCP_SESSION_TIMEOUT ||
+    "1800";
+  const sessionTimeout = Number(rawTimeout);
+  if (!Number.isFinite(sessionTimeout) || sessionTimeout <= 0) {
+    throw new Error(`Invalid MCP session timeout "${rawTimeout}" (seconds)`);
+  }
 
-      import Image from "next/image";
-      
-      export default function Page() {
-        return (
-          <Image
-            src="https://ik.imagekit.io/dminhvu/assets/nextjs-seo/thumbnail.png?tr=f-webp"
-            alt="Next.js SEO"
-            width={1200}
-            height={630}
-          />
-        );
-      }
-      Remember to use a CDN to serve your media (images, videos, etc.) to improve the loading speed.
+  // Loopback names always reach a local server; anything else, such as the
+  // machine's LAN name, has to be listed so DNS rebinding can't reach it
+  const allowedHosts = [host, "localhost", "127.0.0.1", "[::1]"]
+    .concat(parseList(process.env.BROWSER_TOOLS_MCP_ALLOWED_HOSTS))
+    .map((name) => withPort(name, port));
+
+  return {
+    mode,
+    host,
+    port,
+    allowedHosts: [...new Set(allowedHosts)],
+    allowedOrigins: parseList(
+      getCliFlag("allowed-origins") ||
+        process.env.BROWSER_TOOLS_MCP_ALLOWED_ORIGINS
+    ),
+    sessionTimeout: sessionTimeout * 1000,
+  };
+}
 
-      For the image format, use WebP if possible because it has a smaller size than PNG and JPEG.
+// Adds the port to a host name, as browsers send it in the Host header,
+// unless it has one. Bare IPv6 addresses are bracketed.
+function withPort(name: string, port: number): string {
+  if (/^(\[[^\]]+\]|[^:]+):\d+$/.test(name)) return name;
+  if (name.includes(":") && !name.startsWith("[")) return `[${name}]:${port}`;
+  return `${name}:${port}`;
+}
 
-      Given the provided procedures, begin by analyzing all of our Next.js pages.
-      Check to see what metadata already exists, look for any robot.txt files, and take a closer look at some of the other aspects of our project to determine areas of improvement.
-      Once you've performed this comprehensive analysis, return back a report on what we can do to improve our application.
-      Do not actually make the code changes yet, just return a comprehensive plan that you will ask for approval for.
-      If feedback is provided, adjust the plan accordingly and ask for approval again.
-      If the user approves of the plan, go ahead and proceed to implement all the necessary code changes to completely optimize our application.
-    `,
-    },
-  ],
-}));
+// Splits a comma-separated setting
+function parseList(value: string | undefined): string[] {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
 
-server.tool(
-  "runDebuggerMode",
-  "Run debugger mode to debug an issue in our application",
-  async () => ({
-    content: [
-      {
-        type: "text",
-        text: `
-      Please follow this exact sequence to debug an issue in our application:
-  
-  1. Reflect on 5-7 different possible sources of the problem
-  2. Distill those down to 1-2 most likely sources
-  3. Add additional logs to validate your assumptions and track the transformation of data structures throughout the application control flow before we move onto implementing the actual code fix
-  4. Use the "getConsoleLogs", "getConsoleErrors", "getNetworkLogs" & "getNetworkErrors" tools to obtain any newly added web browser logs
-  5. Obtain the server logs as well if accessible - otherwise, ask me to copy/paste them into the chat
-  6. Deeply reflect on what could be wrong + produce a comprehensive analysis of the issue
-  7. Suggest additional logs if the issue persists or if the source is not yet clear
-  8. Once a fix is implemented, ask for approval to remove the previously added logs
-
-  Note: DO NOT run any of our audits (runAccessibilityAudit, runPerformanceAudit, runBestPracticesAudit, runSEOAudit, runNextJSAudit) when in debugging mode unless explicitly asked to do so or unless you switch to audit mode.
-`,
-      },
-    ],
-  })
-);
+// Reads the token HTTP clients must present: --token or
+// BROWSER_TOOLS_MCP_TOKEN, otherwise the one saved by an earlier run, and a
+// new one is generated and saved the first time
+function loadHttpToken(): string {
+  const explicit = getCliFlag("token") || process.env.BROWSER_TOOLS_MCP_TOKEN;
+  if (explicit) return explicit;
 
-server.tool(
-  "runAuditMode",
-  "Run audit mode to optimize our application for SEO, accessibility and performance",
-  async () => ({
-    content: [
-      {
-        type: "text",
-        text: `
-      I want you to enter "Audit Mode". Use the following MCP tools one after the other in this exact sequence:
-      
-      1. runAccessibilityAudit
-      2. runPerformanceAudit
-      3. runBestPracticesAudit
-      4. runSEOAudit
-      5. runNextJSAudit (only if our application is ACTUALLY using NextJS)
+  const tokenFile =
+    process.env.BROWSER_TOOLS_MCP_TOKEN_FILE ||
+    path.join(os.homedir(), ".browser-tools", "mcp-token");
+  try {
+    const saved = fs.readFileSync(tokenFile, "utf8").trim();
+    if (saved) return saved;
+  } catch (error) {
+    // No token saved yet
+  }
 
-      After running all of these tools, return back a comprehensive analysis of the audit results.
+  const token = randomBytes(24).toString("base64url");
+  try {
+    fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+    // Readable by the current user only
+    fs.writeFileSync(tokenFile, `${token}\n`, { mode: 0o600 });
+  } catch (error) {
+    console.error(`Failed to save the MCP token to ${tokenFile}:`, error);
+  }
+  console.error(`Generated an MCP token, saved to ${tokenFile}`);
+  return token;
+}
 
-      Do NOT use runNextJSAudit tool unless you see that our application is ACTUALLY using NextJS.
+// Whether a request presents the token as "Authorization: Bearer <token>",
+// compared in constant time so it can't be guessed byte by byte
+function hasBearerToken(req: express.Request, token: string): boolean {
+  const authorization = req.header("authorization") || "";
+  if (!authorization.startsWith("Bearer ")) return false;
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(authorization.slice("Bearer ".length).trim());
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
 
-      DO NOT use the takeScreenshot tool EVER during audit mode. ONLY use it if I specifically ask you to take a screenshot of something.
+// Serves a single client over stdin/stdout
+async function startStdioServer() {
+  const transport = new StdioServerTransport();
 
-      DO NOT check console or network logs to get started - your main priority is to run the audits in the sequence defined above.
-      
-      After returning an in-depth analysis, scan through my code and identify various files/parts of my codebase that we want to modify/improve based on the results of our audits.
+  // Ensure stdout is only used for JSON messages
+  const originalStdoutWrite = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk: any, encoding?: any, callback?: any) => {
+    // Only allow JSON messages to pass through
+    if (typeof chunk === "string" && !chunk.startsWith("{")) {
+      return true; // Silently skip non-JSON messages
+    }
+    return originalStdoutWrite(chunk, encoding, callback);
+  };
 
-      After identifying what changes may be needed, do NOT make the actual changes. Instead, return back a comprehensive, step-by-step plan to address all of these changes and ask for approval to execute this plan. If feedback is received, make a new plan and ask for approval again. If approved, execute the ENTIRE plan and after all phases/steps are complete, re-run the auditing tools in the same 4 step sequence again before returning back another analysis for additional changes potentially needed.
+  await createMcpServer().connect(transport);
+}
 
-      Keep repeating / iterating through this process with the four tools until our application is as optimized as possible for SEO, accessibility and performance.
+// Writes a JSON-RPC error for requests that never reach a session
+function sendJsonRpcError(
+  res: express.Response,
+  status: number,
+  message: string
+) {
+  res.status(status).json({
+    jsonrpc: "2.0",
+    error: { code: -32000, message },
+    id: null,
+  });
+}
 
-`,
-      },
-    ],
-  })
-);
-
-// Add tool for Best Practices audits, launches a headless browser instance
-server.tool(
-  "runBestPracticesAudit",
-  "Run a best practices audit on the current page",
-  {},
-  async () => {
-    return await withServerConnection(async () => {
-      try {
-        console.log(
-          `Sending POST request to http://${discoveredHost}:${discoveredPort}/best-practices-audit`
-        );
-        const response = await fetch(
-          `http://${discoveredHost}:${discoveredPort}/best-practices-audit`,
-          {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Accept: "application/json",
-            },
-            body: JSON.stringify({
-              source: "mcp_tool",
-              timestamp: Date.now(),
-            }),
-          }
-        );
+// One client's session on the HTTP transport
+interface HttpSession {
+  id: string;
+  transport: StreamableHTTPServerTransport | SSEServerTransport;
+  server: McpServer;
+  idleTimer?: NodeJS.Timeout;
+  closed?: boolean;
+}
 
-        // Check for errors
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`Server returned ${response.status}: ${errorText}`);
-        }
+// Serves many clients over HTTP, one MCP session each:
+// - Streamable HTTP on /mcp (POST for requests, GET for the notification stream, DELETE to end the session)
+// - Legacy HTTP+SSE on GET /sse with messages posted to /messages?sessionId=...
+//
+// Every request must present the bearer token, come through an allowed Host
+// and, when sent by a browser, from an allowed Origin, so web pages can't
+// drive the browser tools through a DNS rebinding or cross-site request.
+async function startHttpServer(options: TransportOptions) {
+  const streamableSessions = new Map<string, HttpSession>();
+  const sseSessions = new Map<string, HttpSession>();
+  const token = loadHttpToken();
+
+  // Checked again by the transports, which reject other hosts and origins
+  const transportSecurity = {
+    enableDnsRebindingProtection: true,
+    allowedHosts: options.allowedHosts,
+    allowedOrigins: options.allowedOrigins,
+  };
+
+  // Closes a session's server, which also closes its transport
+  const closeSession = async (session: HttpSession, reason: string) => {
+    if (session.closed) return;
+    session.closed = true;
+    clearTimeout(session.idleTimer);
+    streamableSessions.delete(session.id);
+    sseSessions.delete(session.id);
+    console.error(`MCP session ${session.id} closed (${reason})`);
+    await session.server.close().catch((error) => {
+      console.error(`Error closing MCP session ${session.id}:`, error);
+    });
+  };
+
+  // Restarts a session's idle timer; called on every request it receives
+  const keepAlive = (session: HttpSession) => {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(
+      () => closeSession(session, "idle"),
+      options.sessionTimeout
+    );
+    session.idleTimer.unref();
+  };
 
-        const json = await response.json();
+  const app = express();
 
-        // flatten it by merging metadata with the report contents
-        if (json.report) {
-          const { metadata, report } = json;
-          const flattened = {
-            ...metadata,
-            ...report,
-          };
+  app.use((req, res, next) => {
+    const host = req.header("host");
+    if (!host || !options.allowedHosts.includes(host)) {
+      res.status(403).json({ error: `Host "${host}" is not allowed` });
+      return;
+    }
+    // Only browsers send an Origin, and only listed ones may call us
+    const origin = req.header("origin");
+    if (origin && !options.allowedOrigins.includes(origin)) {
+      res.status(403).json({ error: `Origin "${origin}" is not allowed` });
+      return;
+    }
+    next();
+  });
+  app.use(
+    cors({
+      origin: options.allowedOrigins,
+      exposedHeaders: ["mcp-session-id"],
+    })
+  );
+  app.use((req, res, next) => {
+    // Browsers never attach credentials to CORS preflights
+    if (req.method === "OPTIONS" || hasBearerToken(req, token)) {
+      next();
+      return;
+    }
+    sendJsonRpcError(
+      res,
+      401,
+      "Missing or invalid bearer token. Send the MCP server's token in an Authorization: Bearer header."
+    );
+  });
+  app.use(express.json({ limit: "4mb" }));
 
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify(flattened, null, 2),
-              },
-            ],
-          };
-        } else {
-          // Return as-is if it's not in the new format
-          return {
-            content: [
-              {
-                type: "text",
-                text: JSON.stringify(json, null, 2),
-              },
-            ],
-          };
+  app.post("/mcp", async (req, res) => {
+    try {
+      const sessionId = req.header("mcp-session-id");
+      let session = sessionId ? streamableSessions.get(sessionId) : undefined;
+
+      if (!session) {
+        if (sessionId) {
+          sendJsonRpcError(res, 404, `Unknown MCP session "${sessionId}"`);
+          return;
         }
-      } catch (error) {
-        const errorMessage =
-          error instanceof Error ? error.message : String(error);
-        console.error("Error in Best Practices audit:", errorMessage);
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to run Best Practices audit: ${errorMessage}`,
+        if (!isInitializeRequest(req.body)) {
+          sendJsonRpcError(
+            res,
+            400,
+            "Missing mcp-session-id header. Send an initialize request to start a session."
+          );
+          return;
+        }
+
+        const server = createMcpServer();
+        const newTransport: StreamableHTTPServerTransport =
+          new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+              const newSession = { id, transport: newTransport, server };
+              streamableSessions.set(id, newSession);
+              keepAlive(newSession);
+              console.error(`MCP session ${id} started`);
             },
-          ],
+            ...transportSecurity,
+          });
+        newTransport.onclose = () => {
+          const id = newTransport.sessionId;
+          const closing = id ? streamableSessions.get(id) : undefined;
+          if (closing) closeSession(closing, "ended by client");
         };
+        await server.connect(newTransport);
+        await newTransport.handleRequest(req, res, req.body);
+        return;
+      }
+
+      keepAlive(session);
+      await (session.transport as StreamableHTTPServerTransport).handleRequest(
+        req,
+        res,
+        req.body
+      );
+    } catch (error) {
+      console.error("Error handling MCP request:", error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, "Internal server error");
+      }
+    }
+  });
+
+  // GET opens the server-to-client notification stream, DELETE ends the session
+  const handleSessionRequest = async (
+    req: express.Request,
+    res: express.Response
+  ) => {
+    const sessionId = req.header("mcp-session-id");
+    const session = sessionId ? streamableSessions.get(sessionId) : undefined;
+    if (!session) {
+      sendJsonRpcError(
+        res,
+        sessionId ? 404 : 400,
+        sessionId
+          ? `Unknown MCP session "${sessionId}"`
+          : "Missing mcp-session-id header"
+      );
+      return;
+    }
+    try {
+      keepAlive(session);
+      await (session.transport as StreamableHTTPServerTransport).handleRequest(
+        req,
+        res
+      );
+    } catch (error) {
+      console.error("Error handling MCP request:", error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, "Internal server error");
+      }
+    }
+  };
+  app.get("/mcp", handleSessionRequest);
+  app.delete("/mcp", handleSessionRequest);
+
+  app.get("/sse", async (req, res) => {
+    const transport = new SSEServerTransport(
+      "/messages",
+      res,
+      transportSecurity
+    );
+    const session: HttpSession = {
+      id: transport.sessionId,
+      transport,
+      server: createMcpServer(),
+    };
+    sseSessions.set(session.id, session);
+    keepAlive(session);
+    console.error(`SSE session ${session.id} started`);
+    res.on("close", () => closeSession(session, "client disconnected"));
+    try {
+      await session.server.connect(transport);
+    } catch (error) {
+      console.error("Error starting SSE session:", error);
+      closeSession(session, "failed to start");
+    }
+  });
+
+  app.post("/messages", async (req, res) => {
+    const sessionId = String(req.query.sessionId || "");
+    const session = sseSessions.get(sessionId);
+    if (!session) {
+      sendJsonRpcError(res, 404, `Unknown SSE session "${sessionId}"`);
+      return;
+    }
+    try {
+      keepAlive(session);
+      await (session.transport as SSEServerTransport).handlePostMessage(
+        req,
+        res,
+        req.body
+      );
+    } catch (error) {
+      console.error("Error handling SSE message:", error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, "Internal server error");
       }
+    }
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    const httpServer = app.listen(options.port, options.host, () => {
+      console.error(
+        `Browser Tools MCP listening on http://${options.host}:${options.port}/mcp (legacy SSE at /sse)`
+      );
+      resolve();
     });
-  }
-);
+    httpServer.on("error", reject);
+  });
+
+  // Close every session cleanly so clients see the server go away
+  process.on("SIGINT", async () => {
+    const sessions = [...streamableSessions.values(), ...sseSessions.values()];
+    await Promise.allSettled(
+      sessions.map((session) => closeSession(session, "shutting down"))
+    );
+    process.exit(0);
+  });
+}
 
-// Start receiving messages on stdio
 (async () => {
   try {
+    const transportOptions = getTransportOptions();
+
     // Attempt initial server discovery
     console.error("Attempting initial server discovery on startup...");
     await discoverServer();
@@ -1440,19 +2265,11 @@ server.tool(
       );
     }
 
-    const transport = new StdioServerTransport();
-
-    // Ensure stdout is only used for JSON messages
-    const originalStdoutWrite = process.stdout.write.bind(process.stdout);
-    process.stdout.write = (chunk: any, encoding?: any, callback?: any) => {
-      // Only allow JSON messages to pass through
-      if (typeof chunk === "string" && !chunk.startsWith("{")) {
-        return true; // Silently skip non-JSON messages
-      }
-      return originalStdoutWrite(chunk, encoding, callback);
-    };
-
-    await server.connect(transport);
+    if (transportOptions.mode === "http") {
+      await startHttpServer(transportOptions);
+    } else {
+      await startStdioServer();
+    }
   } catch (error) {
     console.error("Failed to initialize MCP server:", error);
     process.exit(1);
@@ -3,23 +3,110 @@
 import express from "express";
 import cors from "cors";
 import bodyParser from "body-parser";
-import { tokenizeAndEstimateCost } from "llm-cost";
 import { WebSocketServer, WebSocket } from "ws";
 import fs from "fs";
 import path from "path";
 import { IncomingMessage } from "http";
 import { Socket } from "net";
 import os from "os";
-import { exec } from "child_process";
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
 import {
   runPerformanceAudit,
   runAccessibilityAudit,
   runSEOAudit,
   AuditCategory,
-  LighthouseReport,
+  AuditOptions,
+  AuditProgress,
+  AuditOptionsError,
+  parseAuditOptions,
 } from "./lighthouse/index.js";
 import * as net from "net";
 import { runBestPracticesAudit } from "./lighthouse/best-practices.js";
+import { runPWAAudit } from "./lighthouse/pwa.js";
+import {
+  runComprehensiveSiteAnalysis,
+  parseComprehensiveAnalysisOptions,
+} from "./lighthouse/comprehensive-analysis.js";
+import {
+  parseLogQuery,
+  applyLogQuery,
+  matchesLogQuery,
+  LogQuery,
+  LogQueryError,
+  getConsoleSeverity,
+} from "./log-query.js";
+import {
+  encodeCursor,
+  PageRequest,
+  PaginationError,
+  parsePageRequest,
+  takePage,
+} from "./pagination.js";
+import { fitImageToBudget, ImageBudgetOptions } from "./screenshot-encoder.js";
+import {
+  parseImageBudgetOptions,
+  parseScreenshotOptions,
+  ScreenshotCaptureOptions,
+  ScreenshotOptionsError,
+} from "./screenshot-options.js";
+import {
+  BaselineStore,
+  CompareOptions,
+  createBaselineStoreFromEnv,
+  diffImages,
+  parseCompareOptions,
+  Viewport,
+  VisualRegressionError,
+  writePng,
+} from "./visual-regression.js";
+import {
+  countTokens,
+  takeTokenBudgetedPage,
+  TokenUsage,
+} from "./token-budget.js";
+import {
+  createLogStoreFromEnv,
+  LogStoreError,
+  STORED_LOG_KINDS,
+  StoredLogKind,
+} from "./log-store.js";
+import {
+  hasTabId,
+  TabId,
+  TabNotFoundError,
+  TabRegistry,
+  TabState,
+  UNKNOWN_TAB_ID,
+} from "./tab-registry.js";
+import {
+  getPairingTokenFile,
+  getUnpairedMessage,
+  isPaired,
+  loadPairingToken,
+  requirePairingToken,
+} from "./pairing.js";
+import { createRedactorFromEnv, Redactor } from "./redaction.js";
+import { CaptureHooks, createCaptureHooksFromEnv } from "./capture-hooks.js";
+import { recordParsedScript, resolveStackTrace } from "./source-maps.js";
+import {
+  ErrorGroupQueryError,
+  parseErrorGroupQuery,
+  shouldKeepOccurrence,
+} from "./error-groups.js";
+import {
+  compareTimelinePositions,
+  Timeline,
+  TimelinePosition,
+  TimelineQueryError,
+} from "./timeline.js";
+import {
+  buildHar,
+  createHarRecording,
+  getHarFileName,
+  recordHarEntry,
+  recordHarPage,
+} from "./har.js";
 
 /**
  * Converts a file path to the appropriate format for the current platform
@@ -139,18 +226,39 @@ function getDefaultDownloadsFolder(): string {
   return downloadsPath;
 }
 
-// We store logs in memory
-const consoleLogs: any[] = [];
-const consoleErrors: any[] = [];
-const networkErrors: any[] = [];
-const networkSuccess: any[] = [];
-const allXhr: any[] = [];
+// We store logs, the URL and the selected element in memory, per inspected tab
+const tabs = new TabRegistry();
+
+// Next sequence number to assign to a received log entry
+let nextLogSequence = 1;
 
-// Store the current URL from the extension
-let currentUrl: string = "";
+// Optional on-disk history of captured logs, enabled with BROWSER_TOOLS_LOG_STORE
+const logStore = createLogStoreFromEnv();
 
-// Store the current tab ID from the extension
-let currentTabId: string | number | null = null;
+// Named screenshots that /compare-screenshot checks new captures against
+const baselines: BaselineStore = createBaselineStoreFromEnv();
+
+// Strips secrets from captured entries before they are stored or returned.
+// A broken rules file stops the server rather than let secrets through.
+let redactor: Redactor;
+try {
+  redactor = createRedactorFromEnv();
+  console.log(`Redacting captured data with ${redactor.ruleCount} rules`);
+} catch (error) {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+}
+
+// Runs after each screenshot is saved: commands, webhooks, copies and editor
+// adapters. A broken hooks file stops the server rather than drop them.
+let captureHooks: CaptureHooks;
+try {
+  captureHooks = createCaptureHooksFromEnv();
+  console.log(`Running ${captureHooks.hooks.length} post-capture hooks`);
+} catch (error) {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+}
 
 // Add settings state
 let currentSettings = {
@@ -166,20 +274,89 @@ let currentSettings = {
   serverHost: process.env.SERVER_HOST || "0.0.0.0", // Default to all interfaces
 };
 
-// Add new storage for selected element
-let selectedElement: any = null;
+// Emits a "change" event whenever captured browser state changes,
+// consumed by /events subscribers such as the MCP server's resource
+// subscriptions, and a "log" event with every captured entry for /logs/stream
+const browserEvents = new EventEmitter();
+browserEvents.setMaxListeners(0);
+
+interface BrowserStateChange {
+  type:
+    | "console-log"
+    | "console-error"
+    | "network-request"
+    | "selected-element"
+    | "page-navigated"
+    | "logs-wiped";
+  timestamp: number;
+  tabId?: TabId; // Tab the change happened in, absent when every tab changed
+  status?: number; // HTTP status for network-request changes
+}
+
+function notifyStateChange(
+  type: BrowserStateChange["type"],
+  details: Partial<BrowserStateChange> = {}
+) {
+  browserEvents.emit("change", { type, timestamp: Date.now(), ...details });
+}
+
+// Records a captured log entry in the on-disk history and pushes it to
+// /logs/stream subscribers
+function publishLog(tab: TabState, kind: StoredLogKind, entry: any) {
+  logStore?.append(tab.tabId, kind, entry);
+  browserEvents.emit("log", tab.tabId, kind, entry);
+}
+
+// Returns the tab a log entry or event came from. Extensions that don't
+// send a tab ID report for the current tab.
+function getSourceTab(tabId: unknown): TabState {
+  if (hasTabId(tabId)) {
+    return tabs.track(tabId as TabId);
+  }
+  return tabs.getCurrent() ?? tabs.track(UNKNOWN_TAB_ID);
+}
+
+// Records a page navigation, which the extension may report over HTTP
+// (/extension-log) or the WebSocket
+function recordNavigation(tab: TabState, url: string, timestamp?: number) {
+  console.log(`Tab ${tab.tabId} navigated to:`, url);
+  tab.url = url;
+  tab.lastNavigationAt = timestamp || Date.now();
+  tabs.touch(tab);
+  recordHarPage(tab.har, url, tab.lastNavigationAt);
+  tab.timeline.recordNavigation(url, tab.lastNavigationAt);
+  logStore?.recordNavigation(tab.tabId, url, tab.lastNavigationAt);
+  notifyStateChange("page-navigated", { tabId: tab.tabId });
+}
+
+// A screenshot as sent back by the extension
+interface ScreenshotData {
+  data: string; // data: URL
+  path?: string;
+  autoPaste?: boolean;
+  viewport?: Viewport; // Sent by extensions that support visual comparison
+}
 
 // Add new state for tracking screenshot requests
 interface ScreenshotCallback {
-  resolve: (value: {
-    data: string;
-    path?: string;
-    autoPaste?: boolean;
-  }) => void;
+  resolve: (value: ScreenshotData) => void;
   reject: (reason: Error) => void;
 }
 
 const screenshotCallbacks = new Map<string, ScreenshotCallback>();
+const SCREENSHOT_TIMEOUT = 10000; // Tripled for full-page screenshots
+
+// Removes and returns the callback waiting for a screenshot. Responses
+// without a request ID go to the oldest pending request.
+function takeScreenshotCallback(
+  requestId: string | undefined
+): ScreenshotCallback | undefined {
+  const key = requestId || screenshotCallbacks.keys().next().value;
+  if (key === undefined) return undefined;
+  const callback = screenshotCallbacks.get(key);
+  screenshotCallbacks.delete(key);
+  return callback;
+}
 
 // Function to get available port starting with the given port
 async function getAvailablePort(
@@ -241,9 +418,14 @@ async function getAvailablePort(
 const REQUESTED_PORT = parseInt(process.env.PORT || "3025", 10);
 let PORT = REQUESTED_PORT;
 
+// Secret the extension and MCP server present with every request, so other
+// local web pages can't read captured logs or trigger screenshots
+const pairingToken = loadPairingToken();
+
 // Create application and initialize middleware
 const app = express();
 app.use(cors());
+app.use(requirePairingToken(pairingToken));
 // Increase JSON body parser limit to 50MB to handle large screenshots
 app.use(bodyParser.json({ limit: "50mb" }));
 app.use(bodyParser.urlencoded({ limit: "50mb", extended: true }));
@@ -305,41 +487,62 @@ function processLogsWithSettings(logs: any[]) {
   });
 }
 
-// Helper to calculate size of a log entry
-function calculateLogSize(log: any): number {
-  return JSON.stringify(log).length;
-}
-
-// Helper to truncate logs based on character limit
-function truncateLogsToQueryLimit(logs: any[]): any[] {
-  if (logs.length === 0) return logs;
-
-  // First process logs according to current settings
-  const processedLogs = processLogsWithSettings(logs);
-
-  let currentSize = 0;
-  const result = [];
-
-  for (const log of processedLogs) {
-    const logSize = calculateLogSize(log);
+// Helper to fill a page by the request's token budget, or by the character
+// query limit when it has none. `reservedTokens` accounts for content sent
+// alongside the items, such as the rest of an audit report.
+async function fillPage<T>(
+  items: T[],
+  page: PageRequest,
+  reservedTokens: number = 0
+): Promise<{ items: T[]; hasMore: boolean; usage?: TokenUsage }> {
+  if (!page.tokenBudget) {
+    return takePage(items, currentSettings.queryLimit, page.limit);
+  }
 
-    // Check if adding this log would exceed the limit
-    if (currentSize + logSize > currentSettings.queryLimit) {
-      console.log(
-        `Reached query limit (${currentSize}/${currentSettings.queryLimit}), truncating logs`
-      );
-      break;
-    }
+  const budgeted = await takeTokenBudgetedPage(
+    items,
+    Math.max(0, page.tokenBudget - reservedTokens),
+    currentSettings.model,
+    page.limit
+  );
+  return {
+    items: budgeted.items,
+    hasMore: budgeted.hasMore,
+    usage: {
+      tokenBudget: page.tokenBudget,
+      tokensUsed: reservedTokens + budgeted.tokensUsed,
+      omitted: items.length - budgeted.items.length,
+      tokenizer: budgeted.tokenizer,
+    },
+  };
+}
 
-    // Add log and update size
-    result.push(log);
-    currentSize += logSize;
-    console.log(`Added log of size ${logSize}, total size now: ${currentSize}`);
+// Helper to return one page of logs, starting after the cursor's sequence number
+async function paginateLogs(logs: any[], page: PageRequest) {
+  const after = page.cursor ? page.cursor.after : 0;
+  if (!Number.isInteger(after)) {
+    throw new PaginationError('"cursor" does not belong to a log endpoint');
   }
 
-  return result;
+  // Process logs according to current settings before measuring them
+  const remaining = processLogsWithSettings(
+    logs.filter((log) => (log.seq ?? 0) > after)
+  );
+  const { items, hasMore, usage } = await fillPage(remaining, page);
+
+  return {
+    logs: items,
+    total: logs.length,
+    nextCursor: hasMore
+      ? encodeCursor({ after: items[items.length - 1].seq })
+      : null,
+    ...(usage && { usage }),
+  };
 }
 
+// Entries of each tab still waiting to be recorded
+const pendingLogs = new WeakMap<TabState, Promise<void>>();
+
 // Endpoint for the extension to POST data
 app.post("/extension-log", (req, res) => {
   console.log("\n=== Received Extension Log ===");
@@ -349,7 +552,7 @@ app.post("/extension-log", (req, res) => {
     hasSettings: !!req.body.settings,
   });
 
-  const { data, settings } = req.body;
+  const { settings } = req.body;
 
   // Update settings if provided
   if (settings) {
@@ -360,29 +563,50 @@ app.post("/extension-log", (req, res) => {
     };
   }
 
-  if (!data) {
+  if (!req.body.data) {
     console.log("Warning: No data received in log request");
     res.status(400).json({ status: "error", message: "No data provided" });
     return;
   }
+  const data = redactor.redact(req.body.data);
+  const tab = getSourceTab(data.tabId);
+
+  // Console entries wait for their stack frames to be mapped to original
+  // sources. A tab's entries are recorded in arrival order, so a slow
+  // source map can't reorder them.
+  const recorded = (pendingLogs.get(tab) ?? Promise.resolve())
+    .then(async () => {
+      if (Array.isArray(data.stackTrace)) {
+        data.stackTrace = await resolveStackTrace(data.stackTrace, tab.scripts);
+      }
+      recordExtensionLog(tab, data);
+    })
+    .catch((error) => console.error("Error recording log entry:", error));
+  pendingLogs.set(tab, recorded);
+
+  res.json({ status: "ok" });
+});
 
+// Stores an entry the extension sent in its tab's logs
+function recordExtensionLog(tab: TabState, data: any) {
   console.log(`Processing ${data.type} log entry`);
 
+  // Sequence numbers keep log order stable for pagination cursors, even as
+  // the oldest entries are dropped
+  data.seq = nextLogSequence++;
+
+  // Older extensions send neither, and only ever report console API calls
+  // and exceptions
+  if (data.type === "console-log" || data.type === "console-error") {
+    data.severity ??= getConsoleSeverity(data.level);
+    data.source ??= data.exception ? "javascript" : "console-api";
+  }
+
   switch (data.type) {
     case "page-navigated":
-      // Handle page navigation event via HTTP POST
       // Note: This is also handled in the WebSocket message handler
       // as the extension may send navigation events through either channel
-      console.log("Received page navigation event with URL:", data.url);
-      currentUrl = data.url;
-
-      // Also update the tab ID if provided
-      if (data.tabId) {
-        console.log("Updating tab ID from page navigation event:", data.tabId);
-        currentTabId = data.tabId;
-      }
-
-      console.log("Updated current URL:", currentUrl);
+      recordNavigation(tab, data.url, data.timestamp);
       break;
     case "console-log":
       console.log("Adding console log:", {
@@ -392,13 +616,16 @@ app.post("/extension-log", (req, res) => {
           (data.message?.length > 100 ? "..." : ""),
         timestamp: data.timestamp,
       });
-      consoleLogs.push(data);
-      if (consoleLogs.length > currentSettings.logLimit) {
+      tab.consoleLogs.push(data);
+      tab.timeline.recordConsole(data);
+      publishLog(tab, "console-log", data);
+      if (tab.consoleLogs.length > currentSettings.logLimit) {
         console.log(
           `Console logs exceeded limit (${currentSettings.logLimit}), removing oldest entry`
         );
-        consoleLogs.shift();
+        tab.consoleLogs.shift();
       }
+      notifyStateChange("console-log", { tabId: tab.tabId });
       break;
     case "console-error":
       console.log("Adding console error:", {
@@ -408,13 +635,22 @@ app.post("/extension-log", (req, res) => {
           (data.message?.length > 100 ? "..." : ""),
         timestamp: data.timestamp,
       });
-      consoleErrors.push(data);
-      if (consoleErrors.length > currentSettings.logLimit) {
-        console.log(
-          `Console errors exceeded limit (${currentSettings.logLimit}), removing oldest entry`
-        );
-        consoleErrors.shift();
+      const group = tab.errorGroups.record(data);
+      data.fingerprint = group.fingerprint;
+      publishLog(tab, "console-error", data);
+      // Repeats of an error only count towards its group, so they can't
+      // crowd other errors out of the log
+      if (shouldKeepOccurrence(group)) {
+        tab.consoleErrors.push(data);
+        tab.timeline.recordConsole(data);
+        if (tab.consoleErrors.length > currentSettings.logLimit) {
+          console.log(
+            `Console errors exceeded limit (${currentSettings.logLimit}), removing oldest entry`
+          );
+          tab.consoleErrors.shift();
+        }
       }
+      notifyStateChange("console-error", { tabId: tab.tabId });
       break;
     case "network-request":
       const logEntry = {
@@ -424,25 +660,33 @@ app.post("/extension-log", (req, res) => {
         timestamp: data.timestamp,
       };
       console.log("Adding network request:", logEntry);
-
-      // Route network requests based on status code
-      if (data.status >= 400) {
-        networkErrors.push(data);
-        if (networkErrors.length > currentSettings.logLimit) {
+      tab.timeline.recordNetworkRequest(data);
+
+      // Route network requests based on status code. Requests that got no
+      // response at all, such as blocked scripts, report status 0.
+      if (data.status >= 400 || !data.status || data.error) {
+        tab.networkErrors.push(data);
+        publishLog(tab, "network-error", data);
+        if (tab.networkErrors.length > currentSettings.logLimit) {
           console.log(
             `Network errors exceeded limit (${currentSettings.logLimit}), removing oldest entry`
           );
-          networkErrors.shift();
+          tab.networkErrors.shift();
         }
       } else {
-        networkSuccess.push(data);
-        if (networkSuccess.length > currentSettings.logLimit) {
+        tab.networkSuccess.push(data);
+        publishLog(tab, "network-success", data);
+        if (tab.networkSuccess.length > currentSettings.logLimit) {
           console.log(
             `Network success logs exceeded limit (${currentSettings.logLimit}), removing oldest entry`
           );
-          networkSuccess.shift();
+          tab.networkSuccess.shift();
         }
       }
+      notifyStateChange("network-request", {
+        tabId: tab.tabId,
+        status: data.status,
+      });
       break;
     case "selected-element":
       console.log("Updating selected element:", {
@@ -450,62 +694,336 @@ app.post("/extension-log", (req, res) => {
         id: data.element?.id,
         className: data.element?.className,
       });
-      selectedElement = data.element;
+      tab.selectedElement = data.element;
+      notifyStateChange("selected-element", { tabId: tab.tabId });
       break;
     default:
       console.log("Unknown log type:", data.type);
   }
 
-  console.log("Current log counts:", {
-    consoleLogs: consoleLogs.length,
-    consoleErrors: consoleErrors.length,
-    networkErrors: networkErrors.length,
-    networkSuccess: networkSuccess.length,
+  console.log(`Current log counts for tab ${tab.tabId}:`, {
+    consoleLogs: tab.consoleLogs.length,
+    consoleErrors: tab.consoleErrors.length,
+    networkErrors: tab.networkErrors.length,
+    networkSuccess: tab.networkSuccess.length,
   });
   console.log("=== End Extension Log ===\n");
+}
 
-  res.json({ status: "ok" });
-});
+// Answers 500 for an unexpected error in an async handler, which Express 4
+// would otherwise leave as an unhandled rejection
+function sendServerError(
+  req: express.Request,
+  res: express.Response,
+  error: unknown
+) {
+  console.error(`Error handling ${req.method} ${req.path}:`, error);
+  if (res.headersSent) return;
+  res.status(500).json({
+    error: error instanceof Error ? error.message : String(error),
+  });
+}
+
+// Helper to filter logs by the request's query string and send them back.
+// Never rejects: errors are answered with a 400 or 500.
+async function sendFilteredLogs(
+  req: express.Request,
+  res: express.Response,
+  logs: any[],
+  lastNavigationAt: number | null
+) {
+  try {
+    const query = parseLogQuery(req.query, lastNavigationAt);
+    const filteredLogs = applyLogQuery(logs, query);
+    res.json(await paginateLogs(filteredLogs, parsePageRequest(req.query)));
+  } catch (error) {
+    if (error instanceof LogQueryError || error instanceof PaginationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    sendServerError(req, res, error);
+  }
+}
+
+// Finds the tab named by a request's tabId parameter, or the current tab.
+// Returns null when no tab has reported anything yet, and undefined after
+// answering 404 for an unknown tab.
+function getRequestedTab(
+  res: express.Response,
+  tabId: unknown
+): TabState | null | undefined {
+  try {
+    return tabs.resolve(tabId) ?? null;
+  } catch (error) {
+    if (error instanceof TabNotFoundError) {
+      res.status(404).json({ error: error.message });
+      return undefined;
+    }
+    throw error;
+  }
+}
 
-// Update GET endpoints to use the new function
+// Sends one tab's logs, filtered by the request's query string. Never
+// rejects, so routes can call it without awaiting.
+async function sendTabLogs(
+  req: express.Request,
+  res: express.Response,
+  selectLogs: (tab: TabState) => any[]
+) {
+  try {
+    const tab = getRequestedTab(res, req.query.tabId);
+    if (tab === undefined) return;
+    await sendFilteredLogs(
+      req,
+      res,
+      tab ? selectLogs(tab) : [],
+      tab?.lastNavigationAt ?? null
+    );
+  } catch (error) {
+    sendServerError(req, res, error);
+  }
+}
+
+// Log endpoints accept the filters described in log-query.ts, and a tabId
 app.get("/console-logs", (req, res) => {
-  const truncatedLogs = truncateLogsToQueryLimit(consoleLogs);
-  res.json(truncatedLogs);
+  sendTabLogs(req, res, (tab) => tab.consoleLogs);
 });
 
 app.get("/console-errors", (req, res) => {
-  const truncatedLogs = truncateLogsToQueryLimit(consoleErrors);
-  res.json(truncatedLogs);
+  sendTabLogs(req, res, (tab) => tab.consoleErrors);
+});
+
+// Console errors grouped by fingerprint, most frequent first
+app.get("/error-groups", (req, res) => {
+  const tab = getRequestedTab(res, req.query.tabId);
+  if (tab === undefined) return;
+  try {
+    const { limit } = parseErrorGroupQuery(req.query);
+    const groups = tab ? tab.errorGroups.list() : [];
+    res.json({ groups: groups.slice(0, limit), total: groups.length });
+  } catch (error) {
+    if (error instanceof ErrorGroupQueryError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+});
+
+// Warnings are kept with the other console logs
+app.get("/console-warnings", (req, res) => {
+  sendTabLogs(req, res, (tab) =>
+    tab.consoleLogs.filter((log) => log.severity === "warning")
+  );
 });
 
 app.get("/network-errors", (req, res) => {
-  const truncatedLogs = truncateLogsToQueryLimit(networkErrors);
-  res.json(truncatedLogs);
+  sendTabLogs(req, res, (tab) => tab.networkErrors);
 });
 
 app.get("/network-success", (req, res) => {
-  const truncatedLogs = truncateLogsToQueryLimit(networkSuccess);
-  res.json(truncatedLogs);
+  sendTabLogs(req, res, (tab) => tab.networkSuccess);
 });
 
 app.get("/all-xhr", (req, res) => {
-  // Merge and sort network success and error logs by timestamp
-  const mergedLogs = [...networkSuccess, ...networkErrors].sort(
-    (a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime()
+  // Merge network success and error logs in the order they were received,
+  // which is the order cursors page through
+  sendTabLogs(req, res, (tab) =>
+    [...tab.networkSuccess, ...tab.networkErrors].sort((a, b) => a.seq - b.seq)
   );
-  const truncatedLogs = truncateLogsToQueryLimit(mergedLogs);
-  res.json(truncatedLogs);
+});
+
+// Lists the tabs the extension has reported, with their DevTools panel status
+app.get("/tabs", (req, res) => {
+  res.json({ tabs: tabs.list() });
+});
+
+// ===== HAR Export =====
+
+// Exports a tab's recorded network traffic as a HAR 1.2 file
+app.get("/har", (req, res) => {
+  const tab = getRequestedTab(res, req.query.tabId);
+  if (tab === undefined) return;
+  const har = buildHar(tab?.har ?? createHarRecording(), {
+    name: "browser-tools-server",
+    version: "1.2.0",
+  });
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${getHarFileName()}"`
+  );
+  res.json(har);
+});
+
+// Starts a new recording, e.g. before reproducing a bug
+app.delete("/har", (req, res) => {
+  const tab = getRequestedTab(res, req.query.tabId);
+  if (tab === undefined) return;
+  if (tab) tab.har = createHarRecording();
+  res.json({ status: "ok", message: "HAR recording cleared" });
+});
+
+// ===== Timeline =====
+
+// Console messages, exceptions, network requests, navigations and
+// screenshots of one tab in time order, one page load at a time
+app.get("/timeline", async (req, res) => {
+  try {
+    const tab = getRequestedTab(res, req.query.tabId);
+    if (tab === undefined) return;
+
+    const page = parsePageRequest(req.query);
+    const after = page.cursor?.timeline as TimelinePosition | undefined;
+    if (
+      page.cursor &&
+      ![after?.navigation, after?.timestamp, after?.id].every(Number.isFinite)
+    ) {
+      throw new PaginationError('"cursor" does not belong to /timeline');
+    }
+
+    const events = (tab?.timeline ?? new Timeline()).query(
+      readQueryString(req.query.navigation)
+    );
+    const { items, hasMore, usage } = await fillPage(
+      after
+        ? events.filter((event) => compareTimelinePositions(event, after) > 0)
+        : events,
+      page
+    );
+    const last = items[items.length - 1];
+    res.json({
+      navigation: tab?.timeline.currentNavigation ?? 0,
+      events: items,
+      total: events.length,
+      nextCursor: hasMore
+        ? encodeCursor({
+            timeline: {
+              navigation: last.navigation,
+              timestamp: last.timestamp,
+              id: last.id,
+            },
+          })
+        : null,
+      ...(usage && { usage }),
+    });
+  } catch (error) {
+    if (
+      error instanceof TimelineQueryError ||
+      error instanceof PaginationError
+    ) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    sendServerError(req, res, error);
+  }
+});
+
+// Starts a new timeline, e.g. before reproducing a bug
+app.delete("/timeline", (req, res) => {
+  const tab = getRequestedTab(res, req.query.tabId);
+  if (tab === undefined) return;
+  tab?.timeline.clear();
+  res.json({ status: "ok", message: "Timeline cleared" });
+});
+
+// ===== Log History =====
+
+// Reads a single-valued query parameter, taking the last one if repeated
+function readQueryString(value: unknown): string | undefined {
+  const last = Array.isArray(value) ? value[value.length - 1] : value;
+  return typeof last === "string" && last !== "" ? last : undefined;
+}
+
+// Reads the kind parameter of /log-history and /logs/stream
+function readLogKinds(value: unknown): StoredLogKind[] | undefined {
+  const kinds = readQueryString(value)
+    ?.split(",")
+    .map((kind) => kind.trim());
+  const unknownKind = kinds?.find(
+    (kind) => !STORED_LOG_KINDS.includes(kind as StoredLogKind)
+  );
+  if (unknownKind !== undefined) {
+    throw new LogQueryError(
+      `"kind" must be one or more of ${STORED_LOG_KINDS.join(
+        ", "
+      )}, got "${unknownKind}"`
+    );
+  }
+  return kinds as StoredLogKind[] | undefined;
+}
+
+function sendLogStoreDisabled(res: express.Response) {
+  res.status(404).json({
+    error:
+      "Log history is disabled. Start the server with BROWSER_TOOLS_LOG_STORE set to a directory to enable it.",
+  });
+}
+
+// Lists stored sessions and the page loads within each
+app.get("/log-history/sessions", async (req, res) => {
+  if (!logStore) {
+    sendLogStoreDisabled(res);
+    return;
+  }
+  try {
+    res.json({
+      currentSession: logStore.sessionId,
+      sessions: await logStore.listSessions(),
+    });
+  } catch (error) {
+    sendServerError(req, res, error);
+  }
+});
+
+// Reads stored logs from earlier page loads or connector runs. Accepts
+// session, navigation and kind, plus the usual log filters and paging.
+app.get("/log-history", async (req, res) => {
+  if (!logStore) {
+    sendLogStoreDisabled(res);
+    return;
+  }
+
+  try {
+    // Stored tabs may be long closed, so tabId filters instead of resolving
+    const tabId = readQueryString(req.query.tabId);
+    const sinceTab = tabId === undefined ? tabs.getCurrent() : tabs.get(tabId);
+    const query = parseLogQuery(req.query, sinceTab?.lastNavigationAt ?? null);
+    const page = parsePageRequest(req.query);
+    // Filtered while the session is read, so only matches are held in memory
+    const entries = await logStore.query({
+      session: readQueryString(req.query.session),
+      navigation: readQueryString(req.query.navigation),
+      kinds: readLogKinds(req.query.kind),
+      tabId,
+      match: (entry) => matchesLogQuery(entry, query),
+    });
+    res.json(await paginateLogs(entries, page));
+  } catch (error) {
+    if (
+      error instanceof LogStoreError ||
+      error instanceof LogQueryError ||
+      error instanceof PaginationError
+    ) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    sendServerError(req, res, error);
+  }
 });
 
 // Add new endpoint for selected element
 app.post("/selected-element", (req, res) => {
-  const { data } = req.body;
-  selectedElement = data;
+  const { data, tabId } = req.body;
+  const tab = getSourceTab(tabId);
+  tab.selectedElement = redactor.redact(data);
+  notifyStateChange("selected-element", { tabId: tab.tabId });
   res.json({ status: "ok" });
 });
 
 app.get("/selected-element", (req, res) => {
-  res.json(selectedElement || { message: "No element selected" });
+  const tab = getRequestedTab(res, req.query.tabId);
+  if (tab === undefined) return;
+  res.json(tab?.selectedElement || { message: "No element selected" });
 });
 
 app.get("/.port", (req, res) => {
@@ -519,25 +1037,50 @@ app.get("/.identity", (req, res) => {
     name: "browser-tools-server",
     version: "1.2.0",
     signature: "mcp-browser-connector-24x7",
+    // Lets clients tell a wrong token apart from a missing server
+    authRequired: true,
+    paired: isPaired(req, pairingToken),
   });
 });
 
+// Clears one tab's logs and selected element
+function clearTabLogs(tab: TabState) {
+  tab.consoleLogs.length = 0;
+  tab.consoleErrors.length = 0;
+  tab.errorGroups.clear();
+  tab.networkErrors.length = 0;
+  tab.networkSuccess.length = 0;
+  tab.selectedElement = null;
+}
+
 // Add function to clear all logs
 function clearAllLogs() {
   console.log("Wiping all logs...");
-  consoleLogs.length = 0;
-  consoleErrors.length = 0;
-  networkErrors.length = 0;
-  networkSuccess.length = 0;
-  allXhr.length = 0;
-  selectedElement = null;
+  tabs.all().forEach(clearTabLogs);
   console.log("All logs have been wiped");
+  notifyStateChange("logs-wiped");
 }
 
-// Add endpoint to wipe logs
+// Add endpoint to wipe logs. The extension wipes its own tab on navigation
+// by sending a tabId; without one, every tab is wiped.
 app.post("/wipelogs", (req, res) => {
-  clearAllLogs();
-  res.json({ status: "ok", message: "All logs cleared successfully" });
+  const tabId = req.body?.tabId;
+  if (!hasTabId(tabId)) {
+    clearAllLogs();
+    res.json({ status: "ok", message: "All logs cleared successfully" });
+    return;
+  }
+
+  const tab = tabs.get(tabId);
+  if (tab) {
+    console.log(`Wiping logs for tab ${tab.tabId}`);
+    clearTabLogs(tab);
+    notifyStateChange("logs-wiped", { tabId: tab.tabId });
+  }
+  res.json({
+    status: "ok",
+    message: `Logs cleared successfully for tab ${tabId}`,
+  });
 });
 
 // Add endpoint for the extension to report the current URL
@@ -548,36 +1091,35 @@ app.post("/current-url", (req, res) => {
   );
 
   if (req.body && req.body.url) {
-    const oldUrl = currentUrl;
-    currentUrl = req.body.url;
-
-    // Update the current tab ID if provided
-    if (req.body.tabId) {
-      const oldTabId = currentTabId;
-      currentTabId = req.body.tabId;
-      console.log(`Updated current tab ID: ${oldTabId} -> ${currentTabId}`);
-    }
+    // The background script reports URL changes and activations for every
+    // tab, so the reported tab becomes the most recently active one
+    const tab = getSourceTab(req.body.tabId);
+    const oldUrl = tab.url;
+    tab.url = req.body.url;
+    tabs.touch(tab);
 
     // Log the source of the update if provided
     const source = req.body.source || "unknown";
-    const tabId = req.body.tabId || "unknown";
     const timestamp = req.body.timestamp
       ? new Date(req.body.timestamp).toISOString()
       : "unknown";
 
     console.log(
-      `Updated current URL via dedicated endpoint: ${oldUrl} -> ${currentUrl}`
+      `Updated URL of tab ${tab.tabId} via dedicated endpoint: ${oldUrl} -> ${tab.url}`
     );
+    if (oldUrl !== tab.url) {
+      notifyStateChange("page-navigated", { tabId: tab.tabId });
+    }
     console.log(
-      `URL update details: source=${source}, tabId=${tabId}, timestamp=${timestamp}`
+      `URL update details: source=${source}, tabId=${tab.tabId}, timestamp=${timestamp}`
     );
 
     res.json({
       status: "ok",
-      url: currentUrl,
-      tabId: currentTabId,
+      url: tab.url,
+      tabId: tab.tabId,
       previousUrl: oldUrl,
-      updated: oldUrl !== currentUrl,
+      updated: oldUrl !== tab.url,
     });
   } else {
     console.log("No URL provided in current-url request");
@@ -587,8 +1129,147 @@ app.post("/current-url", (req, res) => {
 
 // Add endpoint to get the current URL
 app.get("/current-url", (req, res) => {
-  console.log("Current URL requested, returning:", currentUrl);
-  res.json({ url: currentUrl });
+  const tab = getRequestedTab(res, req.query.tabId);
+  if (tab === undefined) return;
+  console.log("Current URL requested, returning:", tab?.url ?? "");
+  res.json({ url: tab?.url ?? "", tabId: tab?.tabId ?? null });
+});
+
+// Server-Sent Events stream of browser state changes.
+// Each event only says what changed; clients re-read the matching endpoint.
+app.get("/events", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+  console.log("Client subscribed to browser state events");
+
+  const onChange = (change: BrowserStateChange) => {
+    res.write(`event: change\ndata: ${JSON.stringify(change)}\n\n`);
+  };
+  browserEvents.on("change", onChange);
+
+  // Comment lines keep idle proxies and clients from closing the stream
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 30000);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    browserEvents.off("change", onChange);
+    console.log("Client unsubscribed from browser state events");
+  });
+});
+
+// ===== Log Streaming =====
+
+// Lists the entries still held in memory that were captured after a
+// sequence number, oldest first, so reconnecting streams can catch up
+function getLogsAfter(
+  after: number
+): { tabId: TabId; kind: StoredLogKind; entry: any }[] {
+  const logs: { tabId: TabId; kind: StoredLogKind; entry: any }[] = [];
+  for (const tab of tabs.all()) {
+    const lists: [StoredLogKind, any[]][] = [
+      ["console-log", tab.consoleLogs],
+      ["console-error", tab.consoleErrors],
+      ["network-error", tab.networkErrors],
+      ["network-success", tab.networkSuccess],
+    ];
+    for (const [kind, entries] of lists) {
+      for (const entry of entries) {
+        if (entry.seq > after) logs.push({ tabId: tab.tabId, kind, entry });
+      }
+    }
+  }
+  return logs.sort((a, b) => a.entry.seq - b.entry.seq);
+}
+
+// Reads the sequence number a stream resumes after, from the Last-Event-ID
+// header EventSource sends when reconnecting or the "after" parameter
+function readStreamPosition(req: express.Request): number | undefined {
+  const raw =
+    readQueryString(req.headers["last-event-id"]) ??
+    readQueryString(req.query.after);
+  if (raw === undefined) return undefined;
+  const after = Number(raw);
+  if (!Number.isInteger(after) || after < 0) {
+    throw new LogQueryError(
+      `"after" must be the sequence number of a log entry, got "${raw}"`
+    );
+  }
+  return after;
+}
+
+// Server-Sent Events stream of captured log entries, filtered like the log
+// endpoints. Unlike them it follows every tab unless tabId names one, since
+// a tab may start reporting after the client subscribed.
+app.get("/logs/stream", (req, res) => {
+  let query: LogQuery;
+  let kinds: StoredLogKind[] | undefined;
+  let after: number | undefined;
+  try {
+    // The stream spans tabs, so sinceLastNavigation is applied per entry below
+    query = parseLogQuery(req.query, null);
+    kinds = readLogKinds(req.query.kind);
+    after = readStreamPosition(req);
+  } catch (error) {
+    if (error instanceof LogQueryError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    throw error;
+  }
+  const tabId = readQueryString(req.query.tabId);
+  const sinceLastNavigation =
+    readQueryString(req.query.sinceLastNavigation) === "true";
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+  console.log("Client subscribed to the log stream");
+
+  // Entry sequence numbers are the event IDs clients resume from
+  const onLog = (entryTabId: TabId, kind: StoredLogKind, entry: any) => {
+    if (tabId !== undefined && String(entryTabId) !== tabId) return;
+    if (kinds && !kinds.includes(kind)) return;
+    if (!matchesLogQuery(entry, query)) return;
+    // Drops entries, mostly replayed ones, from before their tab last navigated
+    const lastNavigationAt = sinceLastNavigation
+      ? tabs.get(entryTabId)?.lastNavigationAt
+      : null;
+    if (lastNavigationAt != null) {
+      const timestamp = new Date(entry.timestamp).getTime();
+      if (Number.isNaN(timestamp) || timestamp < lastNavigationAt) return;
+    }
+    const [log] = processLogsWithSettings([entry]);
+    res.write(
+      `id: ${entry.seq}\nevent: log\ndata: ${JSON.stringify({
+        ...log,
+        kind,
+        tabId: entryTabId,
+      })}\n\n`
+    );
+  };
+
+  if (after !== undefined) {
+    for (const log of getLogsAfter(after)) {
+      onLog(log.tabId, log.kind, log.entry);
+    }
+  }
+  browserEvents.on("log", onLog);
+
+  // Comment lines keep idle proxies and clients from closing the stream
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 30000);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    browserEvents.off("log", onLog);
+    console.log("Client unsubscribed from the log stream");
+  });
 });
 
 interface ScreenshotMessage {
@@ -599,12 +1280,29 @@ interface ScreenshotMessage {
   autoPaste?: boolean;
 }
 
+// Audit results are kept for a while so later pages don't re-run Lighthouse
+const AUDIT_RESULT_TTL = 15 * 60 * 1000; // 15 minutes
+const MAX_CACHED_AUDIT_RESULTS = 10;
+
+// Report lists that are split across pages, checked in order
+const PAGED_REPORT_FIELDS = ["issues", "opportunities"];
+
+interface CachedAuditResult {
+  endpoint: string;
+  result: any;
+  field: string; // Name of the paged list in result.report
+  createdAt: number;
+}
+
 export class BrowserConnector {
   private wss: WebSocketServer;
-  private activeConnection: WebSocket | null = null;
+  // Open DevTools panels and the tab each one inspects. Panels from older
+  // extensions are only tied to a tab once they send a tab ID.
+  private connections: Map<WebSocket, TabState | null> = new Map();
   private app: express.Application;
   private server: any;
   private urlRequestCallbacks: Map<string, (url: string) => void> = new Map();
+  private auditResults: Map<string, CachedAuditResult> = new Map();
 
   constructor(app: express.Application, server: any) {
     this.app = app;
@@ -625,13 +1323,21 @@ export class BrowserConnector {
         );
         console.log("Browser Connector: Request body:", req.body);
         console.log(
-          "Browser Connector: Active WebSocket connection:",
-          !!this.activeConnection
+          "Browser Connector: Open WebSocket connections:",
+          this.connections.size
         );
         await this.captureScreenshot(req, res);
       }
     );
 
+    // Compare the tab with a named baseline screenshot
+    this.app.post(
+      "/compare-screenshot",
+      async (req: express.Request, res: express.Response) => {
+        await this.compareScreenshot(req, res);
+      }
+    );
+
     // Set up accessibility audit endpoint
     this.setupAccessibilityAudit();
 
@@ -644,11 +1350,27 @@ export class BrowserConnector {
     // Set up Best Practices audit endpoint
     this.setupBestPracticesAudit();
 
+    // Set up PWA audit endpoint
+    this.setupPWAAudit();
+
+    // Set up comprehensive site analysis endpoint
+    this.setupComprehensiveAnalysis();
+
     // Handle upgrade requests for WebSocket
     this.server.on(
       "upgrade",
       (request: IncomingMessage, socket: Socket, head: Buffer) => {
-        if (request.url === "/extension-ws") {
+        const { pathname } = new URL(request.url || "", "http://localhost");
+        if (pathname === "/extension-ws") {
+          // Browsers can't set headers on WebSocket requests, so panels
+          // send the pairing token as a query parameter
+          if (!isPaired(request, pairingToken)) {
+            console.log("Rejected WebSocket connection without pairing token");
+            socket.end(
+              `HTTP/1.1 401 Unauthorized\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${getUnpairedMessage()}`
+            );
+            return;
+          }
           this.wss.handleUpgrade(request, socket, head, (ws: WebSocket) => {
             this.wss.emit("connection", ws, request);
           });
@@ -656,31 +1378,58 @@ export class BrowserConnector {
       }
     );
 
-    this.wss.on("connection", (ws: WebSocket) => {
+    this.wss.on("connection", (ws: WebSocket, request: IncomingMessage) => {
       console.log("Chrome extension connected via WebSocket");
-      this.activeConnection = ws;
+      this.connections.set(ws, null);
+      // Panels identify their tab with ?tabId= when connecting
+      this.bindConnection(
+        ws,
+        new URL(request.url || "", "http://localhost").searchParams.get("tabId")
+      );
 
       ws.on("message", (message: string | Buffer | ArrayBuffer | Buffer[]) => {
         try {
           const data = JSON.parse(message.toString());
-          // Log message without the base64 data
-          console.log("Received WebSocket message:", {
-            ...data,
-            data: data.data ? "[base64 data]" : undefined,
-          });
+          // Log message without the base64 data. HAR entries and parsed
+          // scripts arrive for every resource the page loads, so they
+          // aren't logged.
+          if (data.type !== "har-entry" && data.type !== "script-parsed") {
+            console.log("Received WebSocket message:", {
+              ...data,
+              data: data.data ? "[base64 data]" : undefined,
+            });
+          }
 
+          const tab = this.bindConnection(ws, data.tabId);
+
+          // Handle a finished request forwarded for HAR export
+          if (data.type === "har-entry") {
+            recordHarEntry(
+              (tab ?? getSourceTab(undefined)).har,
+              redactor.redact(data.entry)
+            );
+          }
+          // Handle a script the page loaded, whose source map may be needed
+          // to map stack frames
+          if (data.type === "script-parsed") {
+            recordParsedScript(
+              (tab ?? getSourceTab(undefined)).scripts,
+              data.script
+            );
+          }
+          // Handle the tab details a panel sends after connecting
+          if (data.type === "tab-info" && tab) {
+            tab.windowId = data.windowId ?? tab.windowId;
+            tab.title = data.title ?? tab.title;
+            tab.url = data.url || tab.url;
+          }
           // Handle URL response
           if (data.type === "current-url-response" && data.url) {
             console.log("Received current URL from browser:", data.url);
-            currentUrl = data.url;
-
-            // Also update the tab ID if provided
-            if (data.tabId) {
-              console.log(
-                "Updating tab ID from WebSocket message:",
-                data.tabId
-              );
-              currentTabId = data.tabId;
+            const urlTab = tab ?? getSourceTab(undefined);
+            if (urlTab.url !== data.url) {
+              urlTab.url = data.url;
+              notifyStateChange("page-navigated", { tabId: urlTab.tabId });
             }
 
             // Call the callback if exists
@@ -697,35 +1446,27 @@ export class BrowserConnector {
           // Note: This is intentionally duplicated from the HTTP handler in /extension-log
           // as the extension may send navigation events through either channel
           if (data.type === "page-navigated" && data.url) {
-            console.log("Page navigated to:", data.url);
-            currentUrl = data.url;
-
-            // Also update the tab ID if provided
-            if (data.tabId) {
-              console.log(
-                "Updating tab ID from page navigation event:",
-                data.tabId
-              );
-              currentTabId = data.tabId;
-            }
+            recordNavigation(
+              tab ?? getSourceTab(undefined),
+              data.url,
+              data.timestamp
+            );
           }
           // Handle screenshot response
           if (data.type === "screenshot-data" && data.data) {
             console.log("Received screenshot data");
             console.log("Screenshot path from extension:", data.path);
             console.log("Auto-paste setting from extension:", data.autoPaste);
-            // Get the most recent callback since we're not using requestId anymore
-            const callbacks = Array.from(screenshotCallbacks.values());
-            if (callbacks.length > 0) {
-              const callback = callbacks[0];
+            const callback = takeScreenshotCallback(data.requestId);
+            if (callback) {
               console.log("Found callback, resolving promise");
               // Pass both the data, path and autoPaste to the resolver
               callback.resolve({
                 data: data.data,
                 path: data.path,
                 autoPaste: data.autoPaste,
+                viewport: data.viewport,
               });
-              screenshotCallbacks.clear(); // Clear all callbacks
             } else {
               console.log("No callbacks found for screenshot");
             }
@@ -733,15 +1474,14 @@ export class BrowserConnector {
           // Handle screenshot error
           else if (data.type === "screenshot-error") {
             console.log("Received screenshot error:", data.error);
-            const callbacks = Array.from(screenshotCallbacks.values());
-            if (callbacks.length > 0) {
-              const callback = callbacks[0];
-              callback.reject(
-                new Error(data.error || "Screenshot capture failed")
-              );
-              screenshotCallbacks.clear(); // Clear all callbacks
-            }
-          } else {
+            takeScreenshotCallback(data.requestId)?.reject(
+              new Error(data.error || "Screenshot capture failed")
+            );
+          } else if (
+            data.type !== "tab-info" &&
+            data.type !== "har-entry" &&
+            data.type !== "script-parsed"
+          ) {
             console.log("Unhandled message type:", data.type);
           }
         } catch (error) {
@@ -751,8 +1491,10 @@ export class BrowserConnector {
 
       ws.on("close", () => {
         console.log("Chrome extension disconnected");
-        if (this.activeConnection === ws) {
-          this.activeConnection = null;
+        const tab = this.connections.get(ws);
+        this.connections.delete(ws);
+        if (tab && ![...this.connections.values()].includes(tab)) {
+          tab.connected = false;
         }
       });
     });
@@ -812,8 +1554,45 @@ export class BrowserConnector {
     );
   }
 
+  // Ties a panel's connection to the tab it inspects
+  private bindConnection(ws: WebSocket, tabId: unknown): TabState | null {
+    const bound = this.connections.get(ws) ?? null;
+    if (!hasTabId(tabId)) return bound;
+
+    const tab = tabs.track(tabId as TabId);
+    if (bound !== tab) {
+      console.log(`WebSocket connection inspects tab ${tab.tabId}`);
+      this.connections.set(ws, tab);
+      if (bound && ![...this.connections.values()].includes(bound)) {
+        bound.connected = false;
+      }
+      tab.connected = true;
+      tabs.touch(tab);
+    }
+    return tab;
+  }
+
+  /**
+   * Finds the DevTools panel to send a request to: the named tab's panel,
+   * or the current tab's when no tab is named, falling back to the most
+   * recently connected panel
+   *
+   * @throws TabNotFoundError if the named tab hasn't been seen
+   */
+  private getConnection(tabId?: unknown): WebSocket | null {
+    const tab = tabs.resolve(tabId);
+    const open = [...this.connections].filter(
+      ([ws]) => ws.readyState === WebSocket.OPEN
+    );
+    const match = open.find(([, wsTab]) => tab && wsTab === tab);
+    if (match) return match[0];
+    if (hasTabId(tabId)) return null;
+    return open.length > 0 ? open[open.length - 1][0] : null;
+  }
+
   private async handleScreenshot(req: express.Request, res: express.Response) {
-    if (!this.activeConnection) {
+    const connection = this.getConnection();
+    if (!connection) {
       return res.status(503).json({ error: "Chrome extension not connected" });
     }
 
@@ -861,21 +1640,19 @@ export class BrowserConnector {
           } catch (error) {
             reject(error);
           } finally {
-            this.activeConnection?.removeListener("message", messageHandler);
+            connection.removeListener("message", messageHandler);
           }
         };
 
         // Add temporary message handler
-        this.activeConnection?.on("message", messageHandler);
+        connection.on("message", messageHandler);
 
         // Request screenshot
-        this.activeConnection?.send(
-          JSON.stringify({ type: "take-screenshot" })
-        );
+        connection.send(JSON.stringify({ type: "take-screenshot" }));
 
         // Set timeout
         setTimeout(() => {
-          this.activeConnection?.removeListener("message", messageHandler);
+          connection.removeListener("message", messageHandler);
           reject(new Error("Screenshot timeout"));
         }, 30000); // 30 second timeout
       });
@@ -890,12 +1667,15 @@ export class BrowserConnector {
     }
   }
 
-  // Updated method to get URL for audits with improved connection tracking and waiting
-  private async getUrlForAudit(): Promise<string | null> {
+  // Updated method to get URL for audits with improved connection tracking and waiting.
+  // Audits the named tab's page, or the current tab's.
+  private async getUrlForAudit(tabId?: unknown): Promise<string | null> {
+    const getTabUrl = () => tabs.resolve(tabId)?.url;
     try {
       console.log("getUrlForAudit called");
 
       // Use the stored URL if available immediately
+      let currentUrl = getTabUrl();
       if (currentUrl && currentUrl !== "" && currentUrl !== "about:blank") {
         console.log(`Using existing URL immediately: ${currentUrl}`);
         return currentUrl;
@@ -910,6 +1690,7 @@ export class BrowserConnector {
 
       for (let attempt = 0; attempt < maxAttempts; attempt++) {
         // Check if URL is available now
+        currentUrl = getTabUrl();
         if (currentUrl && currentUrl !== "" && currentUrl !== "about:blank") {
           console.log(`URL became available after waiting: ${currentUrl}`);
           return currentUrl;
@@ -933,77 +1714,125 @@ export class BrowserConnector {
 
   // Public method to check if there's an active connection
   public hasActiveConnection(): boolean {
-    return this.activeConnection !== null;
+    return this.connections.size > 0;
   }
 
-  // Add new endpoint for programmatic screenshot capture
-  async captureScreenshot(req: express.Request, res: express.Response) {
-    console.log("Browser Connector: Starting captureScreenshot method");
-    console.log("Browser Connector: Request headers:", req.headers);
-    console.log("Browser Connector: Request method:", req.method);
+  /**
+   * Finds the panel that should take a screenshot for a request, or
+   * answers with a 404 or 503 and returns null when there is none
+   */
+  private getScreenshotConnection(
+    req: express.Request,
+    res: express.Response
+  ): WebSocket | null {
+    const tabId = req.body?.tabId;
+    let connection: WebSocket | null;
+    try {
+      connection = this.getConnection(tabId);
+    } catch (error) {
+      if (error instanceof TabNotFoundError) {
+        res.status(404).json({ error: error.message });
+        return null;
+      }
+      throw error;
+    }
 
-    if (!this.activeConnection) {
+    if (!connection) {
       console.log(
         "Browser Connector: No active WebSocket connection to Chrome extension"
       );
-      return res.status(503).json({ error: "Chrome extension not connected" });
-    }
-
-    try {
-      console.log("Browser Connector: Starting screenshot capture...");
-      const requestId = Date.now().toString();
-      console.log("Browser Connector: Generated requestId:", requestId);
-
-      // Create promise that will resolve when we get the screenshot data
-      const screenshotPromise = new Promise<{
-        data: string;
-        path?: string;
-        autoPaste?: boolean;
-      }>((resolve, reject) => {
-        console.log(
-          `Browser Connector: Setting up screenshot callback for requestId: ${requestId}`
-        );
-        // Store callback in map
-        screenshotCallbacks.set(requestId, { resolve, reject });
-        console.log(
-          "Browser Connector: Current callbacks:",
-          Array.from(screenshotCallbacks.keys())
-        );
-
-        // Set timeout to clean up if we don't get a response
-        setTimeout(() => {
-          if (screenshotCallbacks.has(requestId)) {
-            console.log(
-              `Browser Connector: Screenshot capture timed out for requestId: ${requestId}`
-            );
-            screenshotCallbacks.delete(requestId);
-            reject(
-              new Error(
-                "Screenshot capture timed out - no response from Chrome extension"
-              )
-            );
-          }
-        }, 10000);
+      res.status(503).json({
+        error: !hasTabId(tabId)
+          ? "Chrome extension not connected"
+          : `No DevTools panel is open for tab ${tabId}`,
       });
+    }
+    return connection;
+  }
 
-      // Send screenshot request to extension
-      const message = JSON.stringify({
-        type: "take-screenshot",
-        requestId: requestId,
-      });
+  /**
+   * Asks a panel's extension for a screenshot and waits for the image
+   */
+  private requestScreenshot(
+    connection: WebSocket,
+    options: ScreenshotCaptureOptions
+  ): Promise<ScreenshotData> {
+    console.log("Browser Connector: Starting screenshot capture...");
+    const requestId = randomUUID();
+    console.log("Browser Connector: Generated requestId:", requestId);
+
+    // Create promise that will resolve when we get the screenshot data
+    const screenshotPromise = new Promise<ScreenshotData>((resolve, reject) => {
       console.log(
-        `Browser Connector: Sending WebSocket message to extension:`,
-        message
+        `Browser Connector: Setting up screenshot callback for requestId: ${requestId}`
       );
-      this.activeConnection.send(message);
+      // Store callback in map
+      screenshotCallbacks.set(requestId, { resolve, reject });
+      console.log(
+        "Browser Connector: Current callbacks:",
+        Array.from(screenshotCallbacks.keys())
+      );
+
+      // Set timeout to clean up if we don't get a response. Full pages
+      // can take a while to render and encode.
+      setTimeout(() => {
+        if (screenshotCallbacks.has(requestId)) {
+          console.log(
+            `Browser Connector: Screenshot capture timed out for requestId: ${requestId}`
+          );
+          screenshotCallbacks.delete(requestId);
+          reject(
+            new Error(
+              "Screenshot capture timed out - no response from Chrome extension"
+            )
+          );
+        }
+      }, SCREENSHOT_TIMEOUT * (options.fullPage ? 3 : 1));
+    });
+
+    // Send screenshot request to extension
+    const message = JSON.stringify({
+      type: "take-screenshot",
+      requestId: requestId,
+      options,
+    });
+    console.log(
+      `Browser Connector: Sending WebSocket message to extension:`,
+      message
+    );
+    connection.send(message);
+
+    // Wait for screenshot data
+    console.log("Browser Connector: Waiting for screenshot data...");
+    return screenshotPromise;
+  }
+
+  // Add new endpoint for programmatic screenshot capture
+  async captureScreenshot(req: express.Request, res: express.Response) {
+    console.log("Browser Connector: Starting captureScreenshot method");
+    console.log("Browser Connector: Request method:", req.method);
+
+    let options: ScreenshotCaptureOptions;
+    let budget: ImageBudgetOptions;
+    try {
+      options = parseScreenshotOptions(req.body);
+      budget = parseImageBudgetOptions(req.body);
+    } catch (error) {
+      if (error instanceof ScreenshotOptionsError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
 
-      // Wait for screenshot data
-      console.log("Browser Connector: Waiting for screenshot data...");
+    const connection = this.getScreenshotConnection(req, res);
+    if (!connection) return;
+
+    try {
       const {
         data: base64Data,
         path: customPath,
         autoPaste,
-      } = await screenshotPromise;
+      } = await this.requestScreenshot(connection, options);
       console.log("Browser Connector: Received screenshot data, saving...");
       console.log("Browser Connector: Custom path from extension:", customPath);
       console.log("Browser Connector: Auto-paste setting:", autoPaste);
@@ -1041,13 +1870,18 @@ export class BrowserConnector {
         );
       }
 
+      // Name the file after the format the extension actually captured,
+      // since older extensions only capture PNG
+      const imageType =
+        /^data:image\/(\w+);base64,/.exec(base64Data)?.[1] || "png";
+      const extension = imageType === "jpeg" ? "jpg" : imageType;
       const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const filename = `screenshot-${timestamp}.png`;
+      const filename = `screenshot-${timestamp}.${extension}`;
       const fullPath = path.join(targetPath, filename);
       console.log(`Browser Connector: Full screenshot path: ${fullPath}`);
 
-      // Remove the data:image/png;base64, prefix if present
-      const cleanBase64 = base64Data.replace(/^data:image\/png;base64,/, "");
+      // Remove the data:image/...;base64, prefix if present
+      const cleanBase64 = base64Data.replace(/^data:image\/\w+;base64,/, "");
 
       // Save the file
       try {
@@ -1065,170 +1899,32 @@ export class BrowserConnector {
         );
       }
 
-      // Check if running on macOS before executing AppleScript
-      if (os.platform() === "darwin" && autoPaste === true) {
+      const tab = this.connections.get(connection);
+      tab?.timeline.recordScreenshot({ path: fullPath });
+
+      // Hand the file to the post-capture hooks, which by default paste it
+      // into Cursor on macOS. They run in the background so a slow hook
+      // doesn't hold up the response.
+      captureHooks.run({
+        path: fullPath,
+        filename,
+        mimeType: `image/${imageType}`,
+        url: tab?.url || "unknown",
+        tabId: tab?.tabId ?? null,
+        autoPaste: autoPaste === true,
+      });
+
+      // Optionally return the image itself, fitted to the caller's size budget
+      if (req.body?.includeImage) {
+        const image = await fitImageToBudget(cleanBase64, budget);
         console.log(
-          "Browser Connector: Running on macOS with auto-paste enabled, executing AppleScript to paste into Cursor"
+          `Browser Connector: Returning ${image.mimeType} image ${image.width}x${image.height} (${image.bytes} bytes)`
         );
-
-        // Create the AppleScript to copy the image to clipboard and paste into Cursor
-        // This version is more robust and includes debugging
-        const appleScript = `
-          -- Set path to the screenshot
-          set imagePath to "${fullPath}"
-          
-          -- Copy the image to clipboard
-          try
-            set the clipboard to (read (POSIX file imagePath) as «class PNGf»)
-          on error errMsg
-            log "Error copying image to clipboard: " & errMsg
-            return "Failed to copy image to clipboard: " & errMsg
-          end try
-          
-          -- Activate Cursor application
-          try
-            tell application "Cursor"
-              activate
-            end tell
-          on error errMsg
-            log "Error activating Cursor: " & errMsg
-            return "Failed to activate Cursor: " & errMsg
-          end try
-          
-          -- Wait for the application to fully activate
-          delay 3
-          
-          -- Try to interact with Cursor
-          try
-            tell application "System Events"
-              tell process "Cursor"
-                -- Get the frontmost window
-                if (count of windows) is 0 then
-                  return "No windows found in Cursor"
-                end if
-                
-                set cursorWindow to window 1
-                
-                -- Try Method 1: Look for elements of class "Text Area"
-                set foundElements to {}
-                
-                -- Try different selectors to find the text input area
-                try
-                  -- Try with class
-                  set textAreas to UI elements of cursorWindow whose class is "Text Area"
-                  if (count of textAreas) > 0 then
-                    set foundElements to textAreas
-                  end if
-                end try
-                
-                if (count of foundElements) is 0 then
-                  try
-                    -- Try with AXTextField role
-                    set textFields to UI elements of cursorWindow whose role is "AXTextField"
-                    if (count of textFields) > 0 then
-                      set foundElements to textFields
-                    end if
-                  end try
-                end if
-                
-                if (count of foundElements) is 0 then
-                  try
-                    -- Try with AXTextArea role in nested elements
-                    set allElements to UI elements of cursorWindow
-                    repeat with anElement in allElements
-                      try
-                        set childElements to UI elements of anElement
-                        repeat with aChild in childElements
-                          try
-                            if role of aChild is "AXTextArea" or role of aChild is "AXTextField" then
-                              set end of foundElements to aChild
-                            end if
-                          end try
-                        end repeat
-                      end try
-                    end repeat
-                  end try
-                end if
-                
-                -- If no elements found with specific attributes, try a broader approach
-                if (count of foundElements) is 0 then
-                  -- Just try to use the Command+V shortcut on the active window
-                   -- This assumes Cursor already has focus on the right element
-                    keystroke "v" using command down
-                    delay 1
-                    keystroke "here is the screenshot"
-                    delay 1
-                   -- Try multiple methods to press Enter
-                   key code 36 -- Use key code for Return key
-                   delay 0.5
-                   keystroke return -- Use keystroke return as alternative
-                   return "Used fallback method: Command+V on active window"
-                else
-                  -- We found a potential text input element
-                  set inputElement to item 1 of foundElements
-                  
-                  -- Try to focus and paste
-                  try
-                    set focused of inputElement to true
-                    delay 0.5
-                    
-                    -- Paste the image
-                    keystroke "v" using command down
-                    delay 1
-                    
-                    -- Type the text
-                    keystroke "here is the screenshot"
-                    delay 1
-                    -- Try multiple methods to press Enter
-                    key code 36 -- Use key code for Return key
-                    delay 0.5
-                    keystroke return -- Use keystroke return as alternative
-                    return "Successfully pasted screenshot into Cursor text element"
-                  on error errMsg
-                    log "Error interacting with found element: " & errMsg
-                    -- Fallback to just sending the key commands
-                    keystroke "v" using command down
-                    delay 1
-                    keystroke "here is the screenshot"
-                    delay 1
-                    -- Try multiple methods to press Enter
-                    key code 36 -- Use key code for Return key
-                    delay 0.5
-                    keystroke return -- Use keystroke return as alternative
-                    return "Used fallback after element focus error: " & errMsg
-                  end try
-                end if
-              end tell
-            end tell
-          on error errMsg
-            log "Error in System Events block: " & errMsg
-            return "Failed in System Events: " & errMsg
-          end try
-        `;
-
-        // Execute the AppleScript
-        exec(`osascript -e '${appleScript}'`, (error, stdout, stderr) => {
-          if (error) {
-            console.error(
-              `Browser Connector: Error executing AppleScript: ${error.message}`
-            );
-            console.error(`Browser Connector: stderr: ${stderr}`);
-            // Don't fail the response; log the error and proceed
-          } else {
-            console.log(`Browser Connector: AppleScript executed successfully`);
-            console.log(`Browser Connector: stdout: ${stdout}`);
-          }
+        return res.json({
+          path: fullPath,
+          filename: filename,
+          image,
         });
-      } else {
-        if (os.platform() === "darwin" && !autoPaste) {
-          console.log(
-            `Browser Connector: Running on macOS but auto-paste is disabled, skipping AppleScript execution`
-          );
-        } else {
-          console.log(
-            `Browser Connector: Not running on macOS, skipping AppleScript execution`
-          );
-        }
       }
 
       res.json({
@@ -1248,21 +1944,123 @@ export class BrowserConnector {
     }
   }
 
+  /**
+   * Captures the tab and compares it with the named baseline for its URL
+   * and viewport. The first capture under a name becomes the baseline.
+   */
+  async compareScreenshot(req: express.Request, res: express.Response) {
+    let options: ScreenshotCaptureOptions;
+    let compare: CompareOptions;
+    try {
+      // Always PNG, since lossy compression would show up as changes
+      options = parseScreenshotOptions({
+        ...req.body,
+        format: "png",
+        quality: undefined,
+      });
+      compare = parseCompareOptions(req.body);
+    } catch (error) {
+      if (
+        error instanceof ScreenshotOptionsError ||
+        error instanceof VisualRegressionError
+      ) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const connection = this.getScreenshotConnection(req, res);
+    if (!connection) return;
+
+    try {
+      const { data, viewport } = await this.requestScreenshot(
+        connection,
+        options
+      );
+      const image = Buffer.from(
+        data.replace(/^data:image\/\w+;base64,/, ""),
+        "base64"
+      );
+      const tab = this.connections.get(connection);
+      const url = tab?.url || "unknown";
+      const files = baselines.locate(compare.name, url, viewport);
+      const target = { name: compare.name, url, viewport };
+
+      const hasBaseline = fs.existsSync(files.baseline);
+      if (!hasBaseline || compare.updateBaseline) {
+        await writePng(files.baseline, image);
+        console.log(`Saved baseline "${compare.name}" to ${files.baseline}`);
+        tab?.timeline.recordScreenshot({
+          path: files.baseline,
+          baseline: compare.name,
+          comparison: hasBaseline ? "baseline-updated" : "baseline-created",
+        });
+        return res.json({
+          ...target,
+          status: hasBaseline ? "baseline-updated" : "baseline-created",
+          baselinePath: files.baseline,
+        });
+      }
+
+      await writePng(files.current, image);
+      const { diffImage, ...diff } = await diffImages(
+        await fs.promises.readFile(files.baseline),
+        image,
+        compare.tolerance
+      );
+      await fs.promises.writeFile(files.diff, diffImage);
+
+      // changedPercent is rounded, so a strict comparison counts pixels
+      const matches =
+        compare.maxChangedPercent === 0
+          ? diff.changedPixels === 0
+          : diff.changedPercent <= compare.maxChangedPercent;
+      console.log(
+        `Compared "${compare.name}" with its baseline: ${diff.changedPercent}% changed`
+      );
+      tab?.timeline.recordScreenshot({
+        path: files.current,
+        baseline: compare.name,
+        comparison: matches ? "match" : "changed",
+      });
+      res.json({
+        ...target,
+        status: matches ? "match" : "changed",
+        ...diff,
+        tolerance: compare.tolerance,
+        maxChangedPercent: compare.maxChangedPercent,
+        baselinePath: files.baseline,
+        currentPath: files.current,
+        diffPath: files.diff,
+        // The diff image itself, for clients on another machine
+        ...(req.body.includeDiffImage &&
+          !matches && { diffImage: await fitImageToBudget(diffImage) }),
+      });
+    } catch (error) {
+      const errorMessage =
+        error instanceof Error ? error.message : String(error);
+      console.error(
+        "Browser Connector: Error comparing screenshot:",
+        errorMessage
+      );
+      res.status(500).json({ error: errorMessage });
+    }
+  }
+
   // Add shutdown method
   public shutdown() {
     return new Promise<void>((resolve) => {
       console.log("Shutting down WebSocket server...");
 
-      // Send close message to client if connection is active
-      if (
-        this.activeConnection &&
-        this.activeConnection.readyState === WebSocket.OPEN
-      ) {
+      const connections = [...this.connections.keys()];
+      this.connections.clear();
+
+      // Send close message to every connected panel
+      for (const connection of connections) {
+        if (connection.readyState !== WebSocket.OPEN) continue;
         console.log("Notifying client to close connection...");
         try {
-          this.activeConnection.send(
-            JSON.stringify({ type: "server-shutdown" })
-          );
+          connection.send(JSON.stringify({ type: "server-shutdown" }));
         } catch (err) {
           console.error("Error sending shutdown message to client:", err);
         }
@@ -1271,19 +2069,15 @@ export class BrowserConnector {
       // Set a timeout to force close after 2 seconds
       const forceCloseTimeout = setTimeout(() => {
         console.log("Force closing connections after timeout...");
-        if (this.activeConnection) {
-          this.activeConnection.terminate(); // Force close the connection
-          this.activeConnection = null;
-        }
+        connections.forEach((connection) => connection.terminate());
         this.wss.close();
         resolve();
       }, 2000);
 
-      // Close active WebSocket connection if exists
-      if (this.activeConnection) {
-        this.activeConnection.close(1000, "Server shutting down");
-        this.activeConnection = null;
-      }
+      // Close the WebSocket connections
+      connections.forEach((connection) =>
+        connection.close(1000, "Server shutting down")
+      );
 
       // Close WebSocket server
       this.wss.close(() => {
@@ -1326,16 +2120,174 @@ export class BrowserConnector {
     );
   }
 
+  // Sets up the PWA audit endpoint
+  private setupPWAAudit() {
+    this.setupAuditEndpoint(AuditCategory.PWA, "/pwa-audit", runPWAAudit);
+  }
+
+  // Sets up the comprehensive analysis endpoint, which runs every category
+  // and accepts `weights` for the overall score
+  private setupComprehensiveAnalysis() {
+    this.setupAuditEndpoint(
+      "comprehensive",
+      "/comprehensive-analysis",
+      runComprehensiveSiteAnalysis,
+      parseComprehensiveAnalysisOptions
+    );
+  }
+
+  /**
+   * Returns the first page of an audit result. Reports whose issues or
+   * opportunities don't fit on one page are cached so the rest can be
+   * fetched with the returned cursor.
+   * @param endpoint The audit endpoint the result came from
+   * @param result The full audit result
+   * @param page The request's limit and token budget
+   * @returns The result with its paged list cut down to the first page
+   */
+  private async getAuditPage(
+    endpoint: string,
+    result: any,
+    page: PageRequest
+  ): Promise<object> {
+    const field = PAGED_REPORT_FIELDS.find((name) =>
+      Array.isArray(result.report?.[name])
+    );
+    if (!field) return result;
+
+    return this.buildAuditPage(result, field, 0, page, () =>
+      this.cacheAuditResult(endpoint, result, field)
+    );
+  }
+
+  /**
+   * Returns a later page of a cached audit result
+   * @param endpoint The audit endpoint the cursor was sent to
+   * @param page The decoded cursor, limit and token budget
+   * @returns The result with its paged list cut down to the requested page
+   * @throws PaginationError if the cursor is invalid or has expired
+   */
+  private async getCachedAuditPage(
+    endpoint: string,
+    page: PageRequest
+  ): Promise<object> {
+    const { audit: auditId, offset } = page.cursor!;
+    if (typeof auditId !== "string" || !Number.isInteger(offset)) {
+      throw new PaginationError('"cursor" does not belong to an audit');
+    }
+
+    const cached = this.auditResults.get(auditId);
+    if (!cached || Date.now() - cached.createdAt > AUDIT_RESULT_TTL) {
+      throw new PaginationError(
+        "The audit results for this cursor have expired. Run the audit again."
+      );
+    }
+    if (cached.endpoint !== endpoint) {
+      throw new PaginationError(
+        `"cursor" belongs to ${cached.endpoint}, not ${endpoint}`
+      );
+    }
+
+    return this.buildAuditPage(
+      cached.result,
+      cached.field,
+      offset,
+      page,
+      () => auditId
+    );
+  }
+
+  /**
+   * Replaces the paged list of an audit result with the page starting at offset
+   * @param getAuditId Returns the id of the cached result, caching it first if needed
+   */
+  private async buildAuditPage(
+    result: any,
+    field: string,
+    offset: number,
+    page: PageRequest,
+    getAuditId: () => string
+  ): Promise<object> {
+    const list = result.report[field];
+
+    // The rest of the report is sent with every page, so it counts against the budget
+    const reservedTokens = page.tokenBudget
+      ? (
+          await countTokens(
+            JSON.stringify({
+              ...result,
+              report: { ...result.report, [field]: [] },
+            }),
+            currentSettings.model
+          )
+        ).tokens
+      : 0;
+    const { items, hasMore, usage } = await fillPage(
+      list.slice(offset),
+      page,
+      reservedTokens
+    );
+
+    return {
+      ...result,
+      report: { ...result.report, [field]: items },
+      pagination: {
+        field: `report.${field}`,
+        total: list.length,
+        nextCursor: hasMore
+          ? encodeCursor({ audit: getAuditId(), offset: offset + items.length })
+          : null,
+      },
+      ...(usage && { usage }),
+    };
+  }
+
+  /**
+   * Keeps an audit result so its remaining pages can be served later
+   * @returns The id cursors use to refer to the result
+   */
+  private cacheAuditResult(
+    endpoint: string,
+    result: any,
+    field: string
+  ): string {
+    const now = Date.now();
+    for (const [id, cached] of this.auditResults) {
+      if (now - cached.createdAt > AUDIT_RESULT_TTL) {
+        this.auditResults.delete(id);
+      }
+    }
+    if (this.auditResults.size >= MAX_CACHED_AUDIT_RESULTS) {
+      // Maps iterate in insertion order, so the first key is the oldest
+      const oldestId = this.auditResults.keys().next().value;
+      if (oldestId) this.auditResults.delete(oldestId);
+    }
+
+    const auditId = randomUUID();
+    this.auditResults.set(auditId, { endpoint, result, field, createdAt: now });
+    return auditId;
+  }
+
   /**
    * Generic method to set up an audit endpoint
    * @param auditType The type of audit (accessibility, performance, SEO)
    * @param endpoint The endpoint path
    * @param auditFunction The audit function to call
+   * @param parseOptions Validates the request body into the audit function's options
+   *
+   * The request body may carry an explicit `url` (defaults to the inspected tab's URL)
+   * plus `formFactor`, `throttling` and `viewport` for the emulated device.
+   * A `cursor` from a previous response returns the next page of that result
+   * instead of running a new audit; `limit` caps the items per page and
+   * `tokenBudget` fills pages by token count instead of the query limit.
    */
-  private setupAuditEndpoint(
+  private setupAuditEndpoint<TOptions extends AuditOptions>(
     auditType: string,
     endpoint: string,
-    auditFunction: (url: string) => Promise<LighthouseReport>
+    auditFunction: (url: string, options: TOptions) => Promise<object>,
+    parseOptions: (
+      body: Record<string, any>
+    ) => TOptions = parseAuditOptions as (body: Record<string, any>) => TOptions
   ) {
     // Add server identity validation endpoint
     this.app.get("/.identity", (req, res) => {
@@ -1349,8 +2301,49 @@ export class BrowserConnector {
       try {
         console.log(`${auditType} audit request received`);
 
-        // Get URL using our helper method
-        const url = await this.getUrlForAudit();
+        let options: TOptions;
+        let page: PageRequest;
+        try {
+          page = parsePageRequest(req.body);
+          // Later pages come from the cached result, not a new Lighthouse run
+          if (page.cursor) {
+            return res.json(await this.getCachedAuditPage(endpoint, page));
+          }
+          options = parseOptions(req.body);
+          tabs.resolve(req.body?.tabId);
+        } catch (error) {
+          if (
+            error instanceof AuditOptionsError ||
+            error instanceof PaginationError
+          ) {
+            return res.status(400).json({ error: error.message });
+          }
+          if (error instanceof TabNotFoundError) {
+            return res.status(404).json({ error: error.message });
+          }
+          throw error;
+        }
+
+        // An explicit URL lets agents audit pages the developer isn't looking at
+        const requestedUrl =
+          typeof req.body?.url === "string" ? req.body.url.trim() : "";
+        if (requestedUrl) {
+          let protocol = "";
+          try {
+            protocol = new URL(requestedUrl).protocol;
+          } catch (e) {
+            // Reported below
+          }
+          if (protocol !== "http:" && protocol !== "https:") {
+            return res.status(400).json({
+              error: `"url" must be an absolute http(s) URL, got "${requestedUrl}"`,
+            });
+          }
+        }
+
+        // Get URL using our helper method, from the requested or current tab
+        const url =
+          requestedUrl || (await this.getUrlForAudit(req.body?.tabId));
 
         if (!url) {
           console.log(`No URL available for ${auditType} audit`);
@@ -1360,7 +2353,7 @@ export class BrowserConnector {
         }
 
         // If we're using the stored URL (not from request body), log it now
-        if (!req.body?.url && url === currentUrl) {
+        if (!requestedUrl) {
           console.log(`Using stored URL for ${auditType} audit:`, url);
         }
 
@@ -1374,22 +2367,64 @@ export class BrowserConnector {
 
         console.log(`Preparing to run ${auditType} audit for: ${url}`);
 
+        // The client hanging up (e.g. a cancelled MCP tool call) cancels the audit
+        const abortController = new AbortController();
+        res.on("close", () => {
+          if (!res.writableFinished) abortController.abort();
+        });
+
+        // Clients that accept NDJSON get a progress line per audit phase,
+        // followed by a final "result" or "error" line
+        const streamProgress =
+          req.accepts(["application/json", "application/x-ndjson"]) ===
+          "application/x-ndjson";
+        const writeEvent = (event: object) =>
+          res.write(`${JSON.stringify(event)}\n`);
+        if (streamProgress) {
+          res.status(200).set({
+            "Content-Type": "application/x-ndjson",
+            "Cache-Control": "no-cache",
+          });
+          res.flushHeaders();
+        }
+
         // Run the audit using the provided function
         try {
-          const result = await auditFunction(url);
+          const result = await auditFunction(url, {
+            ...options,
+            signal: abortController.signal,
+            onProgress: streamProgress
+              ? (progress: AuditProgress) =>
+                  writeEvent({ type: "progress", ...progress })
+              : undefined,
+          });
 
           console.log(`${auditType} audit completed successfully`);
           // Return the results
-          res.json(result);
+          const firstPage = await this.getAuditPage(endpoint, result, page);
+          if (streamProgress) {
+            writeEvent({ type: "result", result: firstPage });
+            res.end();
+          } else {
+            res.json(firstPage);
+          }
         } catch (auditError) {
+          if (abortController.signal.aborted) {
+            console.log(`${auditType} audit cancelled by the client`);
+            return;
+          }
           console.error(`${auditType} audit failed:`, auditError);
           const errorMessage =
             auditError instanceof Error
               ? auditError.message
               : String(auditError);
-          res.status(500).json({
-            error: `Failed to run ${auditType} audit: ${errorMessage}`,
-          });
+          const error = `Failed to run ${auditType} audit: ${errorMessage}`;
+          if (streamProgress) {
+            writeEvent({ type: "error", error });
+            res.end();
+          } else {
+            res.status(500).json({ error });
+          }
         }
       } catch (error) {
         console.error(`Error in ${auditType} audit endpoint:`, error);
@@ -1453,6 +2488,13 @@ export class BrowserConnector {
       });
 
       console.log(`\nFor local access use: http://localhost:${PORT}`);
+
+      console.log(`\nPairing token: ${pairingToken}`);
+      console.log(
+        `Enter it in the BrowserTools extension panel. The MCP server reads it from ${getPairingTokenFile()}${
+          process.env.BROWSER_TOOLS_TOKEN ? " or BROWSER_TOOLS_TOKEN" : ""
+        }.`
+      );
     });
 
     // Handle server startup errors
@@ -1496,6 +2538,7 @@ export class BrowserConnector {
 
         // Clear all logs
         clearAllLogs();
+        logStore?.close();
 
         console.log("Shutdown completed successfully");
         process.exit(0);
@@ -0,0 +1,445 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { exec } from "child_process";
+
+// ===== Types =====
+
+/**
+ * A screenshot that was just saved, as handed to each hook
+ */
+export interface CapturedScreenshot {
+  path: string;
+  filename: string;
+  mimeType: string;
+  url: string; // The page the screenshot shows
+  tabId: number | string | null;
+  autoPaste: boolean; // The panel's "Allow Auto-Paste" setting
+}
+
+/**
+ * Editor integrations built into the server:
+ * - cursor: copies the screenshot to the clipboard and pastes it into Cursor's chat (macOS)
+ */
+export type CaptureAdapterName = "cursor";
+
+/**
+ * One step of the post-capture pipeline, from the hooks file:
+ * - command: runs a shell command; "{path}" is replaced with the quoted file path
+ * - webhook: POSTs the screenshot's details as JSON, optionally with the image
+ * - copy: copies the file into another directory
+ * - adapter: hands the screenshot to a built-in editor integration
+ */
+export type CaptureHook =
+  | { name?: string; type: "command"; command: string }
+  | {
+      name?: string;
+      type: "webhook";
+      url: string;
+      headers?: Record<string, string>;
+      includeImage?: boolean;
+    }
+  | { name?: string; type: "copy"; directory: string }
+  | { name?: string; type: "adapter"; adapter: CaptureAdapterName };
+
+/**
+ * Contents of the file named by BROWSER_TOOLS_CAPTURE_HOOKS
+ */
+export interface CaptureHookConfig {
+  hooks?: CaptureHook[];
+}
+
+/**
+ * Error raised when the hooks file can't be read or has an invalid hook
+ */
+export class CaptureHookConfigError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "CaptureHookConfigError";
+  }
+}
+
+// Without a hooks file, screenshots are pasted into Cursor as before
+const DEFAULT_HOOKS: CaptureHook[] = [{ type: "adapter", adapter: "cursor" }];
+
+// Commands and webhooks that take longer than this are abandoned
+const HOOK_TIMEOUT = 30000;
+
+// ===== Shell =====
+
+function runCommand(
+  command: string,
+  env: Record<string, string> = {}
+): Promise<{ stdout: string; stderr: string }> {
+  return new Promise((resolve, reject) => {
+    exec(
+      command,
+      { env: { ...process.env, ...env }, timeout: HOOK_TIMEOUT },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`${error.message.trim()}\n${stderr}`.trim()));
+          return;
+        }
+        resolve({ stdout, stderr });
+      }
+    );
+  });
+}
+
+// Quotes a value as a single argument for the platform's shell
+function quoteForShell(value: string): string {
+  return os.platform() === "win32"
+    ? `"${value.replace(/"/g, '""')}"`
+    : `'${value.replace(/'/g, "'\\''")}'`;
+}
+
+// ===== Adapters =====
+
+interface CaptureAdapter {
+  platforms: NodeJS.Platform[];
+  run(screenshot: CapturedScreenshot): Promise<void>;
+}
+
+async function pasteIntoCursor(screenshot: CapturedScreenshot): Promise<void> {
+  // The clipboard takes PNG and JPEG images, but not WebP
+  if (screenshot.mimeType === "image/webp") {
+    console.log(
+      "Capture hooks: Skipping auto-paste, the clipboard doesn't support WebP images"
+    );
+    return;
+  }
+
+  console.log(
+    "Capture hooks: Running on macOS with auto-paste enabled, executing AppleScript to paste into Cursor"
+  );
+
+  // Create the AppleScript to copy the image to clipboard and paste into Cursor
+  // This version is more robust and includes debugging
+  const appleScript = `
+      -- Set path to the screenshot
+      set imagePath to "${screenshot.path}"
+      
+      -- Copy the image to clipboard
+      try
+        set the clipboard to (read (POSIX file imagePath) as «class ${
+          screenshot.mimeType === "image/jpeg" ? "JPEG" : "PNGf"
+        }»)
+      on error errMsg
+        log "Error copying image to clipboard: " & errMsg
+        return "Failed to copy image to clipboard: " & errMsg
+      end try
+      
+      -- Activate Cursor application
+      try
+        tell application "Cursor"
+          activate
+        end tell
+      on error errMsg
+        log "Error activating Cursor: " & errMsg
+        return "Failed to activate Cursor: " & errMsg
+      end try
+      
+      -- Wait for the application to fully activate
+      delay 3
+      
+      -- Try to interact with Cursor
+      try
+        tell application "System Events"
+          tell process "Cursor"
+            -- Get the frontmost window
+            if (count of windows) is 0 then
+              return "No windows found in Cursor"
+            end if
+            
+            set cursorWindow to window 1
+            
+            -- Try Method 1: Look for elements of class "Text Area"
+            set foundElements to {}
+            
+            -- Try different selectors to find the text input area
+            try
+              -- Try with class
+              set textAreas to UI elements of cursorWindow whose class is "Text Area"
+              if (count of textAreas) > 0 then
+                set foundElements to textAreas
+              end if
+            end try
+            
+            if (count of foundElements) is 0 then
+              try
+                -- Try with AXTextField role
+                set textFields to UI elements of cursorWindow whose role is "AXTextField"
+                if (count of textFields) > 0 then
+                  set foundElements to textFields
+                end if
+              end try
+            end if
+            
+            if (count of foundElements) is 0 then
+              try
+                -- Try with AXTextArea role in nested elements
+                set allElements to UI elements of cursorWindow
+                repeat with anElement in allElements
+                  try
+                    set childElements to UI elements of anElement
+                    repeat with aChild in childElements
+                      try
+                        if role of aChild is "AXTextArea" or role of aChild is "AXTextField" then
+                          set end of foundElements to aChild
+                        end if
+                      end try
+                    end repeat
+                  end try
+                end repeat
+              end try
+            end if
+            
+            -- If no elements found with specific attributes, try a broader approach
+            if (count of foundElements) is 0 then
+              -- Just try to use the Command+V shortcut on the active window
+               -- This assumes Cursor already has focus on the right element
+                keystroke "v" using command down
+                delay 1
+                keystroke "here is the screenshot"
+                delay 1
+               -- Try multiple methods to press Enter
+               key code 36 -- Use key code for Return key
+               delay 0.5
+               keystroke return -- Use keystroke return as alternative
+               return "Used fallback method: Command+V on active window"
+            else
+              -- We found a potential text input element
+              set inputElement to item 1 of foundElements
+              
+              -- Try to focus and paste
+              try
+                set focused of inputElement to true
+                delay 0.5
+                
+                -- Paste the image
+                keystroke "v" using command down
+                delay 1
+                
+                -- Type the text
+                keystroke "here is the screenshot"
+                delay 1
+                -- Try multiple methods to press Enter
+                key code 36 -- Use key code for Return key
+                delay 0.5
+                keystroke return -- Use keystroke return as alternative
+                return "Successfully pasted screenshot into Cursor text element"
+              on error errMsg
+                log "Error interacting with found element: " & errMsg
+                -- Fallback to just sending the key commands
+                keystroke "v" using command down
+                delay 1
+                keystroke "here is the screenshot"
+                delay 1
+                -- Try multiple methods to press Enter
+                key code 36 -- Use key code for Return key
+                delay 0.5
+                keystroke return -- Use keystroke return as alternative
+                return "Used fallback after element focus error: " & errMsg
+              end try
+            end if
+          end tell
+        end tell
+      on error errMsg
+        log "Error in System Events block: " & errMsg
+        return "Failed in System Events: " & errMsg
+      end try
+    `;
+
+  const { stdout } = await runCommand(`osascript -e '${appleScript}'`);
+  console.log(`Capture hooks: AppleScript executed successfully`);
+  console.log(`Capture hooks: stdout: ${stdout}`);
+}
+
+const ADAPTERS: Record<CaptureAdapterName, CaptureAdapter> = {
+  cursor: { platforms: ["darwin"], run: pasteIntoCursor },
+};
+
+// ===== Pipeline =====
+
+function describeHook(hook: CaptureHook, index: number): string {
+  return hook.name ? `"${hook.name}"` : `#${index + 1} (${hook.type})`;
+}
+
+// Checks a hook from the hooks file has the fields its type needs
+function validateHook(hook: any, index: number): CaptureHook {
+  const label = hook?.name ? `"${hook.name}"` : `#${index + 1}`;
+  const requireString = (field: string) => {
+    if (typeof hook[field] !== "string" || hook[field] === "") {
+      throw new CaptureHookConfigError(
+        `Capture hook ${label} of type "${hook.type}" needs a "${field}"`
+      );
+    }
+  };
+
+  switch (hook?.type) {
+    case "command":
+      requireString("command");
+      break;
+    case "webhook":
+      requireString("url");
+      try {
+        new URL(hook.url);
+      } catch (error) {
+        throw new CaptureHookConfigError(
+          `Capture hook ${label} has an invalid URL "${hook.url}"`
+        );
+      }
+      break;
+    case "copy":
+      requireString("directory");
+      break;
+    case "adapter":
+      if (!(hook.adapter in ADAPTERS)) {
+        throw new CaptureHookConfigError(
+          `Capture hook ${label} must name one of the adapters ${Object.keys(
+            ADAPTERS
+          ).join(", ")}, got "${hook.adapter}"`
+        );
+      }
+      break;
+    default:
+      throw new CaptureHookConfigError(
+        `Capture hook ${label} must have a "type" of command, webhook, copy or adapter`
+      );
+  }
+  return hook;
+}
+
+/**
+ * Runs the configured hooks after each screenshot is saved, in order. A
+ * failing hook is logged and the rest still run; none of them can fail the
+ * screenshot request.
+ */
+export class CaptureHooks {
+  readonly hooks: CaptureHook[];
+
+  /**
+   * @throws CaptureHookConfigError if a hook is invalid
+   */
+  constructor(config: CaptureHookConfig = { hooks: DEFAULT_HOOKS }) {
+    if (config.hooks !== undefined && !Array.isArray(config.hooks)) {
+      throw new CaptureHookConfigError('"hooks" must be an array');
+    }
+    this.hooks = (config.hooks ?? []).map(validateHook);
+  }
+
+  async run(screenshot: CapturedScreenshot): Promise<void> {
+    for (const [index, hook] of this.hooks.entries()) {
+      try {
+        await this.runHook(hook, screenshot);
+      } catch (error) {
+        console.error(
+          `Capture hooks: Hook ${describeHook(hook, index)} failed:`,
+          error instanceof Error ? error.message : error
+        );
+      }
+    }
+  }
+
+  private async runHook(
+    hook: CaptureHook,
+    screenshot: CapturedScreenshot
+  ): Promise<void> {
+    switch (hook.type) {
+      case "command": {
+        const command = hook.command.replace(
+          /\{path\}/g,
+          quoteForShell(screenshot.path)
+        );
+        await runCommand(command, {
+          BROWSER_TOOLS_SCREENSHOT_PATH: screenshot.path,
+          BROWSER_TOOLS_SCREENSHOT_MIME_TYPE: screenshot.mimeType,
+          BROWSER_TOOLS_SCREENSHOT_URL: screenshot.url,
+        });
+        return;
+      }
+
+      case "webhook": {
+        const body = {
+          ...screenshot,
+          timestamp: Date.now(),
+          ...(hook.includeImage && {
+            data: (await fs.promises.readFile(screenshot.path)).toString(
+              "base64"
+            ),
+          }),
+        };
+        const response = await fetch(hook.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...hook.headers },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(HOOK_TIMEOUT),
+        });
+        if (!response.ok) {
+          throw new Error(
+            `${hook.url} responded with ${response.status} ${response.statusText}`
+          );
+        }
+        return;
+      }
+
+      case "copy": {
+        const directory = path.resolve(
+          hook.directory.replace(/^~(?=$|[\\/])/, os.homedir())
+        );
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.copyFile(
+          screenshot.path,
+          path.join(directory, screenshot.filename)
+        );
+        return;
+      }
+
+      case "adapter": {
+        const adapter = ADAPTERS[hook.adapter];
+        // Adapters paste into an editor, so they follow the panel's setting
+        if (!screenshot.autoPaste) {
+          console.log(
+            `Capture hooks: Auto-paste is disabled, skipping the ${hook.adapter} adapter`
+          );
+          return;
+        }
+        if (!adapter.platforms.includes(os.platform())) {
+          console.log(
+            `Capture hooks: The ${
+              hook.adapter
+            } adapter only runs on ${adapter.platforms.join(", ")}, skipping`
+          );
+          return;
+        }
+        await adapter.run(screenshot);
+        return;
+      }
+    }
+  }
+}
+
+// ===== Configuration =====
+
+/**
+ * Creates the hook pipeline from the JSON file named by
+ * BROWSER_TOOLS_CAPTURE_HOOKS, or the default Cursor auto-paste when unset
+ *
+ * @throws CaptureHookConfigError if the file can't be read or a hook is invalid
+ */
+export function createCaptureHooksFromEnv(): CaptureHooks {
+  const file = process.env.BROWSER_TOOLS_CAPTURE_HOOKS;
+  if (!file) return new CaptureHooks();
+
+  let config: CaptureHookConfig;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new CaptureHookConfigError(
+      `Failed to read capture hooks from ${file}: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+  return new CaptureHooks(config);
+}
@@ -0,0 +1,204 @@
+import { createHash } from "crypto";
+import type { StackFrame } from "./source-maps.js";
+
+// ===== Types =====
+
+/**
+ * Console errors that share a fingerprint: the same normalized message
+ * thrown from the same place
+ */
+export interface ErrorGroup {
+  fingerprint: string;
+  message: string; // The first occurrence's message
+  level: string;
+  count: number;
+  firstSeen: number;
+  lastSeen: number;
+  frames: string[]; // The top frames the fingerprint was built from
+  samples: any[]; // The first occurrence and the latest few, oldest first
+}
+
+/**
+ * Query for GET /error-groups
+ */
+export interface ErrorGroupQuery {
+  limit: number;
+}
+
+/**
+ * Error raised when an /error-groups query is invalid.
+ * Endpoints translate it into a 400 response.
+ */
+export class ErrorGroupQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ErrorGroupQueryError";
+  }
+}
+
+// ===== Fingerprints =====
+
+// Only the top frames count; deeper ones are usually framework or bundler
+// plumbing shared by unrelated errors
+const FINGERPRINT_FRAMES = 3;
+
+/**
+ * Reduces an error message to the parts that identify the error, so
+ * messages that only differ in IDs, counts or URLs group together
+ */
+export function normalizeErrorMessage(message: unknown): string {
+  return (
+    String(message ?? "")
+      // Exception descriptions end with the stack, which frames cover
+      .split("\n")[0]
+      // Thrown and logged copies of an error group together
+      .replace(/^Uncaught (\(in promise\) )?/, "")
+      .replace(/\b[a-z][\w+.-]*:\/\/[^\s'"`)]+/gi, "<url>")
+      .replace(
+        /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+        "<uuid>"
+      )
+      .replace(/\b(0x)?[0-9a-f]*\d[0-9a-f]*\b/gi, (match) =>
+        /^(0x|\d+$)/i.test(match) || match.length >= 8 ? "<n>" : match
+      )
+      .replace(/\s+/g, " ")
+      .trim()
+  );
+}
+
+// Where a frame ran, preferring its original source over the bundle
+function describeFrame(frame: StackFrame): string {
+  const functionName = frame.functionName || "<anonymous>";
+  if (frame.original) {
+    const source = frame.original.file ?? frame.original.source;
+    return `${functionName} (${source}:${frame.original.line}:${frame.original.column})`;
+  }
+  // Cache-busting query strings change on every rebuild
+  const url = String(frame.url ?? "").split(/[?#]/)[0];
+  return `${functionName} (${url}:${frame.line}:${frame.column})`;
+}
+
+/**
+ * Fingerprints a console error by its normalized message and top stack
+ * frames
+ */
+export function fingerprintError(entry: any): {
+  fingerprint: string;
+  frames: string[];
+} {
+  const frames = Array.isArray(entry.stackTrace)
+    ? entry.stackTrace.slice(0, FINGERPRINT_FRAMES).map(describeFrame)
+    : [];
+  const fingerprint = createHash("sha1")
+    .update([normalizeErrorMessage(entry.message), ...frames].join("\n"))
+    .digest("hex")
+    .slice(0, 16);
+  return { fingerprint, frames };
+}
+
+// ===== Groups =====
+
+const MAX_SAMPLES = 5;
+// Distinct errors kept per tab; the least recently seen are dropped
+const MAX_GROUPS = 200;
+
+/**
+ * One tab's console errors, grouped by fingerprint
+ */
+export class ErrorGroups {
+  private groups = new Map<string, ErrorGroup>();
+
+  /**
+   * Adds an error to its group, creating the group the first time the
+   * fingerprint is seen
+   *
+   * @returns The group, with the entry counted
+   */
+  record(entry: any): ErrorGroup {
+    const { fingerprint, frames } = fingerprintError(entry);
+    const timestamp = entry.timestamp || Date.now();
+
+    let group = this.groups.get(fingerprint);
+    if (!group) {
+      group = {
+        fingerprint,
+        message: entry.message,
+        level: entry.level,
+        count: 0,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+        frames,
+        samples: [],
+      };
+      this.groups.set(fingerprint, group);
+      this.evictStaleGroups();
+    }
+
+    group.count++;
+    group.lastSeen = Math.max(group.lastSeen, timestamp);
+    group.samples.push(entry);
+    // Keep the first occurrence, which shows how the error started
+    if (group.samples.length > MAX_SAMPLES) group.samples.splice(1, 1);
+
+    return group;
+  }
+
+  /**
+   * Groups ranked by count, most recently seen first among equal counts
+   */
+  list(): ErrorGroup[] {
+    return [...this.groups.values()].sort(
+      (a, b) => b.count - a.count || b.lastSeen - a.lastSeen
+    );
+  }
+
+  get size(): number {
+    return this.groups.size;
+  }
+
+  clear() {
+    this.groups.clear();
+  }
+
+  private evictStaleGroups() {
+    while (this.groups.size > MAX_GROUPS) {
+      let stalest: ErrorGroup | undefined;
+      for (const group of this.groups.values()) {
+        if (!stalest || group.lastSeen < stalest.lastSeen) stalest = group;
+      }
+      this.groups.delete((stalest as ErrorGroup).fingerprint);
+    }
+  }
+}
+
+/**
+ * Whether an error should also be kept in the tab's console error log.
+ * Only the first few occurrences of a group are, so an error thrown in a
+ * loop can't push every other error out of the log.
+ */
+export function shouldKeepOccurrence(group: ErrorGroup): boolean {
+  return group.count <= MAX_SAMPLES;
+}
+
+// ===== Queries =====
+
+const DEFAULT_GROUP_LIMIT = 20;
+
+/**
+ * Reads the parameters of a GET /error-groups request
+ *
+ * @throws ErrorGroupQueryError if "limit" isn't a positive integer
+ */
+export function parseErrorGroupQuery(
+  params: Record<string, any> = {}
+): ErrorGroupQuery {
+  const raw = params.limit;
+  if (raw === undefined || raw === "") return { limit: DEFAULT_GROUP_LIMIT };
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ErrorGroupQueryError(
+      `"limit" must be a positive integer, got "${raw}"`
+    );
+  }
+  return { limit };
+}
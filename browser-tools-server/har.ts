@@ -0,0 +1,233 @@
+// ===== Types =====
+
+/**
+ * A HAR 1.2 page, one per navigation of the recorded tab
+ */
+export interface HarPage {
+  startedDateTime: string;
+  id: string;
+  title: string;
+  pageTimings: { onContentLoad?: number; onLoad?: number };
+}
+
+/**
+ * A complete HAR 1.2 document
+ */
+export interface Har {
+  log: {
+    version: "1.2";
+    creator: { name: string; version: string };
+    pages: HarPage[];
+    entries: any[];
+    comment?: string;
+  };
+}
+
+/**
+ * Network traffic recorded from one tab. Unlike the log buffers it is not
+ * wiped on navigation, so an export covers every page of a session.
+ */
+export interface HarRecording {
+  pages: HarPage[];
+  entries: any[];
+  pageCount: number; // Pages started so far, used to number page IDs
+  droppedEntries: number; // Oldest entries dropped to stay under MAX_HAR_ENTRIES
+  bodyBytes: number; // Size of the response bodies the entries hold
+  droppedBodies: number; // Bodies left out to stay under MAX_HAR_BODY_BYTES
+}
+
+// ===== Recording =====
+
+const MAX_HAR_ENTRIES = 1000;
+const MAX_HAR_PAGES = 100;
+// Bodies make up most of a recording's size, so they are capped separately
+// from the entry count. Each tracked tab has its own recording.
+const MAX_HAR_BODY_BYTES = 10 * 1024 * 1024;
+
+export function createHarRecording(): HarRecording {
+  return {
+    pages: [],
+    entries: [],
+    pageCount: 0,
+    droppedEntries: 0,
+    bodyBytes: 0,
+    droppedBodies: 0,
+  };
+}
+
+/**
+ * Starts a new page; entries recorded afterwards reference it
+ */
+export function recordHarPage(
+  recording: HarRecording,
+  url: string,
+  timestamp: number
+) {
+  recording.pageCount++;
+  recording.pages.push({
+    startedDateTime: new Date(timestamp).toISOString(),
+    id: `page_${recording.pageCount}`,
+    title: url,
+    pageTimings: {},
+  });
+  if (recording.pages.length > MAX_HAR_PAGES) {
+    recording.pages.shift();
+  }
+}
+
+/**
+ * Adds an entry forwarded by the extension, dropping the oldest entry when
+ * the recording is full, and the oldest response bodies when their total
+ * size is over the limit
+ *
+ * @param entry A HAR entry from chrome.devtools.network.onRequestFinished
+ * @returns Whether the entry was recorded; entries without a request URL are ignored
+ */
+export function recordHarEntry(recording: HarRecording, entry: any): boolean {
+  if (typeof entry?.request?.url !== "string") return false;
+
+  const page = recording.pages[recording.pages.length - 1];
+  const recorded = {
+    ...normalizeHarEntry(entry),
+    ...(page && { pageref: page.id }),
+  };
+  recording.entries.push(recorded);
+  recording.bodyBytes += getBodyBytes(recorded);
+  if (recording.entries.length > MAX_HAR_ENTRIES) {
+    recording.bodyBytes -= getBodyBytes(recording.entries.shift());
+    recording.droppedEntries++;
+  }
+
+  for (
+    let i = 0;
+    recording.bodyBytes > MAX_HAR_BODY_BYTES && i < recording.entries.length;
+    i++
+  ) {
+    const bytes = getBodyBytes(recording.entries[i]);
+    if (bytes === 0) continue;
+    recording.entries[i] = withoutBody(recording.entries[i], bytes);
+    recording.bodyBytes -= bytes;
+    recording.droppedBodies++;
+  }
+  return true;
+}
+
+function getBodyBytes(entry: any): number {
+  const text = entry.response.content.text;
+  return typeof text === "string" ? Buffer.byteLength(text) : 0;
+}
+
+function withoutBody(entry: any, bytes: number): any {
+  const { text, encoding, ...content } = entry.response.content;
+  return {
+    ...entry,
+    response: {
+      ...entry.response,
+      content: {
+        ...content,
+        comment: `Body of ${bytes} bytes left out to keep the recording small`,
+      },
+    },
+  };
+}
+
+// Fills in fields HAR 1.2 requires, in case the browser left them out.
+// Chrome's own entries already have them, along with extra "_" fields
+// such as _resourceType and _initiator, which the format allows.
+function normalizeHarEntry(entry: any): any {
+  const request = entry.request;
+  const response = entry.response || {};
+  const content = response.content || {};
+  const timings = entry.timings || {};
+
+  return {
+    ...entry,
+    startedDateTime: entry.startedDateTime || new Date().toISOString(),
+    time: typeof entry.time === "number" ? entry.time : 0,
+    request: {
+      ...request,
+      method: request.method || "GET",
+      httpVersion: request.httpVersion || "",
+      cookies: request.cookies || [],
+      headers: request.headers || [],
+      queryString: request.queryString || [],
+      headersSize: request.headersSize ?? -1,
+      bodySize: request.bodySize ?? -1,
+    },
+    response: {
+      ...response,
+      status: response.status ?? 0,
+      statusText: response.statusText || "",
+      httpVersion: response.httpVersion || "",
+      cookies: response.cookies || [],
+      headers: response.headers || [],
+      content: {
+        ...content,
+        size: content.size ?? 0,
+        mimeType: content.mimeType || "",
+      },
+      redirectURL: response.redirectURL || "",
+      headersSize: response.headersSize ?? -1,
+      bodySize: response.bodySize ?? -1,
+    },
+    cache: entry.cache || {},
+    timings: {
+      ...timings,
+      send: Math.max(timings.send ?? 0, 0),
+      wait: Math.max(timings.wait ?? 0, 0),
+      receive: Math.max(timings.receive ?? 0, 0),
+    },
+  };
+}
+
+// ===== Export =====
+
+/**
+ * Builds a HAR 1.2 document from a recording
+ *
+ * @param recording The tab's recorded traffic
+ * @param creator Name and version of the exporting application
+ * @returns The HAR document, entries sorted by start time
+ */
+export function buildHar(
+  recording: HarRecording,
+  creator: { name: string; version: string }
+): Har {
+  const entries = [...recording.entries].sort(
+    (a, b) =>
+      new Date(a.startedDateTime).getTime() -
+      new Date(b.startedDateTime).getTime()
+  );
+  // Every pageref must name a page in the file
+  const pageIds = new Set(recording.pages.map((page) => page.id));
+  const comments: string[] = [];
+  if (recording.droppedEntries > 0) {
+    comments.push(
+      `${recording.droppedEntries} older entries were dropped to keep the recording under ${MAX_HAR_ENTRIES} entries`
+    );
+  }
+  if (recording.droppedBodies > 0) {
+    comments.push(
+      `${recording.droppedBodies} older response bodies were left out to keep them under ${MAX_HAR_BODY_BYTES} bytes in total`
+    );
+  }
+
+  return {
+    log: {
+      version: "1.2",
+      creator,
+      pages: recording.pages,
+      entries: entries.map(({ pageref, ...entry }) =>
+        pageIds.has(pageref) ? { ...entry, pageref } : entry
+      ),
+      ...(comments.length > 0 && { comment: comments.join("; ") }),
+    },
+  };
+}
+
+/**
+ * File name for an exported HAR, e.g. browser-tools-2024-05-01T10-00-00-000Z.har
+ */
+export function getHarFileName(date: Date = new Date()): string {
+  return `browser-tools-${date.toISOString().replace(/[:.]/g, "-")}.har`;
+}
@@ -1,5 +1,5 @@
 import { Result as LighthouseResult } from "lighthouse";
-import { AuditCategory, LighthouseReport } from "./types.js";
+import { AuditCategory, AuditOptions, LighthouseReport } from "./types.js";
 import { runLighthouseAudit } from "./index.js";
 
 // === Accessibility Report Types ===
@@ -95,13 +95,19 @@ const DETAIL_LIMITS = {
 /**
  * Runs an accessibility audit on the specified URL
  * @param url The URL to audit
+ * @param options Form factor, throttling and viewport to emulate
  * @returns Promise resolving to AI-optimized accessibility audit results
  */
 export async function runAccessibilityAudit(
-  url: string
+  url: string,
+  options: AuditOptions = {}
 ): Promise<AIOptimizedAccessibilityReport> {
   try {
-    const lhr = await runLighthouseAudit(url, [AuditCategory.ACCESSIBILITY]);
+    const lhr = await runLighthouseAudit(
+      url,
+      [AuditCategory.ACCESSIBILITY],
+      options
+    );
     return extractAIOptimizedData(lhr, url);
   } catch (error) {
     throw new Error(
@@ -126,7 +132,7 @@ const extractAIOptimizedData = (
   const metadata = {
     url,
     timestamp: lhr.fetchTime || new Date().toISOString(),
-    device: "desktop", // This could be made configurable
+    device: lhr.configSettings?.formFactor || "desktop",
     lighthouseVersion: lhr.lighthouseVersion,
   };
 
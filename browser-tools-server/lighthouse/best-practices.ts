@@ -1,5 +1,5 @@
 import { Result as LighthouseResult } from "lighthouse";
-import { AuditCategory, LighthouseReport } from "./types.js";
+import { AuditCategory, AuditOptions, LighthouseReport } from "./types.js";
 import { runLighthouseAudit } from "./index.js";
 
 // === Best Practices Report Types ===
@@ -76,13 +76,19 @@ const DETAIL_LIMITS: Record<string, number> = {
 /**
  * Runs a Best Practices audit on the specified URL
  * @param url The URL to audit
+ * @param options Form factor, throttling and viewport to emulate
  * @returns Promise resolving to AI-optimized Best Practices audit results
  */
 export async function runBestPracticesAudit(
-  url: string
+  url: string,
+  options: AuditOptions = {}
 ): Promise<AIOptimizedBestPracticesReport> {
   try {
-    const lhr = await runLighthouseAudit(url, [AuditCategory.BEST_PRACTICES]);
+    const lhr = await runLighthouseAudit(
+      url,
+      [AuditCategory.BEST_PRACTICES],
+      options
+    );
     return extractAIOptimizedData(lhr, url);
   } catch (error) {
     throw new Error(
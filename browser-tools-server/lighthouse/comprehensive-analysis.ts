@@ -1,4 +1,3 @@
-import { Result as LighthouseResult } from "lighthouse";
 import {
   runPerformanceAudit,
   PerformanceReportContent,
@@ -13,6 +12,40 @@ import {
   BestPracticesReportContent,
 } from "./best-practices.js";
 import { runPWAAudit, PWAReportContent } from "./pwa.js";
+import { AuditOptionsError, parseAuditOptions } from "./index.js";
+import { AuditOptions } from "./types.js";
+
+/**
+ * Relative weight of each category in the overall score
+ */
+export interface CategoryWeights {
+  performance: number;
+  accessibility: number;
+  seo: number;
+  best_practices: number;
+  pwa: number;
+}
+
+/**
+ * Default weights: Performance 30%, Accessibility 25%, SEO 25%, Best Practices 15%, PWA 5%
+ */
+export const DEFAULT_CATEGORY_WEIGHTS: CategoryWeights = {
+  performance: 0.3,
+  accessibility: 0.25,
+  seo: 0.25,
+  best_practices: 0.15,
+  pwa: 0.05,
+};
+
+// One Lighthouse run per category
+const COMPREHENSIVE_AUDIT_COUNT = Object.keys(DEFAULT_CATEGORY_WEIGHTS).length;
+
+/**
+ * Options for a comprehensive site analysis
+ */
+export interface ComprehensiveAnalysisOptions extends AuditOptions {
+  weights?: Partial<CategoryWeights>; // Missing categories keep their default weight
+}
 
 /**
  * Comprehensive site analysis aggregating all Lighthouse categories
@@ -20,14 +53,10 @@ import { runPWAAudit, PWAReportContent } from "./pwa.js";
 export interface ComprehensiveSiteAnalysis {
   url: string;
   analyzed_at: string;
-  overall_score: number; // Weighted average of all categories (0-100)
-  category_scores: {
-    performance: number;
-    accessibility: number;
-    seo: number;
-    best_practices: number;
-    pwa: number;
-  };
+  overall_score: number; // Weighted average of the categories that ran (0-100)
+  category_scores: CategoryWeights; // Per-category scores (0-100), same keys as the weights
+  category_weights: CategoryWeights; // Normalized weights used for overall_score
+  failed_categories: string[]; // Categories whose audit failed, left out of overall_score
   performance: PerformanceReportContent;
   accessibility: AccessibilityReportContent;
   seo: SEOReportContent;
@@ -82,77 +111,148 @@ export interface QuickWin {
   action: string;
 }
 
+/**
+ * Validates the weights and device options of a comprehensive analysis request
+ * @param body The request body, with optional weights plus the usual audit options
+ * @returns The parsed analysis options
+ * @throws AuditOptionsError if a weight or audit option is malformed
+ */
+export function parseComprehensiveAnalysisOptions(
+  body: Record<string, any> = {}
+): ComprehensiveAnalysisOptions {
+  const options: ComprehensiveAnalysisOptions = parseAuditOptions(body);
+  if (body.weights === undefined) return options;
+
+  if (typeof body.weights !== "object" || body.weights === null) {
+    throw new AuditOptionsError('"weights" must be an object');
+  }
+
+  const weights: Partial<CategoryWeights> = {};
+  for (const [category, weight] of Object.entries(body.weights)) {
+    if (!(category in DEFAULT_CATEGORY_WEIGHTS)) {
+      throw new AuditOptionsError(
+        `Unknown weight category "${category}". Valid categories are: ${Object.keys(
+          DEFAULT_CATEGORY_WEIGHTS
+        ).join(", ")}`
+      );
+    }
+    if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+      throw new AuditOptionsError(
+        `Weight for "${category}" must be a non-negative number`
+      );
+    }
+    weights[category as keyof CategoryWeights] = weight;
+  }
+  options.weights = weights;
+  return options;
+}
+
 /**
  * Run comprehensive site analysis with all 5 Lighthouse categories
  * @param url The URL to analyze
+ * @param options Category weights for overall_score, plus the usual audit options
  * @returns Promise resolving to comprehensive site analysis
  */
 export async function runComprehensiveSiteAnalysis(
-  url: string
+  url: string,
+  options: ComprehensiveAnalysisOptions = {}
 ): Promise<ComprehensiveSiteAnalysis> {
   console.log(`Starting comprehensive site analysis for: ${url}`);
 
   try {
-    // Run all 5 audits in parallel
-    const [
-      performanceResult,
-      accessibilityResult,
-      seoResult,
-      bestPracticesResult,
-      pwaResult,
-    ] = await Promise.all([
-      runPerformanceAudit(url).catch((err) => {
-        console.error("Performance audit failed:", err.message);
+    const { weights, onProgress, signal, ...auditOptions } = options;
+
+    // Audits share one headless browser and Lighthouse doesn't support
+    // concurrent runs in the same browser, so run them one after another
+    let auditIndex = 0;
+    const runSafely = async <T>(
+      name: string,
+      audit: (options: AuditOptions) => Promise<T>
+    ): Promise<T | null> => {
+      const index = auditIndex++;
+      try {
+        return await audit({
+          ...auditOptions,
+          signal,
+          // Each audit reports its phases as its own slice of the overall progress
+          onProgress:
+            onProgress &&
+            ((progress) =>
+              onProgress({
+                ...progress,
+                message: `${name}: ${progress.message}`,
+                progress: index * progress.total + progress.progress,
+                total: COMPREHENSIVE_AUDIT_COUNT * progress.total,
+              })),
+        });
+      } catch (err) {
+        // A cancelled analysis stops instead of moving on to the next audit
+        if (signal?.aborted) throw err;
+        console.error(
+          `${name} audit failed:`,
+          err instanceof Error ? err.message : String(err)
+        );
         return null;
-      }),
-      runAccessibilityAudit(url).catch((err) => {
-        console.error("Accessibility audit failed:", err.message);
-        return null;
-      }),
-      runSEOAudit(url).catch((err) => {
-        console.error("SEO audit failed:", err.message);
-        return null;
-      }),
-      runBestPracticesAudit(url).catch((err) => {
-        console.error("Best Practices audit failed:", err.message);
-        return null;
-      }),
-      runPWAAudit(url).catch((err) => {
-        console.error("PWA audit failed:", err.message);
-        return null;
-      }),
-    ]);
+      }
+    };
+    const performanceResult = await runSafely("Performance", (options) =>
+      runPerformanceAudit(url, options)
+    );
+    const accessibilityResult = await runSafely("Accessibility", (options) =>
+      runAccessibilityAudit(url, options)
+    );
+    const seoResult = await runSafely("SEO", (options) =>
+      runSEOAudit(url, options)
+    );
+    const bestPracticesResult = await runSafely("Best Practices", (options) =>
+      runBestPracticesAudit(url, options)
+    );
+    const pwaResult = await runSafely("PWA", (options) =>
+      runPWAAudit(url, options)
+    );
 
     // Extract category scores (with fallback to 0)
-    const category_scores = {
-      performance: performanceResult?.report?.content?.score || 0,
-      accessibility: accessibilityResult?.report?.content?.score || 0,
+    const category_scores: CategoryWeights = {
+      performance: performanceResult?.report?.score || 0,
+      accessibility: accessibilityResult?.report?.score || 0,
       seo: seoResult?.report?.score || 0,
-      best_practices: bestPracticesResult?.report?.content?.score || 0,
-      pwa: pwaResult?.report?.content?.score || 0,
+      best_practices: bestPracticesResult?.report?.score || 0,
+      pwa: pwaResult?.report?.score || 0,
     };
 
-    // Calculate weighted overall score
-    // Weights: Performance 30%, Accessibility 25%, SEO 25%, Best Practices 15%, PWA 5%
+    const succeeded: Record<keyof CategoryWeights, boolean> = {
+      performance: !!performanceResult?.report,
+      accessibility: !!accessibilityResult?.report,
+      seo: !!seoResult?.report,
+      best_practices: !!bestPracticesResult?.report,
+      pwa: !!pwaResult?.report,
+    };
+    const failed_categories = (
+      Object.keys(succeeded) as (keyof CategoryWeights)[]
+    ).filter((category) => !succeeded[category]);
+
+    // Calculate weighted overall score over the categories that ran
+    const category_weights = normalizeWeights(
+      { ...DEFAULT_CATEGORY_WEIGHTS, ...weights },
+      failed_categories
+    );
     const overall_score = Math.round(
-      category_scores.performance * 0.3 +
-        category_scores.accessibility * 0.25 +
-        category_scores.seo * 0.25 +
-        category_scores.best_practices * 0.15 +
-        category_scores.pwa * 0.05
+      (Object.keys(category_weights) as (keyof CategoryWeights)[]).reduce(
+        (total, category) =>
+          total + category_scores[category] * category_weights[category],
+        0
+      )
     );
 
     // Extract report content with safe defaults
     const performance =
-      performanceResult?.report?.content || createEmptyPerformanceReport();
+      performanceResult?.report || createEmptyPerformanceReport();
     const accessibility =
-      accessibilityResult?.report?.content ||
-      createEmptyAccessibilityReport();
+      accessibilityResult?.report || createEmptyAccessibilityReport();
     const seo = seoResult?.report || createEmptySEOReport();
     const best_practices =
-      bestPracticesResult?.report?.content ||
-      createEmptyBestPracticesReport();
-    const pwa = pwaResult?.report?.content || createEmptyPWAReport();
+      bestPracticesResult?.report || createEmptyBestPracticesReport();
+    const pwa = pwaResult?.report || createEmptyPWAReport();
 
     // Calculate summary statistics
     const summary = calculateSummary(
@@ -196,6 +296,8 @@ export async function runComprehensiveSiteAnalysis(
       analyzed_at: new Date().toISOString(),
       overall_score,
       category_scores,
+      category_weights,
+      failed_categories,
       performance,
       accessibility,
       seo,
@@ -215,6 +317,36 @@ export async function runComprehensiveSiteAnalysis(
   }
 }
 
+/**
+ * Scales weights so they sum to 1, dropping excluded categories.
+ * Falls back to equal weights when every remaining weight is zero.
+ */
+function normalizeWeights(
+  weights: CategoryWeights,
+  excluded: (keyof CategoryWeights)[]
+): CategoryWeights {
+  const categories = (Object.keys(weights) as (keyof CategoryWeights)[]).filter(
+    (category) => !excluded.includes(category)
+  );
+  const total = categories.reduce(
+    (sum, category) => sum + weights[category],
+    0
+  );
+
+  const normalized: CategoryWeights = {
+    performance: 0,
+    accessibility: 0,
+    seo: 0,
+    best_practices: 0,
+    pwa: 0,
+  };
+  for (const category of categories) {
+    normalized[category] =
+      total > 0 ? weights[category] / total : 1 / categories.length;
+  }
+  return normalized;
+}
+
 /**
  * Calculate summary statistics across all categories
  */
@@ -261,18 +393,18 @@ function calculateSummary(
   // Count issues by severity
   const total_issues =
     (performance.opportunities?.length || 0) +
-    (accessibility.violations?.length || 0) +
+    (accessibility.issues?.length || 0) +
     (seo.issues?.length || 0) +
     (best_practices.issues?.length || 0) +
     (pwa.issues?.length || 0);
 
   const critical_issues =
-    (performance.opportunities?.filter((o) => o.impact === "critical")
+    (performance.opportunities?.filter((o) => o.severity === "critical")
       ?.length || 0) +
-    (accessibility.violations?.filter((v) => v.impact === "critical")?.length ||
+    (accessibility.issues?.filter((v) => v.impact === "critical")?.length ||
       0) +
     (seo.issues?.filter((i) => i.impact === "critical")?.length || 0) +
-    (best_practices.issues?.filter((i) => i.severity === "critical")?.length ||
+    (best_practices.issues?.filter((i) => i.impact === "critical")?.length ||
       0) +
     (pwa.issues?.filter((i) => i.severity === "critical")?.length || 0);
 
@@ -285,6 +417,16 @@ function calculateSummary(
   };
 }
 
+/**
+ * Looks up a metric value (e.g. "lcp" in ms, "cls" unitless) in a performance report
+ */
+function getMetricValue(
+  performance: PerformanceReportContent,
+  id: string
+): number | undefined {
+  return performance.metrics?.find((metric) => metric.id === id)?.value_ms;
+}
+
 /**
  * Generate insights that span multiple categories
  */
@@ -300,7 +442,7 @@ function generateCrossCategoryInsights(
   // Insight 1: Large images affecting performance, SEO, and accessibility
   if (
     performance.opportunities?.some((o) => o.id === "uses-optimized-images") &&
-    accessibility.violations?.some((v) => v.id === "image-alt")
+    accessibility.issues?.some((v) => v.id === "image-alt")
   ) {
     insights.push({
       id: "large-images-multi-impact",
@@ -316,8 +458,7 @@ function generateCrossCategoryInsights(
 
   // Insight 2: Mobile-friendliness affecting performance, SEO, and accessibility
   if (
-    performance.core_web_vitals?.CLS &&
-    performance.core_web_vitals.CLS > 0.1 &&
+    (getMetricValue(performance, "cls") ?? 0) > 0.1 &&
     seo.categories?.mobile?.issues_count > 0
   ) {
     insights.push({
@@ -369,7 +510,7 @@ function generateCrossCategoryInsights(
 
   // Insight 5: Accessibility and SEO overlap (semantic HTML)
   if (
-    accessibility.violations?.some((v) =>
+    accessibility.issues?.some((v) =>
       ["heading-order", "document-title"].includes(v.id)
     ) &&
     seo.issues?.some((i) => i.category === "content")
@@ -405,7 +546,7 @@ function generatePrioritizedActionItems(
   // Action 1: Critical issues first (if any HTTPS issues)
   if (
     best_practices.issues?.some(
-      (i) => i.id === "is-on-https" && i.severity === "critical"
+      (i) => i.id === "is-on-https" && i.impact === "critical"
     )
   ) {
     action_items.push({
@@ -428,10 +569,7 @@ function generatePrioritizedActionItems(
   }
 
   // Action 2: Core Web Vitals optimization (high ROI)
-  if (
-    performance.core_web_vitals?.LCP &&
-    performance.core_web_vitals.LCP > 2500
-  ) {
+  if ((getMetricValue(performance, "lcp") ?? 0) > 2500) {
     action_items.push({
       rank: action_items.length + 1,
       title: "Optimize Largest Contentful Paint (LCP)",
@@ -452,7 +590,7 @@ function generatePrioritizedActionItems(
   }
 
   // Action 3: Accessibility violations (legal and UX impact)
-  const criticalA11yIssues = accessibility.violations?.filter(
+  const criticalA11yIssues = accessibility.issues?.filter(
     (v) => v.impact === "critical"
   );
   if (criticalA11yIssues && criticalA11yIssues.length > 0) {
@@ -552,7 +690,7 @@ function generateQuickWins(
   }
 
   // Quick win 2: Add alt text to images
-  if (accessibility.violations?.some((v) => v.id === "image-alt")) {
+  if (accessibility.issues?.some((v) => v.id === "image-alt")) {
     quick_wins.push({
       title: "Add alt text to images",
       category: "accessibility",
@@ -601,7 +739,7 @@ function generateQuickWins(
   }
 
   // Quick win 6: Fix color contrast
-  if (accessibility.violations?.some((v) => v.id === "color-contrast")) {
+  if (accessibility.issues?.some((v) => v.id === "color-contrast")) {
     quick_wins.push({
       title: "Fix color contrast issues",
       category: "accessibility",
@@ -625,10 +763,8 @@ function createEmptyPerformanceReport(): PerformanceReportContent {
       informative: 0,
       not_applicable: 0,
     },
-    core_web_vitals: {},
     metrics: [],
     opportunities: [],
-    diagnostics: [],
   };
 }
 
@@ -642,9 +778,9 @@ function createEmptyAccessibilityReport(): AccessibilityReportContent {
       informative: 0,
       not_applicable: 0,
     },
-    violations: [],
-    incomplete: [],
-    manual_checks: [],
+    issues: [],
+    categories: {},
+    critical_elements: [],
   };
 }
 
@@ -674,6 +810,7 @@ function createEmptyBestPracticesReport(): BestPracticesReportContent {
       not_applicable: 0,
     },
     issues: [],
+    categories: {},
   };
 }
 
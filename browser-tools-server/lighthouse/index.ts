@@ -1,56 +1,259 @@
 import lighthouse from "lighthouse";
 import type { Result as LighthouseResult, Flags } from "lighthouse";
+import log from "lighthouse-logger";
+import type { Browser, Page, Target } from "puppeteer-core";
 import {
   connectToHeadlessBrowser,
   scheduleBrowserCleanup,
 } from "../puppeteer-service.js";
-import { LighthouseConfig, AuditCategory } from "./types.js";
+import * as lighthouseConstants from "lighthouse/core/config/constants.js";
+import {
+  LighthouseConfig,
+  AuditCategory,
+  AuditOptions,
+  AuditPhase,
+  AuditProgress,
+  FormFactor,
+  ThrottlingPreset,
+  ThrottlingSettings,
+} from "./types.js";
+
+/**
+ * Error raised when audit options from a request are invalid.
+ * Audit endpoints translate it into a 400 response.
+ */
+export class AuditOptionsError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "AuditOptionsError";
+  }
+}
+
+const NO_THROTTLING: ThrottlingSettings = {
+  rttMs: 0,
+  throughputKbps: 0,
+  requestLatencyMs: 0,
+  downloadThroughputKbps: 0,
+  uploadThroughputKbps: 0,
+  cpuSlowdownMultiplier: 1,
+};
+
+// Values come from Lighthouse so presets track its own mobile/desktop configs
+const THROTTLING_PRESETS: Record<ThrottlingPreset, ThrottlingSettings> = {
+  "mobile-slow-4g": lighthouseConstants.throttling.mobileSlow4G,
+  "mobile-3g": lighthouseConstants.throttling.mobileRegular3G,
+  desktop: lighthouseConstants.throttling.desktopDense4G,
+  none: NO_THROTTLING,
+};
+
+const FORM_FACTORS: FormFactor[] = ["mobile", "desktop"];
+
+/**
+ * Validates the device options of an audit request
+ * @param body The request body, with optional formFactor, throttling and viewport
+ * @returns The parsed audit options
+ * @throws AuditOptionsError if an option is malformed
+ */
+export function parseAuditOptions(
+  body: Record<string, any> = {}
+): AuditOptions {
+  const options: AuditOptions = {};
+
+  if (body.formFactor !== undefined) {
+    if (!FORM_FACTORS.includes(body.formFactor)) {
+      throw new AuditOptionsError(
+        `"formFactor" must be one of ${FORM_FACTORS.join(", ")}, got "${
+          body.formFactor
+        }"`
+      );
+    }
+    options.formFactor = body.formFactor;
+  }
+
+  if (body.throttling !== undefined) {
+    if (!(body.throttling in THROTTLING_PRESETS)) {
+      throw new AuditOptionsError(
+        `"throttling" must be one of ${Object.keys(THROTTLING_PRESETS).join(
+          ", "
+        )}, got "${body.throttling}"`
+      );
+    }
+    options.throttling = body.throttling;
+  }
+
+  if (body.viewport !== undefined) {
+    const { width, height, deviceScaleFactor } = body.viewport || {};
+    const isPositive = (value: unknown) =>
+      typeof value === "number" && Number.isFinite(value) && value > 0;
+    if (
+      !isPositive(width) ||
+      !isPositive(height) ||
+      (deviceScaleFactor !== undefined && !isPositive(deviceScaleFactor))
+    ) {
+      throw new AuditOptionsError(
+        '"viewport" must be { width, height, deviceScaleFactor? } with positive numbers'
+      );
+    }
+    options.viewport = {
+      width: Math.round(width),
+      height: Math.round(height),
+      deviceScaleFactor,
+    };
+  }
+
+  return options;
+}
 
 /**
  * Creates a Lighthouse configuration object
  * @param categories Array of categories to audit
+ * @param options Form factor, throttling and viewport to emulate, defaults to an unthrottled-CPU desktop
  * @returns Lighthouse configuration and flags
  */
 export function createLighthouseConfig(
-  categories: string[] = [AuditCategory.ACCESSIBILITY]
+  categories: string[] = [AuditCategory.ACCESSIBILITY],
+  options: AuditOptions = {}
 ): LighthouseConfig {
+  const formFactor = options.formFactor || "desktop";
+  const throttling =
+    options.throttling ||
+    (formFactor === "mobile" ? "mobile-slow-4g" : "desktop");
+  const screen = lighthouseConstants.screenEmulationMetrics[formFactor];
+
   return {
     flags: {
       output: ["json"],
       onlyCategories: categories,
-      formFactor: "desktop",
       port: undefined as number | undefined,
-      screenEmulation: {
-        mobile: false,
-        width: 1350,
-        height: 940,
-        deviceScaleFactor: 1,
-        disabled: false,
-      },
     },
     config: {
       extends: "lighthouse:default",
       settings: {
         onlyCategories: categories,
-        emulatedFormFactor: "desktop",
-        throttling: { cpuSlowdownMultiplier: 1 },
+        formFactor,
+        screenEmulation: {
+          mobile: formFactor === "mobile",
+          width: options.viewport?.width ?? screen.width,
+          height: options.viewport?.height ?? screen.height,
+          deviceScaleFactor:
+            options.viewport?.deviceScaleFactor ?? screen.deviceScaleFactor,
+          disabled: false,
+        },
+        emulatedUserAgent: lighthouseConstants.userAgents[formFactor],
+        // "provided" tells Lighthouse not to simulate any slowdown
+        throttlingMethod: throttling === "none" ? "provided" : "simulate",
+        throttling: { ...THROTTLING_PRESETS[throttling] },
       },
     },
   };
 }
 
+const AUDIT_PHASES: AuditPhase[] = [
+  "launching",
+  "navigating",
+  "gathering",
+  "scoring",
+];
+
 /**
- * Runs a Lighthouse audit on the specified URL via CDP
+ * Maps a Lighthouse status message onto the audit phase it belongs to
+ * @param message The message of a lighthouse-logger "status" event
+ * @returns The matching phase, or null for statuses that don't start a phase
+ */
+function getPhaseForStatus(message: string): AuditPhase | null {
+  if (message.startsWith("Navigating to")) return "navigating";
+  if (message.startsWith("Getting artifact")) return "gathering";
+  if (
+    message === "Audit phase" ||
+    message.startsWith("Analyzing and running audits")
+  ) {
+    return "scoring";
+  }
+  return null;
+}
+
+/**
+ * Creates a reporter that forwards phase changes to a progress callback.
+ * Phases only move forward, so repeated statuses are reported once.
+ * @param onProgress The callback to notify, if any
+ * @returns A function to call whenever a phase may have started
+ */
+function createProgressReporter(
+  onProgress?: (progress: AuditProgress) => void
+): (phase: AuditPhase, message: string) => void {
+  let currentIndex = -1;
+  return (phase, message) => {
+    const index = AUDIT_PHASES.indexOf(phase);
+    if (index <= currentIndex) return;
+    currentIndex = index;
+    onProgress?.({
+      phase,
+      message,
+      progress: index + 1,
+      total: AUDIT_PHASES.length,
+    });
+  };
+}
+
+/**
+ * Returns a promise that rejects with the signal's reason once it aborts
+ * @param signal The signal to watch
+ */
+function whenAborted(signal: AbortSignal): Promise<never> {
+  return new Promise<never>((_, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener("abort", () => reject(signal.reason), {
+      once: true,
+    });
+  });
+}
+
+// Lighthouse status events are process-wide and audits share one headless
+// browser, so audits are queued and run one at a time. Each settles when the
+// audit before it has finished, including any Lighthouse run it gave up on.
+let auditQueue: Promise<void> = Promise.resolve();
+
+/**
+ * Waits until every audit requested earlier has finished
+ * @param signal Stops waiting when aborted
+ * @returns A function to call when this audit has finished
+ * @throws The signal's reason if it aborts first
+ */
+async function waitForAuditTurn(signal?: AbortSignal): Promise<() => void> {
+  const previous = auditQueue;
+  let release!: () => void;
+  const finished = new Promise<void>((resolve) => (release = resolve));
+  // Later audits wait for the previous one too, even if this one gives up
+  auditQueue = previous.then(() => finished);
+
+  try {
+    await (signal ? Promise.race([previous, whenAborted(signal)]) : previous);
+  } catch (error) {
+    release();
+    throw error;
+  }
+  return release;
+}
+
+/**
+ * Runs a Lighthouse audit on the specified URL via CDP. Audits are queued,
+ * so concurrent requests run one after another.
  * @param url The URL to audit
  * @param categories Array of categories to audit, defaults to ["accessibility"]
+ * @param options Form factor, throttling and viewport to emulate, plus an optional progress callback and abort signal
  * @returns Promise resolving to the Lighthouse result
- * @throws Error if the URL is invalid or if the audit fails
+ * @throws Error if the URL is invalid, if the audit fails or if it is aborted
  */
 export async function runLighthouseAudit(
   url: string,
-  categories: string[]
+  categories: string[],
+  options: AuditOptions = {}
 ): Promise<LighthouseResult> {
-  console.log(`Starting Lighthouse ${categories.join(", ")} audit for: ${url}`);
+  console.log(
+    `Starting Lighthouse ${categories.join(", ")} audit for: ${url} (${
+      options.formFactor || "desktop"
+    })`
+  );
 
   if (!url || url === "about:blank") {
     console.error("Invalid URL for Lighthouse audit");
@@ -59,7 +262,30 @@ export async function runLighthouseAudit(
     );
   }
 
+  const { signal } = options;
+  const reportPhase = createProgressReporter(options.onProgress);
+
+  // Lighthouse status events are process-wide. Audits are queued, so
+  // everything emitted while this listener is attached belongs to this run.
+  const onStatus = ([, message]: [string, string]) => {
+    const phase = getPhaseForStatus(String(message));
+    if (phase) reportPhase(phase, message);
+  };
+
+  let page: Page | null = null;
+  let browser: Browser | null = null;
+  const auditTargets: Target[] = [];
+  const trackTarget = (target: Target) => auditTargets.push(target);
+  let timeout: NodeJS.Timeout | undefined;
+  let endTurn: (() => void) | undefined;
+  // The Lighthouse run, which keeps going when it is given up on
+  let run: Promise<unknown> | undefined;
+  let runSettled = false;
+
   try {
+    signal?.throwIfAborted();
+    endTurn = await waitForAuditTurn(signal);
+
     // Always use a dedicated headless browser for audits
     console.log("Using dedicated headless browser for audit");
 
@@ -69,27 +295,42 @@ export async function runLighthouseAudit(
     // For performance audits, we want to load all resources
     // For accessibility or other audits, we can block non-essential resources
     try {
-      const { port } = await connectToHeadlessBrowser(url, {
+      reportPhase("launching", "Launching headless Chrome");
+      const connection = await connectToHeadlessBrowser(url, {
         blockResources: !isPerformanceAudit,
       });
+      page = connection.page;
+      browser = connection.browser;
+      signal?.throwIfAborted();
 
-      console.log(`Connected to browser on port: ${port}`);
+      console.log(`Connected to browser on port: ${connection.port}`);
 
       // Create Lighthouse config
-      const { flags, config } = createLighthouseConfig(categories);
-      flags.port = port;
+      const { flags, config } = createLighthouseConfig(categories, options);
+      flags.port = connection.port;
 
       console.log(
         `Running Lighthouse with categories: ${categories.join(", ")}`
       );
 
+      // Lighthouse opens its own page over a separate connection, so note
+      // every page created during the run in case it has to be closed early
+      browser.on("targetcreated", trackTarget);
+      log.events.on("status", onStatus);
+
       // Add timeout wrapper to prevent hanging (3 minutes)
       const LIGHTHOUSE_TIMEOUT = 180000;
+      const lighthouseRun = lighthouse(url, flags as Flags, config);
+      run = lighthouseRun.finally(() => (runSettled = true));
       const runnerResult = await Promise.race([
-        lighthouse(url, flags as Flags, config),
-        new Promise<never>((_, reject) =>
-          setTimeout(() => reject(new Error("Lighthouse timeout after 3 minutes")), LIGHTHOUSE_TIMEOUT)
-        )
+        lighthouseRun,
+        new Promise<never>((_, reject) => {
+          timeout = setTimeout(
+            () => reject(new Error("Lighthouse timeout after 3 minutes")),
+            LIGHTHOUSE_TIMEOUT
+          );
+        }),
+        ...(signal ? [whenAborted(signal)] : []),
       ]);
 
       console.log("Lighthouse scan completed");
@@ -125,17 +366,55 @@ export async function runLighthouseAudit(
       throw browserError;
     }
   } catch (error) {
-    console.error("Lighthouse audit failed:", error);
-    // Schedule browser cleanup even if the audit fails
-    scheduleBrowserCleanup();
+    if (signal?.aborted) {
+      console.log("Lighthouse audit cancelled");
+    } else {
+      console.error("Lighthouse audit failed:", error);
+    }
+    // Cancelled or timed out: closing Lighthouse's page makes the abandoned
+    // run fail fast
+    if (run && !runSettled) await closeAuditPages(auditTargets);
+    // Schedule browser cleanup even if the audit fails, unless it never got
+    // its turn and another audit is still using the browser
+    if (endTurn) scheduleBrowserCleanup();
     throw new Error(
       `Lighthouse audit failed: ${
         error instanceof Error ? error.message : String(error)
       }`
     );
+  } finally {
+    clearTimeout(timeout);
+    log.events.off("status", onStatus);
+    browser?.off("targetcreated", trackTarget);
+    // The page opened by connectToHeadlessBrowser is only used to load the URL
+    await page?.close().catch(() => {});
+    // The next audit shares the browser, so it waits for an abandoned run
+    // to actually stop
+    if (run && !runSettled) {
+      console.log("Waiting for the abandoned Lighthouse run to stop");
+    }
+    await run?.catch(() => {});
+    endTurn?.();
   }
 }
 
+/**
+ * Closes the pages created for an audit that is being abandoned
+ * @param targets Targets created in the browser while the audit ran
+ */
+async function closeAuditPages(targets: Target[]): Promise<void> {
+  await Promise.all(
+    targets.map(async (target) => {
+      try {
+        const page = await target.page();
+        await page?.close();
+      } catch (error) {
+        // The page may already be gone
+      }
+    })
+  );
+}
+
 // Export from specific audit modules
 export * from "./accessibility.js";
 export * from "./performance.js";
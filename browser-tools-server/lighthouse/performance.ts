@@ -1,5 +1,5 @@
 import { Result as LighthouseResult } from "lighthouse";
-import { AuditCategory, LighthouseReport } from "./types.js";
+import { AuditCategory, AuditOptions, LighthouseReport } from "./types.js";
 import { runLighthouseAudit } from "./index.js";
 
 // === Performance Report Types ===
@@ -87,10 +87,15 @@ const DETAIL_LIMITS = {
  * - Only actionable data that an AI can use for recommendations
  */
 export async function runPerformanceAudit(
-  url: string
+  url: string,
+  options: AuditOptions = {}
 ): Promise<AIOptimizedPerformanceReport> {
   try {
-    const lhr = await runLighthouseAudit(url, [AuditCategory.PERFORMANCE]);
+    const lhr = await runLighthouseAudit(
+      url,
+      [AuditCategory.PERFORMANCE],
+      options
+    );
     return extractAIOptimizedData(lhr, url);
   } catch (error) {
     throw new Error(
@@ -116,7 +121,7 @@ const extractAIOptimizedData = (
   const metadata = {
     url,
     timestamp: lhr.fetchTime || new Date().toISOString(),
-    device: "desktop", // This could be made configurable
+    device: lhr.configSettings?.formFactor || "desktop",
     lighthouseVersion: lhr.lighthouseVersion,
   };
 
@@ -1,5 +1,5 @@
 import { Result as LighthouseResult } from "lighthouse";
-import { AuditCategory, LighthouseReport } from "./types.js";
+import { AuditCategory, AuditOptions, LighthouseReport } from "./types.js";
 import { runLighthouseAudit } from "./index.js";
 
 /**
@@ -45,36 +45,30 @@ export interface PWAReportContent {
 }
 
 /**
- * Complete PWA audit report
+ * Full PWA report implementing the base LighthouseReport interface
  */
-export type PWAReport = LighthouseReport<PWAReportContent>;
-
-/**
- * AI-optimized PWA report (alternative structure for backward compatibility)
- */
-export interface AIOptimizedPWAReport {
-  report: {
-    category: "pwa";
-    content: PWAReportContent;
-  };
-}
+export type AIOptimizedPWAReport = LighthouseReport<PWAReportContent>;
 
 /**
  * Runs a PWA (Progressive Web App) audit on the specified URL
  * @param url The URL to audit
+ * @param options Form factor, throttling and viewport to emulate
  * @returns Promise resolving to an AI-optimized PWA report
  * @throws Error if the audit fails or PWA category is missing
  */
 export async function runPWAAudit(
-  url: string
+  url: string,
+  options: AuditOptions = {}
 ): Promise<AIOptimizedPWAReport> {
   console.log(`Starting PWA audit for: ${url}`);
 
   try {
     // Run Lighthouse audit with PWA category
-    const result: LighthouseResult = await runLighthouseAudit(url, [
-      AuditCategory.PWA,
-    ]);
+    const result: LighthouseResult = await runLighthouseAudit(
+      url,
+      [AuditCategory.PWA],
+      options
+    );
 
     // Extract PWA category from Lighthouse result
     const pwaCategory = result.categories?.pwa;
@@ -114,7 +108,9 @@ export async function runPWAAudit(
       );
     }
     if (!installability.has_icons) {
-      installability.issues.push("Missing app icons (required for installation)");
+      installability.issues.push(
+        "Missing app icons (required for installation)"
+      );
     }
     if (splashScreenAudit && splashScreenAudit.score !== 1) {
       installability.issues.push("Splash screen configuration incomplete");
@@ -182,7 +178,12 @@ export async function runPWAAudit(
     // Create prioritized recommendations
     const prioritized_recommendations = issues
       .sort((a, b) => {
-        const severityOrder = { critical: 0, serious: 1, moderate: 2, minor: 3 };
+        const severityOrder = {
+          critical: 0,
+          serious: 1,
+          moderate: 2,
+          minor: 3,
+        };
         return severityOrder[a.severity] - severityOrder[b.severity];
       })
       .map((issue) => `${issue.severity.toUpperCase()}: ${issue.title}`)
@@ -194,24 +195,27 @@ export async function runPWAAudit(
     const optimized = score >= 90; // Optimized PWA has 90+ score
 
     return {
+      metadata: {
+        url,
+        timestamp: result.fetchTime || new Date().toISOString(),
+        device: result.configSettings?.formFactor || "desktop",
+        lighthouseVersion: result.lighthouseVersion,
+      },
       report: {
-        category: "pwa",
-        content: {
-          score,
-          audit_counts: {
-            failed: failedCount,
-            passed: passedCount,
-            manual: manualCount,
-            informative: informativeCount,
-            not_applicable: notApplicableCount,
-          },
-          installability,
-          offline_support,
-          fast_reliable,
-          optimized,
-          issues,
-          prioritized_recommendations,
+        score,
+        audit_counts: {
+          failed: failedCount,
+          passed: passedCount,
+          manual: manualCount,
+          informative: informativeCount,
+          not_applicable: notApplicableCount,
         },
+        installability,
+        offline_support,
+        fast_reliable,
+        optimized,
+        issues,
+        prioritized_recommendations,
       },
     };
   } catch (error) {
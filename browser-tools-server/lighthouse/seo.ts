@@ -1,5 +1,5 @@
 import { Result as LighthouseResult } from "lighthouse";
-import { AuditCategory, LighthouseReport } from "./types.js";
+import { AuditCategory, AuditOptions, LighthouseReport } from "./types.js";
 import { runLighthouseAudit } from "./index.js";
 
 // === SEO Report Types ===
@@ -79,11 +79,15 @@ const DETAIL_LIMITS = {
 /**
  * Runs an SEO audit on the specified URL
  * @param url The URL to audit
+ * @param options Form factor, throttling and viewport to emulate
  * @returns Promise resolving to AI-optimized SEO audit results
  */
-export async function runSEOAudit(url: string): Promise<AIOptimizedSEOReport> {
+export async function runSEOAudit(
+  url: string,
+  options: AuditOptions = {}
+): Promise<AIOptimizedSEOReport> {
   try {
-    const lhr = await runLighthouseAudit(url, [AuditCategory.SEO]);
+    const lhr = await runLighthouseAudit(url, [AuditCategory.SEO], options);
     return extractAIOptimizedData(lhr, url);
   } catch (error) {
     throw new Error(
@@ -108,7 +112,7 @@ const extractAIOptimizedData = (
   const metadata = {
     url,
     timestamp: lhr.fetchTime || new Date().toISOString(),
-    device: "desktop", // This could be made configurable
+    device: lhr.configSettings?.formFactor || "desktop",
     lighthouseVersion: lhr.lighthouseVersion,
   };
 
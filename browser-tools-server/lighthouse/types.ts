@@ -5,8 +5,8 @@ export enum AuditCategory {
   ACCESSIBILITY = "accessibility",
   PERFORMANCE = "performance",
   SEO = "seo",
-  BEST_PRACTICES = "best-practices", // Not yet implemented
-  PWA = "pwa", // Not yet implemented
+  BEST_PRACTICES = "best-practices",
+  PWA = "pwa",
 }
 
 /**
@@ -33,6 +33,71 @@ export interface LighthouseReport<T = any> {
   report?: T; // Generic report data that will be specialized by each audit type
 }
 
+/**
+ * Device form factor emulated during an audit
+ */
+export type FormFactor = "mobile" | "desktop";
+
+/**
+ * Network and CPU throttling presets, named after Lighthouse's own:
+ * - "mobile-slow-4g": Lighthouse's default mobile throttling (4x CPU slowdown)
+ * - "mobile-3g": regular 3G network with 4x CPU slowdown
+ * - "desktop": dense 4G network without CPU slowdown
+ * - "none": no throttling at all
+ */
+export type ThrottlingPreset =
+  | "mobile-slow-4g"
+  | "mobile-3g"
+  | "desktop"
+  | "none";
+
+/**
+ * Emulated screen size for an audit
+ */
+export interface AuditViewport {
+  width: number;
+  height: number;
+  deviceScaleFactor?: number;
+}
+
+/**
+ * Phases of a Lighthouse run, in the order they happen
+ */
+export type AuditPhase = "launching" | "navigating" | "gathering" | "scoring";
+
+/**
+ * Progress update emitted when an audit enters a new phase
+ */
+export interface AuditProgress {
+  phase: AuditPhase;
+  message: string; // Human-readable status, e.g. "Navigating to https://example.com"
+  progress: number; // Steps completed so far, including this one
+  total: number; // Total number of steps
+}
+
+/**
+ * Options controlling the device an audit emulates and how the run is observed
+ */
+export interface AuditOptions {
+  formFactor?: FormFactor; // Defaults to "desktop"
+  throttling?: ThrottlingPreset; // Defaults to the preset matching the form factor
+  viewport?: AuditViewport; // Defaults to Lighthouse's screen for the form factor
+  onProgress?: (progress: AuditProgress) => void; // Set by the endpoint, never parsed from a request
+  signal?: AbortSignal; // Aborting cancels the Lighthouse run and closes its pages
+}
+
+/**
+ * Throttling values passed to Lighthouse
+ */
+export interface ThrottlingSettings {
+  rttMs: number;
+  throughputKbps: number;
+  requestLatencyMs: number;
+  downloadThroughputKbps: number;
+  uploadThroughputKbps: number;
+  cpuSlowdownMultiplier: number;
+}
+
 /**
  * Configuration options for Lighthouse audits
  */
@@ -40,24 +105,23 @@ export interface LighthouseConfig {
   flags: {
     output: string[];
     onlyCategories: string[];
-    formFactor: string;
     port: number | undefined;
-    screenEmulation: {
-      mobile: boolean;
-      width: number;
-      height: number;
-      deviceScaleFactor: number;
-      disabled: boolean;
-    };
   };
   config: {
     extends: string;
     settings: {
       onlyCategories: string[];
-      emulatedFormFactor: string;
-      throttling: {
-        cpuSlowdownMultiplier: number;
+      formFactor: FormFactor;
+      screenEmulation: {
+        mobile: boolean;
+        width: number;
+        height: number;
+        deviceScaleFactor: number;
+        disabled: boolean;
       };
+      emulatedUserAgent: string;
+      throttlingMethod: "simulate" | "provided";
+      throttling: ThrottlingSettings;
     };
   };
 }
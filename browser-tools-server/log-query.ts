@@ -0,0 +1,335 @@
+// ===== Log Query Types =====
+
+/**
+ * Filters that can be applied to the captured console and network logs
+ */
+export interface LogQuery {
+  levels?: string[]; // Console levels to keep, e.g. ["error", "warning"]
+  severities?: ConsoleSeverity[]; // Normalized console severities to keep
+  sources?: string[]; // Console sources to keep, e.g. ["security", "deprecation"]
+  messagePattern?: RegExp; // Matched against console messages and network bodies
+  urlPattern?: RegExp; // Compiled from a URL glob such as "*/api/*"
+  methods?: string[]; // HTTP methods to keep, upper-cased
+  resourceTypes?: string[]; // Chrome resource types to keep, e.g. ["script", "fetch"]
+  statusMin?: number; // Inclusive lower bound for HTTP status
+  statusMax?: number; // Inclusive upper bound for HTTP status
+  since?: number; // Only entries at or after this epoch-ms timestamp
+}
+
+/**
+ * How serious a console entry is, the levels of the DevTools Log domain.
+ * Console API levels such as "debug" or "assert" map onto these.
+ */
+export type ConsoleSeverity = "verbose" | "info" | "warning" | "error";
+
+export const CONSOLE_SEVERITIES: ConsoleSeverity[] = [
+  "verbose",
+  "info",
+  "warning",
+  "error",
+];
+
+/**
+ * Error raised when a query string cannot be turned into a LogQuery.
+ * Endpoints translate it into a 400 response.
+ */
+export class LogQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "LogQueryError";
+  }
+}
+
+// ===== Severity =====
+
+/**
+ * Maps a console entry's level onto a severity, for entries from
+ * extensions that don't send one
+ */
+export function getConsoleSeverity(level: unknown): ConsoleSeverity {
+  switch (String(level).toLowerCase()) {
+    case "verbose":
+    case "debug":
+      return "verbose";
+    case "warn":
+    case "warning":
+      return "warning";
+    case "error":
+    case "assert":
+      return "error";
+    default:
+      return "info";
+  }
+}
+
+// ===== Parsing =====
+
+/**
+ * Reads a single string value out of an Express query object
+ */
+function readParam(
+  query: Record<string, any>,
+  name: string
+): string | undefined {
+  const value = query[name];
+  if (value === undefined || value === null) return undefined;
+  if (Array.isArray(value)) {
+    return value.length > 0 ? String(value[value.length - 1]) : undefined;
+  }
+  const str = String(value).trim();
+  return str === "" ? undefined : str;
+}
+
+/**
+ * Splits a comma-separated (or repeated) query parameter into a list
+ */
+function readListParam(
+  query: Record<string, any>,
+  name: string
+): string[] | undefined {
+  const raw = query[name];
+  if (raw === undefined || raw === null) return undefined;
+  const values = (Array.isArray(raw) ? raw : [raw])
+    .flatMap((value) => String(value).split(","))
+    .map((value) => value.trim())
+    .filter((value) => value !== "");
+  return values.length > 0 ? values : undefined;
+}
+
+function readIntParam(
+  query: Record<string, any>,
+  name: string
+): number | undefined {
+  const raw = readParam(query, name);
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value)) {
+    throw new LogQueryError(`"${name}" must be an integer, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Parses a timestamp given either as epoch milliseconds or an ISO 8601 string
+ */
+export function parseTimestamp(raw: string, name: string = "since"): number {
+  const numeric = Number(raw);
+  if (!Number.isNaN(numeric)) {
+    return numeric;
+  }
+  const parsed = Date.parse(raw);
+  if (Number.isNaN(parsed)) {
+    throw new LogQueryError(
+      `"${name}" must be epoch milliseconds or an ISO 8601 timestamp, got "${raw}"`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Converts a URL glob into a regular expression.
+ * "*" matches any run of characters and "?" matches a single character.
+ * Globs without a wildcard match anywhere in the URL.
+ */
+export function globToRegExp(glob: string): RegExp {
+  const escaped = glob
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+    })
+    .join("");
+
+  const hasWildcard = glob.includes("*") || glob.includes("?");
+  return new RegExp(hasWildcard ? `^${escaped}$` : escaped, "i");
+}
+
+/**
+ * Builds a LogQuery from the query string of a log endpoint
+ *
+ * Supported parameters:
+ * - level: comma-separated console levels ("error,warning")
+ * - severity: comma-separated severities ("verbose", "info", "warning", "error")
+ * - source: comma-separated console sources ("console-api,security")
+ * - message: regular expression matched against messages and bodies
+ * - url: URL glob ("*.example.com/api*")
+ * - method: comma-separated HTTP methods
+ * - resourceType: comma-separated Chrome resource types ("xhr,fetch")
+ * - statusMin / statusMax: inclusive HTTP status range
+ * - since: epoch milliseconds or ISO 8601 timestamp
+ * - sinceLastNavigation: "true" to only return entries since the last navigation
+ *
+ * @param query The Express request query object
+ * @param lastNavigationAt Timestamp of the most recent navigation, if any
+ * @returns The parsed query
+ * @throws LogQueryError if a parameter is malformed
+ */
+export function parseLogQuery(
+  query: Record<string, any>,
+  lastNavigationAt: number | null
+): LogQuery {
+  const result: LogQuery = {};
+
+  const levels = readListParam(query, "level");
+  if (levels) {
+    result.levels = levels.map((level) => level.toLowerCase());
+  }
+
+  const severities = readListParam(query, "severity");
+  if (severities) {
+    result.severities = severities.map((severity) => {
+      const normalized = severity.toLowerCase() as ConsoleSeverity;
+      if (!CONSOLE_SEVERITIES.includes(normalized)) {
+        throw new LogQueryError(
+          `"severity" must be one or more of ${CONSOLE_SEVERITIES.join(
+            ", "
+          )}, got "${severity}"`
+        );
+      }
+      return normalized;
+    });
+  }
+
+  const sources = readListParam(query, "source");
+  if (sources) {
+    result.sources = sources.map((source) => source.toLowerCase());
+  }
+
+  const message = readParam(query, "message");
+  if (message !== undefined) {
+    try {
+      result.messagePattern = new RegExp(message, "i");
+    } catch (e) {
+      throw new LogQueryError(
+        `"message" is not a valid regular expression: ${
+          e instanceof Error ? e.message : String(e)
+        }`
+      );
+    }
+  }
+
+  const url = readParam(query, "url");
+  if (url !== undefined) {
+    result.urlPattern = globToRegExp(url);
+  }
+
+  const methods = readListParam(query, "method");
+  if (methods) {
+    result.methods = methods.map((method) => method.toUpperCase());
+  }
+
+  const resourceTypes = readListParam(query, "resourceType");
+  if (resourceTypes) {
+    result.resourceTypes = resourceTypes.map((type) => type.toLowerCase());
+  }
+
+  result.statusMin = readIntParam(query, "statusMin");
+  result.statusMax = readIntParam(query, "statusMax");
+  if (
+    result.statusMin !== undefined &&
+    result.statusMax !== undefined &&
+    result.statusMin > result.statusMax
+  ) {
+    throw new LogQueryError(
+      `"statusMin" (${result.statusMin}) is greater than "statusMax" (${result.statusMax})`
+    );
+  }
+
+  const since = readParam(query, "since");
+  if (since !== undefined) {
+    result.since = parseTimestamp(since);
+  }
+
+  const sinceLastNavigation = readParam(query, "sinceLastNavigation");
+  if (sinceLastNavigation === "true" && lastNavigationAt !== null) {
+    // Use whichever bound is more recent when both are given
+    result.since = Math.max(result.since ?? 0, lastNavigationAt);
+  }
+
+  return result;
+}
+
+// ===== Matching =====
+
+/**
+ * Returns the text a message pattern is matched against for a log entry
+ */
+function getSearchableText(log: any): string[] {
+  if (log.type === "network-request") {
+    return [log.requestBody, log.responseBody].filter(
+      (text): text is string => typeof text === "string"
+    );
+  }
+  return typeof log.message === "string" ? [log.message] : [];
+}
+
+/**
+ * Checks whether a single log entry satisfies every filter in the query
+ */
+export function matchesLogQuery(log: any, query: LogQuery): boolean {
+  if (query.since !== undefined) {
+    const timestamp = new Date(log.timestamp).getTime();
+    if (Number.isNaN(timestamp) || timestamp < query.since) return false;
+  }
+
+  if (query.levels && !query.levels.includes(String(log.level).toLowerCase())) {
+    return false;
+  }
+
+  if (query.severities) {
+    // Network entries have no level, so they never match
+    const severity =
+      log.severity ??
+      (log.level !== undefined ? getConsoleSeverity(log.level) : undefined);
+    if (!query.severities.includes(severity)) return false;
+  }
+
+  if (
+    query.sources &&
+    !query.sources.includes(String(log.source ?? "").toLowerCase())
+  ) {
+    return false;
+  }
+
+  if (
+    query.messagePattern &&
+    !getSearchableText(log).some((text) => query.messagePattern!.test(text))
+  ) {
+    return false;
+  }
+
+  if (query.urlPattern && !query.urlPattern.test(String(log.url ?? ""))) {
+    return false;
+  }
+
+  if (
+    query.methods &&
+    !query.methods.includes(String(log.method ?? "").toUpperCase())
+  ) {
+    return false;
+  }
+
+  if (
+    query.resourceTypes &&
+    !query.resourceTypes.includes(String(log.resourceType ?? "").toLowerCase())
+  ) {
+    return false;
+  }
+
+  if (query.statusMin !== undefined || query.statusMax !== undefined) {
+    const status = Number(log.status);
+    if (Number.isNaN(status)) return false;
+    if (query.statusMin !== undefined && status < query.statusMin) return false;
+    if (query.statusMax !== undefined && status > query.statusMax) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Filters a list of log entries by a query, preserving order
+ */
+export function applyLogQuery(logs: any[], query: LogQuery): any[] {
+  return logs.filter((log) => matchesLogQuery(log, query));
+}
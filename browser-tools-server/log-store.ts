@@ -0,0 +1,593 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { randomUUID } from "crypto";
+
+// ===== Types =====
+
+/**
+ * The in-memory log list an entry was captured into
+ */
+export type StoredLogKind =
+  | "console-log"
+  | "console-error"
+  | "network-error"
+  | "network-success";
+
+export const STORED_LOG_KINDS: StoredLogKind[] = [
+  "console-log",
+  "console-error",
+  "network-error",
+  "network-success",
+];
+
+/**
+ * Where the store lives and how much history it keeps
+ */
+export interface LogStoreOptions {
+  directory: string;
+  maxAgeDays: number; // Sessions last written longer ago than this are deleted
+  maxTotalBytes: number; // Oldest sessions, then the current one's oldest segments, are deleted past this
+}
+
+/**
+ * A page load within a session. Navigation 0 holds entries captured
+ * before the first navigation the connector saw.
+ */
+export interface StoredNavigation {
+  navigation: number;
+  tabId?: string; // Tab that navigated, absent for navigation 0
+  url: string | null;
+  timestamp: number | null;
+  entries: number;
+}
+
+/**
+ * One connector run, stored as NDJSON segment files
+ */
+export interface StoredSession {
+  id: string;
+  startedAt: number;
+  current: boolean;
+  bytes: number;
+  navigations: StoredNavigation[];
+}
+
+/**
+ * Which part of the history to read. Sessions are an id, "current" or
+ * "previous"; navigations are a number, "current", "previous" or "all".
+ */
+export interface LogHistoryQuery {
+  session?: string;
+  navigation?: string;
+  kinds?: StoredLogKind[];
+  tabId?: string; // Only this tab's entries, and "current" and "previous" are its page loads
+  match?: (entry: any) => boolean; // Only entries it accepts are kept
+}
+
+// Each line of a session file is one of these records
+type StoreRecord =
+  | { record: "session"; session: string; startedAt: number }
+  | {
+      record: "navigation";
+      navigation: number;
+      tabId?: string; // Absent in sessions written before tabs were tracked
+      url: string;
+      timestamp: number;
+    }
+  | {
+      record: "log";
+      navigation: number; // The latest navigation of the entry's tab
+      tabId?: string;
+      kind: StoredLogKind;
+      entry: any;
+    };
+
+type NavigationRecord = Extract<StoreRecord, { record: "navigation" }>;
+
+/**
+ * Error raised when a history query names a session or navigation that
+ * doesn't exist. Endpoints translate it into a 400 response.
+ */
+export class LogStoreError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "LogStoreError";
+  }
+}
+
+// ===== Store =====
+
+const SESSION_FILE_PREFIX = "session-";
+const SESSION_FILE_EXTENSION = ".ndjson";
+const RETENTION_INTERVAL = 60 * 60 * 1000; // Hourly
+// A session is written in segments of a tenth of the store's size limit, so
+// a long run can drop its oldest entries without rewriting its file
+const SEGMENTS_PER_STORE = 10;
+
+/**
+ * Append-only NDJSON store for captured logs. Every connector run writes a
+ * new session, and navigations split a session into page loads, so history
+ * survives both /wipelogs and connector restarts. Page loads are numbered
+ * across the session, and entries belong to the latest one of their tab.
+ *
+ * A session is stored as numbered segment files: session-<id>.ndjson, then
+ * session-<id>.1.ndjson and so on. Each segment starts with the session
+ * record and every tab's latest navigation record, so it can be read once
+ * earlier ones are gone.
+ */
+export class LogStore {
+  readonly sessionId: string;
+  private readonly startedAt: number;
+  private file: string;
+  private segment = 0;
+  private segmentBytes = 0;
+  private navigation = 0;
+  // The latest navigation of each tab, by tab ID
+  private tabNavigations = new Map<string, NavigationRecord>();
+  private retentionTimer: NodeJS.Timeout;
+
+  constructor(private readonly options: LogStoreOptions) {
+    fs.mkdirSync(options.directory, { recursive: true });
+
+    this.startedAt = Date.now();
+    // Timestamp first so session ids sort in the order they were started
+    this.sessionId = `${this.startedAt}-${randomUUID().slice(0, 8)}`;
+    this.file = this.getSegmentFile(this.sessionId, 0);
+    this.write({
+      record: "session",
+      session: this.sessionId,
+      startedAt: this.startedAt,
+    });
+
+    this.enforceRetention();
+    this.retentionTimer = setInterval(
+      () => this.enforceRetention(),
+      RETENTION_INTERVAL
+    );
+    this.retentionTimer.unref();
+
+    console.log(`Storing log history in ${this.file}`);
+  }
+
+  /**
+   * Starts a new page load in a tab; the tab's entries appended afterwards
+   * belong to it
+   */
+  recordNavigation(
+    tabId: string | number,
+    url: string,
+    timestamp?: number | null
+  ) {
+    this.navigation++;
+    const record: NavigationRecord = {
+      record: "navigation",
+      navigation: this.navigation,
+      tabId: String(tabId),
+      url,
+      timestamp: timestamp ?? Date.now(),
+    };
+    this.tabNavigations.set(record.tabId as string, record);
+    this.write(record);
+  }
+
+  /**
+   * Appends a log entry captured in a tab to the tab's current page load
+   */
+  append(tabId: string | number, kind: StoredLogKind, entry: any) {
+    this.write({
+      record: "log",
+      navigation: this.tabNavigations.get(String(tabId))?.navigation ?? 0,
+      tabId: String(tabId),
+      kind,
+      entry,
+    });
+  }
+
+  /**
+   * Lists stored sessions, newest first, with their page loads
+   */
+  async listSessions(): Promise<StoredSession[]> {
+    const sessions: StoredSession[] = [];
+
+    for (const id of this.getSessionIds().reverse()) {
+      const navigations = new Map<number, StoredNavigation>();
+      navigations.set(0, {
+        navigation: 0,
+        url: null,
+        timestamp: null,
+        entries: 0,
+      });
+      let startedAt = Number(id.split("-")[0]);
+
+      await this.readSession(id, (record) => {
+        if (record.record === "session") {
+          startedAt = record.startedAt;
+        } else if (
+          record.record === "navigation" &&
+          // Segments repeat the navigation they start in
+          !navigations.has(record.navigation)
+        ) {
+          navigations.set(record.navigation, {
+            navigation: record.navigation,
+            ...(record.tabId !== undefined && { tabId: record.tabId }),
+            url: record.url,
+            timestamp: record.timestamp,
+            entries: 0,
+          });
+        } else if (record.record === "log") {
+          const navigation = navigations.get(record.navigation);
+          if (navigation) navigation.entries++;
+        }
+      });
+
+      sessions.push({
+        id,
+        startedAt,
+        current: id === this.sessionId,
+        bytes: this.getSessionSize(id),
+        // Hide the empty pre-navigation bucket, it only clutters the listing
+        navigations: [...navigations.values()].filter(
+          (navigation) => navigation.navigation > 0 || navigation.entries > 0
+        ),
+      });
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Reads the log entries of one session, optionally narrowed to a tab, a
+   * page load, some kinds and the entries query.match accepts. Entries are
+   * filtered as the session is read, so only matching ones are held in
+   * memory, and are returned in the order they were captured, tagged with
+   * their kind and navigation.
+   *
+   * @throws LogStoreError if the session or navigation doesn't exist
+   */
+  async query(query: LogHistoryQuery = {}): Promise<any[]> {
+    const sessionId = this.resolveSession(query.session || "current");
+    const ref = query.navigation || "all";
+    const { tabId } = query;
+    // "current" and "previous" are only known at the end of the session, so
+    // entries of the last two page loads are kept until then
+    const keepsLastTwo = ref === "current" || ref === "previous";
+    const requested = keepsLastTwo || ref === "all" ? null : Number(ref);
+
+    // The page loads "current" and "previous" pick from, oldest first:
+    // the tab's when one is named, otherwise every tab's
+    const pageLoads = [0];
+    // Entries by page load. Navigation numbers only grow, so the map's
+    // order is the order entries were captured in.
+    const entries = new Map<number, any[]>();
+    await this.readSession(sessionId, (record) => {
+      if (record.record === "navigation") {
+        if (
+          tabId !== undefined &&
+          record.tabId !== undefined &&
+          record.tabId !== tabId
+        ) {
+          return;
+        }
+        // Segments repeat the navigations they start in
+        if (record.navigation <= pageLoads[pageLoads.length - 1]) return;
+        pageLoads.push(record.navigation);
+        if (keepsLastTwo) {
+          const lastTwo = pageLoads.slice(-2);
+          for (const navigation of entries.keys()) {
+            if (!lastTwo.includes(navigation)) entries.delete(navigation);
+          }
+        }
+        return;
+      }
+      if (
+        record.record !== "log" ||
+        (requested !== null && record.navigation !== requested) ||
+        (query.kinds && !query.kinds.includes(record.kind)) ||
+        (tabId !== undefined &&
+          String(record.tabId ?? record.entry?.tabId) !== tabId)
+      ) {
+        return;
+      }
+
+      const entry = {
+        ...record.entry,
+        kind: record.kind,
+        navigation: record.navigation,
+      };
+      if (query.match && !query.match(entry)) return;
+      const list = entries.get(record.navigation);
+      if (list) list.push(entry);
+      else entries.set(record.navigation, [entry]);
+    });
+
+    const navigation = this.resolveNavigation(ref, pageLoads, tabId);
+    return navigation === null
+      ? [...entries.values()].flat()
+      : entries.get(navigation) ?? [];
+  }
+
+  /**
+   * Stops the retention timer. Entries are written synchronously, so
+   * nothing is left to flush.
+   */
+  close() {
+    clearInterval(this.retentionTimer);
+  }
+
+  // Deletes sessions past the age limit, then the oldest ones until the
+  // store fits the size limit. If the current session alone is over the
+  // limit, its oldest segments go too, but never the one being written.
+  private enforceRetention() {
+    const maxAge = this.options.maxAgeDays * 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const others = this.getSessionIds().filter((id) => id !== this.sessionId);
+
+    const kept: string[] = [];
+    for (const id of others) {
+      const files = this.getSessionFiles(id);
+      try {
+        const lastWritten = Math.max(
+          ...files.map((file) => fs.statSync(file).mtimeMs)
+        );
+        if (now - lastWritten > maxAge) {
+          files.forEach((file) => fs.unlinkSync(file));
+          console.log(
+            `Deleted log history session ${id} (older than ${this.options.maxAgeDays} days)`
+          );
+        } else {
+          kept.push(id);
+        }
+      } catch (error) {
+        console.error(`Failed to apply retention to session ${id}:`, error);
+      }
+    }
+
+    let totalBytes =
+      this.getSessionSize(this.sessionId) +
+      kept.reduce((sum, id) => sum + this.getSessionSize(id), 0);
+    const deletable = [
+      ...kept.flatMap((id) => this.getSessionFiles(id)),
+      ...this.getSessionFiles(this.sessionId).filter(
+        (file) => file !== this.file
+      ),
+    ];
+    for (const file of deletable) {
+      if (totalBytes <= this.options.maxTotalBytes) break;
+      const bytes = this.getFileSize(file);
+      try {
+        fs.unlinkSync(file);
+        totalBytes -= bytes;
+        console.log(
+          `Deleted log history file ${path.basename(
+            file
+          )} to stay under the size limit`
+        );
+      } catch (error) {
+        console.error(`Failed to delete ${file}:`, error);
+      }
+    }
+  }
+
+  private resolveSession(ref: string): string {
+    const ids = this.getSessionIds();
+    if (ref === "current") return this.sessionId;
+    if (ref === "previous") {
+      const previous = ids.filter((id) => id < this.sessionId).pop();
+      if (!previous) {
+        throw new LogStoreError("There is no session before the current one");
+      }
+      return previous;
+    }
+    if (!ids.includes(ref)) {
+      throw new LogStoreError(`Unknown session "${ref}"`);
+    }
+    return ref;
+  }
+
+  // Returns the navigation to keep, or null for all of them. A tab's page
+  // loads aren't numbered one after another, so numbers must be among them.
+  private resolveNavigation(
+    ref: string,
+    pageLoads: number[],
+    tabId: string | undefined
+  ): number | null {
+    const last = pageLoads[pageLoads.length - 1];
+    if (ref === "all") return null;
+    if (ref === "current") return last;
+    if (ref === "previous") {
+      if (pageLoads.length < 2) {
+        throw new LogStoreError(
+          tabId === undefined
+            ? "The session has no page load before the current one"
+            : `Tab ${tabId} has no page load before its current one in this session`
+        );
+      }
+      return pageLoads[pageLoads.length - 2];
+    }
+
+    const navigation = Number(ref);
+    if (tabId !== undefined) {
+      if (!pageLoads.includes(navigation)) {
+        throw new LogStoreError(
+          `"navigation" must be "all", "current", "previous" or one of tab ${tabId}'s page loads (${pageLoads.join(
+            ", "
+          )}), got "${ref}"`
+        );
+      }
+      return navigation;
+    }
+    if (!Number.isInteger(navigation) || navigation < 0 || navigation > last) {
+      throw new LogStoreError(
+        `"navigation" must be "all", "current", "previous" or a number from 0 to ${last}, got "${ref}"`
+      );
+    }
+    return navigation;
+  }
+
+  // Streams every record of a session's segments, in order
+  private async readSession(
+    id: string,
+    onRecord: (record: StoreRecord) => void
+  ): Promise<void> {
+    for (const file of this.getSessionFiles(id)) {
+      const input = fs.createReadStream(file);
+      // Retention may have deleted the segment since it was listed
+      const missing = new Promise<boolean>((resolve) => {
+        input.once("error", () => resolve(true));
+        input.once("open", () => resolve(false));
+      });
+      if (await missing) continue;
+
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          onRecord(JSON.parse(line));
+        } catch (error) {
+          // A crash can leave a partial last line behind
+        }
+      }
+    }
+  }
+
+  private write(record: StoreRecord) {
+    const line = `${JSON.stringify(record)}\n`;
+    try {
+      fs.appendFileSync(this.file, line);
+      this.segmentBytes += Buffer.byteLength(line);
+    } catch (error) {
+      console.error("Failed to write to the log store:", error);
+    }
+    if (
+      record.record === "log" &&
+      this.segmentBytes >= this.options.maxTotalBytes / SEGMENTS_PER_STORE
+    ) {
+      this.startSegment();
+    }
+  }
+
+  // Continues the session in a new segment, then applies retention, which
+  // may delete the session's oldest segments
+  private startSegment() {
+    this.segment++;
+    this.segmentBytes = 0;
+    this.file = this.getSegmentFile(this.sessionId, this.segment);
+    this.write({
+      record: "session",
+      session: this.sessionId,
+      startedAt: this.startedAt,
+    });
+    for (const record of this.tabNavigations.values()) this.write(record);
+    this.enforceRetention();
+  }
+
+  // Lists the segment files in the store as session id and segment number
+  private listSegments(): { id: string; segment: number }[] {
+    try {
+      return fs
+        .readdirSync(this.options.directory)
+        .filter(
+          (name) =>
+            name.startsWith(SESSION_FILE_PREFIX) &&
+            name.endsWith(SESSION_FILE_EXTENSION)
+        )
+        .map((name) => {
+          const [id, segment] = name
+            .slice(SESSION_FILE_PREFIX.length, -SESSION_FILE_EXTENSION.length)
+            .split(".");
+          return { id, segment: Number(segment ?? 0) };
+        })
+        .filter(({ segment }) => Number.isInteger(segment));
+    } catch (error) {
+      console.error("Failed to list log history sessions:", error);
+      return [];
+    }
+  }
+
+  private getSessionIds(): string[] {
+    return [...new Set(this.listSegments().map(({ id }) => id))].sort();
+  }
+
+  // A session's segment files, oldest first
+  private getSessionFiles(id: string): string[] {
+    return this.listSegments()
+      .filter((segment) => segment.id === id)
+      .map(({ segment }) => segment)
+      .sort((a, b) => a - b)
+      .map((segment) => this.getSegmentFile(id, segment));
+  }
+
+  private getSegmentFile(id: string, segment: number): string {
+    const suffix = segment === 0 ? "" : `.${segment}`;
+    return path.join(
+      this.options.directory,
+      `${SESSION_FILE_PREFIX}${id}${suffix}${SESSION_FILE_EXTENSION}`
+    );
+  }
+
+  private getSessionSize(id: string): number {
+    return this.getSessionFiles(id).reduce(
+      (sum, file) => sum + this.getFileSize(file),
+      0
+    );
+  }
+
+  private getFileSize(file: string): number {
+    try {
+      return fs.statSync(file).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+// ===== Configuration =====
+
+const DEFAULT_MAX_AGE_DAYS = 7;
+const DEFAULT_MAX_TOTAL_MB = 100;
+
+function readPositiveNumber(name: string, fallback: number): number {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    console.error(`Ignoring ${name}="${raw}", expected a positive number`);
+    return fallback;
+  }
+  return value;
+}
+
+/**
+ * Creates the log store configured by environment variables:
+ * - BROWSER_TOOLS_LOG_STORE: directory to store history in (disabled when unset)
+ * - BROWSER_TOOLS_LOG_RETENTION_DAYS: delete sessions older than this (default 7)
+ * - BROWSER_TOOLS_LOG_STORE_MAX_MB: delete the oldest sessions, and the oldest
+ *   entries of the current one, past this size (default 100)
+ *
+ * @returns The store, or null when it is disabled or can't be created
+ */
+export function createLogStoreFromEnv(): LogStore | null {
+  const directory = process.env.BROWSER_TOOLS_LOG_STORE;
+  if (!directory) return null;
+
+  try {
+    return new LogStore({
+      directory: path.resolve(directory),
+      maxAgeDays: readPositiveNumber(
+        "BROWSER_TOOLS_LOG_RETENTION_DAYS",
+        DEFAULT_MAX_AGE_DAYS
+      ),
+      maxTotalBytes:
+        readPositiveNumber(
+          "BROWSER_TOOLS_LOG_STORE_MAX_MB",
+          DEFAULT_MAX_TOTAL_MB
+        ) *
+        1024 *
+        1024,
+    });
+  } catch (error) {
+    console.error("Failed to open the log store, history is disabled:", error);
+    return null;
+  }
+}
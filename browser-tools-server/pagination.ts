@@ -0,0 +1,124 @@
+// ===== Pagination Types =====
+
+/**
+ * Paging parameters shared by log and audit endpoints
+ */
+export interface PageRequest {
+  cursor?: Record<string, any>; // Decoded continuation cursor, if one was given
+  limit?: number; // Maximum number of items on the page
+  tokenBudget?: number; // Fill the page by token count instead of the character query limit
+}
+
+/**
+ * Error raised when a cursor or page size cannot be used.
+ * Endpoints translate it into a 400 response.
+ */
+export class PaginationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "PaginationError";
+  }
+}
+
+// ===== Cursors =====
+
+/**
+ * Encodes a position in a list as an opaque cursor string
+ */
+export function encodeCursor(position: Record<string, unknown>): string {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decodes a cursor created by encodeCursor
+ * @throws PaginationError if the cursor is malformed
+ */
+export function decodeCursor(cursor: string): Record<string, any> {
+  try {
+    const position = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (typeof position === "object" && position !== null) {
+      return position;
+    }
+  } catch (e) {
+    // Reported below
+  }
+  throw new PaginationError(`"cursor" is not a valid cursor: "${cursor}"`);
+}
+
+function readPositiveInt(
+  params: Record<string, any>,
+  name: string
+): number | undefined {
+  const raw = params[name];
+  if (raw === undefined || raw === null || raw === "") return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new PaginationError(
+      `"${name}" must be a positive integer, got "${raw}"`
+    );
+  }
+  return value;
+}
+
+/**
+ * Reads the cursor, limit and tokenBudget parameters from a query string or request body
+ *
+ * @param params The Express request query or JSON body
+ * @returns The decoded page request
+ * @throws PaginationError if a parameter is malformed
+ */
+export function parsePageRequest(
+  params: Record<string, any> = {}
+): PageRequest {
+  const request: PageRequest = {};
+
+  const cursor = Array.isArray(params.cursor)
+    ? params.cursor[params.cursor.length - 1]
+    : params.cursor;
+  if (cursor !== undefined && cursor !== null && cursor !== "") {
+    request.cursor = decodeCursor(String(cursor));
+  }
+
+  request.limit = readPositiveInt(params, "limit");
+  request.tokenBudget = readPositiveInt(params, "tokenBudget");
+
+  return request;
+}
+
+// ===== Paging =====
+
+/**
+ * Takes items from the start of a list until the page is full.
+ * A page always holds at least one item so callers can make progress
+ * even when a single item is larger than the budget.
+ *
+ * @param items The remaining items, in page order
+ * @param maxChars Size budget for the page, measured as serialized JSON
+ * @param limit Optional maximum number of items
+ * @returns The page and whether any items were left out
+ */
+export function takePage<T>(
+  items: T[],
+  maxChars: number,
+  limit?: number
+): { items: T[]; hasMore: boolean } {
+  const maxItems = Math.min(items.length, limit ?? items.length);
+  const page: T[] = [];
+  let size = 0;
+
+  for (const item of items.slice(0, maxItems)) {
+    const itemSize = JSON.stringify(item).length;
+    if (page.length > 0 && size + itemSize > maxChars) {
+      console.log(
+        `Reached query limit (${size}/${maxChars}), continuing on the next page`
+      );
+      break;
+    }
+    page.push(item);
+    size += itemSize;
+  }
+
+  return { items: page, hasMore: page.length < items.length };
+}
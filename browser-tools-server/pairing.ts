@@ -0,0 +1,109 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomBytes, timingSafeEqual } from "crypto";
+import type { IncomingMessage } from "http";
+import type express from "express";
+
+// ===== Token =====
+
+/**
+ * Where the pairing token is saved for the MCP server to read:
+ * BROWSER_TOOLS_TOKEN_FILE, or ~/.browser-tools/token
+ */
+export function getPairingTokenFile(): string {
+  return (
+    process.env.BROWSER_TOOLS_TOKEN_FILE ||
+    path.join(os.homedir(), ".browser-tools", "token")
+  );
+}
+
+/**
+ * Returns the secret clients must present. BROWSER_TOOLS_TOKEN sets it
+ * explicitly; otherwise the token saved by an earlier run is reused so the
+ * extension stays paired across restarts, and a new one is generated and
+ * saved the first time. Delete the file to pair again with a new token.
+ */
+export function loadPairingToken(): string {
+  if (process.env.BROWSER_TOOLS_TOKEN) {
+    return process.env.BROWSER_TOOLS_TOKEN;
+  }
+
+  const file = getPairingTokenFile();
+  try {
+    const saved = fs.readFileSync(file, "utf8").trim();
+    if (saved) return saved;
+  } catch (error) {
+    // No token saved yet
+  }
+
+  const token = randomBytes(24).toString("base64url");
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Readable by the current user only
+    fs.writeFileSync(file, `${token}\n`, { mode: 0o600 });
+  } catch (error) {
+    console.error(`Failed to save the pairing token to ${file}:`, error);
+  }
+  return token;
+}
+
+// ===== Request Checks =====
+
+/**
+ * Reads the token a request presents, from an "Authorization: Bearer"
+ * header, an X-Browser-Tools-Token header, or a "token" query parameter
+ * for clients that can't set headers (WebSocket and EventSource)
+ */
+export function readRequestToken(req: IncomingMessage): string | undefined {
+  const authorization = req.headers.authorization;
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+
+  const header = req.headers["x-browser-tools-token"];
+  if (typeof header === "string" && header !== "") return header;
+
+  const query = new URL(req.url || "", "http://localhost").searchParams;
+  return query.get("token") || undefined;
+}
+
+/**
+ * Whether a request presents the pairing token
+ */
+export function isPaired(req: IncomingMessage, token: string): boolean {
+  const presented = readRequestToken(req);
+  if (!presented) return false;
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(presented);
+  // Compared in constant time so the token can't be guessed byte by byte
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Explains how to pair, sent with every rejected request
+ */
+export function getUnpairedMessage(): string {
+  return `Missing or invalid pairing token. Copy the token printed when browser-tools-server starts (also saved to ${getPairingTokenFile()}) into the "Pairing Token" setting of the BrowserTools extension panel. The MCP server reads it from that file, or from BROWSER_TOOLS_TOKEN.`;
+}
+
+// Discovery runs before clients know the token, and reveals nothing else
+const PUBLIC_PATHS = ["/.identity", "/.port"];
+
+/**
+ * Express middleware that rejects requests without the pairing token with
+ * a 401. CORS preflights pass, since browsers never attach credentials to them.
+ */
+export function requirePairingToken(token: string): express.RequestHandler {
+  return (req, res, next) => {
+    if (
+      req.method === "OPTIONS" ||
+      PUBLIC_PATHS.includes(req.path) ||
+      isPaired(req, token)
+    ) {
+      next();
+      return;
+    }
+    res.status(401).json({ error: getUnpairedMessage() });
+  };
+}
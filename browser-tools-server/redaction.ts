@@ -0,0 +1,390 @@
+import fs from "fs";
+
+// ===== Types =====
+
+/**
+ * Built-in rules, which a rules file can turn off by name:
+ * - headers: Authorization, Cookie, Set-Cookie and similar header values
+ * - json-keys: values of password, token, secret, API key and similar keys
+ * - jwt: JWT-shaped strings
+ * - bearer: "Bearer <token>" credentials inside text
+ * - credit-card: card numbers that pass the Luhn check
+ */
+export type BuiltInRedactionRule =
+  | "headers"
+  | "json-keys"
+  | "jwt"
+  | "bearer"
+  | "credit-card";
+
+export const BUILT_IN_REDACTION_RULES: BuiltInRedactionRule[] = [
+  "headers",
+  "json-keys",
+  "jwt",
+  "bearer",
+  "credit-card",
+];
+
+/**
+ * A user rule from the rules file. Pattern rules replace matches in every
+ * captured string; path rules replace values in JSON bodies and messages.
+ */
+export type RedactionRule =
+  | { name?: string; pattern: string; flags?: string; replacement?: string }
+  | { name?: string; path: string };
+
+/**
+ * Contents of the file named by BROWSER_TOOLS_REDACTION_RULES
+ */
+export interface RedactionConfig {
+  rules?: RedactionRule[];
+  disable?: BuiltInRedactionRule[];
+}
+
+/**
+ * Error raised when the rules file can't be read or has an invalid rule.
+ * The server refuses to start rather than capture secrets unredacted.
+ */
+export class RedactionConfigError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "RedactionConfigError";
+  }
+}
+
+export const REDACTED = "[REDACTED]";
+
+// ===== Built-in Rules =====
+
+const SENSITIVE_HEADERS = new Set([
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "set-cookie",
+  "x-api-key",
+  "x-auth-token",
+  "x-csrf-token",
+  "x-xsrf-token",
+]);
+
+// Matched against keys lower-cased with separators removed, so accessToken,
+// access_token and Access-Token are all caught
+const SENSITIVE_KEY =
+  /(password|passwd|passphrase|secret|token|apikey|authorization|credentials?|privatekey|sessionid|cookies?)$|^(pwd|pass|auth|cvv|cvc)$/;
+
+const JWT_PATTERN = /\beyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g;
+const BEARER_PATTERN = /\bBearer\s+[\w.~+/-]{8,}=*/gi;
+// 13 to 19 digits, optionally grouped by spaces or dashes
+const CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+// key=value pairs in URLs, form bodies and cookie strings
+const KEY_VALUE_PATTERN = /([\w.-]+)=([^&#\s"';,]+)/g;
+// "key": "value" pairs in JSON that was truncated and no longer parses
+const JSON_PAIR_PATTERN = /"([^"\\]{1,100})"(\s*:\s*)"((?:[^"\\]|\\.)*)"/g;
+
+function isSensitiveKey(key: string): boolean {
+  return SENSITIVE_KEY.test(key.toLowerCase().replace(/[^a-z0-9]/g, ""));
+}
+
+// Card numbers start with 3 to 6 and pass the Luhn check, which keeps
+// timestamps and IDs of the same length from being redacted
+function isCardNumber(match: string): boolean {
+  const digits = match.replace(/\D/g, "");
+  if (!/^[3-6]/.test(digits)) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ===== JSON Paths =====
+
+type PathSegment =
+  | { type: "child"; name: string }
+  | { type: "index"; index: number }
+  | { type: "wildcard" }
+  | { type: "descendant"; name: string };
+
+/**
+ * Parses the JSON path subset rules support: $.a.b, $['a'], $.a[0],
+ * $.a[*], $.a.* and $..a (a key at any depth)
+ *
+ * @throws RedactionConfigError if the path is outside that subset
+ */
+function parseJsonPath(path: string): PathSegment[] {
+  if (!path.startsWith("$")) {
+    throw new RedactionConfigError(
+      `JSON path "${path}" must start with "$", e.g. "$.user.ssn"`
+    );
+  }
+
+  const segments: PathSegment[] = [];
+  const token =
+    /\.\.([\w$-]+)|\.([\w$-]+)|\.\*|\[\*\]|\[(\d+)\]|\[['"]([^'"]+)['"]\]/y;
+  let position = 1;
+  while (position < path.length) {
+    token.lastIndex = position;
+    const match = token.exec(path);
+    if (!match) {
+      throw new RedactionConfigError(
+        `Unsupported JSON path "${path}" at "${path.slice(position)}"`
+      );
+    }
+    if (match[1] !== undefined) {
+      segments.push({ type: "descendant", name: match[1] });
+    } else if (match[2] !== undefined) {
+      segments.push({ type: "child", name: match[2] });
+    } else if (match[3] !== undefined) {
+      segments.push({ type: "index", index: Number(match[3]) });
+    } else if (match[4] !== undefined) {
+      segments.push({ type: "child", name: match[4] });
+    } else {
+      segments.push({ type: "wildcard" });
+    }
+    position = token.lastIndex;
+  }
+
+  if (segments.length === 0) {
+    throw new RedactionConfigError(
+      `JSON path "${path}" would redact the whole document`
+    );
+  }
+  return segments;
+}
+
+// Replaces every value the path matches, in place
+function redactJsonPath(value: any, segments: PathSegment[]): void {
+  if (value === null || typeof value !== "object" || segments.length === 0) {
+    return;
+  }
+  const [segment, ...rest] = segments;
+
+  const visit = (container: any, key: string | number) => {
+    if (!(key in container)) return;
+    if (rest.length === 0) {
+      container[key] = REDACTED;
+    } else {
+      redactJsonPath(container[key], rest);
+    }
+  };
+
+  switch (segment.type) {
+    case "child":
+      if (!Array.isArray(value)) visit(value, segment.name);
+      break;
+    case "index":
+      if (Array.isArray(value)) visit(value, segment.index);
+      break;
+    case "wildcard":
+      for (const key of Object.keys(value)) visit(value, key);
+      break;
+    case "descendant":
+      visit(value, segment.name);
+      for (const key of Object.keys(value)) {
+        // A redacted match has become a string, so this skips it
+        redactJsonPath(value[key], segments);
+      }
+      break;
+  }
+}
+
+// ===== Redactor =====
+
+interface PatternRule {
+  pattern: RegExp;
+  replacement: string;
+}
+
+/**
+ * Removes secrets from captured entries before the connector stores or
+ * returns them. Header, key and path rules look at structure; pattern
+ * rules apply to every string, including JSON bodies that were truncated
+ * and no longer parse.
+ */
+export class Redactor {
+  private readonly enabled: Set<BuiltInRedactionRule>;
+  private readonly patterns: PatternRule[] = [];
+  private readonly paths: PathSegment[][] = [];
+
+  /**
+   * @throws RedactionConfigError if a rule is invalid
+   */
+  constructor(config: RedactionConfig = {}) {
+    for (const name of config.disable ?? []) {
+      if (!BUILT_IN_REDACTION_RULES.includes(name)) {
+        throw new RedactionConfigError(
+          `"disable" must list built-in rules (${BUILT_IN_REDACTION_RULES.join(
+            ", "
+          )}), got "${name}"`
+        );
+      }
+    }
+    this.enabled = new Set(
+      BUILT_IN_REDACTION_RULES.filter((name) => !config.disable?.includes(name))
+    );
+
+    for (const [index, rule] of (config.rules ?? []).entries()) {
+      const label = rule.name ? `"${rule.name}"` : `#${index + 1}`;
+      if ("pattern" in rule && typeof rule.pattern === "string") {
+        try {
+          // Always global, so every occurrence is replaced
+          const flags = (rule.flags ?? "").replace("g", "") + "g";
+          this.patterns.push({
+            pattern: new RegExp(rule.pattern, flags),
+            replacement: rule.replacement ?? REDACTED,
+          });
+        } catch (error) {
+          throw new RedactionConfigError(
+            `Redaction rule ${label} has an invalid pattern: ${
+              error instanceof Error ? error.message : String(error)
+            }`
+          );
+        }
+      } else if ("path" in rule && typeof rule.path === "string") {
+        this.paths.push(parseJsonPath(rule.path));
+      } else {
+        throw new RedactionConfigError(
+          `Redaction rule ${label} needs a "pattern" or a "path"`
+        );
+      }
+    }
+  }
+
+  /**
+   * Number of rules in effect, for the startup log
+   */
+  get ruleCount(): number {
+    return this.enabled.size + this.patterns.length + this.paths.length;
+  }
+
+  /**
+   * Returns a redacted copy of a captured value: a log entry, HAR entry or
+   * selected element. Strings holding JSON are parsed so key and path rules
+   * apply to them too.
+   */
+  redact<T>(value: T): T {
+    return this.redactValue(value, false);
+  }
+
+  private redactValue(value: any, sensitive: boolean): any {
+    if (typeof value === "string") {
+      return sensitive ? REDACTED : this.redactText(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redactValue(item, sensitive));
+    }
+    if (value === null || typeof value !== "object") {
+      return sensitive && value !== null ? REDACTED : value;
+    }
+
+    // Headers, cookies and query parameters are { name, value } pairs, whose
+    // value is sensitive when the name is. Other keys of such objects, e.g.
+    // form state or expanded console objects, are checked like any other.
+    const isPair = typeof value.name === "string" && "value" in value;
+    const namedValue = isPair && this.isSensitiveName(value.name);
+
+    const result: Record<string, any> = {};
+    for (const [key, item] of Object.entries(value)) {
+      // A pair's name says what was redacted, so it is kept
+      if (isPair && key === "name") {
+        result[key] = item;
+        continue;
+      }
+      result[key] = this.redactValue(
+        item,
+        sensitive ||
+          (key === "value" && namedValue) ||
+          (this.enabled.has("json-keys") && isSensitiveKey(key))
+      );
+    }
+    return result;
+  }
+
+  private isSensitiveName(name: string): boolean {
+    return (
+      (this.enabled.has("headers") &&
+        SENSITIVE_HEADERS.has(name.toLowerCase())) ||
+      (this.enabled.has("json-keys") && isSensitiveKey(name))
+    );
+  }
+
+  // Redacts a string, parsing it first when it holds a JSON object or array
+  private redactText(text: string): string {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      try {
+        const parsed = JSON.parse(text);
+        const original = JSON.stringify(parsed);
+        for (const path of this.paths) {
+          redactJsonPath(parsed, path);
+        }
+        const redacted = JSON.stringify(this.redactValue(parsed, false));
+        // Keep the original formatting when there was nothing to redact
+        return redacted === original ? text : redacted;
+      } catch (error) {
+        // Truncated or not JSON after all; the text rules below still apply
+      }
+    }
+    return this.redactPatterns(text);
+  }
+
+  private redactPatterns(text: string): string {
+    let result = text;
+
+    if (this.enabled.has("json-keys")) {
+      result = result
+        .replace(JSON_PAIR_PATTERN, (match, key, separator) =>
+          isSensitiveKey(key) ? `"${key}"${separator}"${REDACTED}"` : match
+        )
+        .replace(KEY_VALUE_PATTERN, (match, key) =>
+          isSensitiveKey(key) ? `${key}=${REDACTED}` : match
+        );
+    }
+    if (this.enabled.has("jwt")) {
+      result = result.replace(JWT_PATTERN, REDACTED);
+    }
+    if (this.enabled.has("bearer")) {
+      result = result.replace(BEARER_PATTERN, `Bearer ${REDACTED}`);
+    }
+    if (this.enabled.has("credit-card")) {
+      result = result.replace(CARD_PATTERN, (match) =>
+        isCardNumber(match) ? REDACTED : match
+      );
+    }
+    for (const rule of this.patterns) {
+      result = result.replace(rule.pattern, rule.replacement);
+    }
+
+    return result;
+  }
+}
+
+// ===== Configuration =====
+
+/**
+ * Creates the redactor, with user rules from the JSON file named by
+ * BROWSER_TOOLS_REDACTION_RULES if set
+ *
+ * @throws RedactionConfigError if the file can't be read or a rule is invalid
+ */
+export function createRedactorFromEnv(): Redactor {
+  const file = process.env.BROWSER_TOOLS_REDACTION_RULES;
+  if (!file) return new Redactor();
+
+  let config: RedactionConfig;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new RedactionConfigError(
+      `Failed to read redaction rules from ${file}: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+  return new Redactor(config);
+}
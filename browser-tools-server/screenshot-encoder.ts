@@ -0,0 +1,144 @@
+import sharp from "sharp";
+
+// ===== Types =====
+
+/**
+ * Options controlling how a screenshot is prepared for an agent
+ */
+export interface ImageBudgetOptions {
+  maxWidth?: number; // Downscale wider images to this width (aspect ratio kept)
+  maxBytes?: number; // Size budget for the encoded image
+  format?: "auto" | "png" | "jpeg" | "webp"; // "auto" keeps PNG unless it busts the budget
+  quality?: number; // Starting JPEG or WebP quality (1-100)
+}
+
+/**
+ * An encoded image ready to be returned to a client
+ */
+export interface EncodedImage {
+  data: string; // Base64, without a data: URL prefix
+  mimeType: "image/png" | "image/jpeg" | "image/webp";
+  width: number;
+  height: number;
+  bytes: number;
+  originalWidth: number;
+  originalHeight: number;
+}
+
+// ===== Defaults =====
+
+const DEFAULT_MAX_BYTES = 750 * 1024; // Comfortably under typical client image limits
+const DEFAULT_JPEG_QUALITY = 80;
+const MIN_JPEG_QUALITY = 40;
+const QUALITY_STEP = 15;
+const SCALE_STEP = 0.75;
+const MIN_WIDTH = 320; // Below this a screenshot stops being useful
+
+// ===== Encoding =====
+
+async function encode(
+  source: Buffer,
+  width: number,
+  format: "png" | "jpeg" | "webp",
+  quality: number
+): Promise<{ buffer: Buffer; width: number; height: number }> {
+  const resized = sharp(source).resize({ width, withoutEnlargement: true });
+  const encoded =
+    format === "png"
+      ? resized.png({ compressionLevel: 9 })
+      : format === "webp"
+      ? resized.webp({ quality })
+      : resized.jpeg({ quality, mozjpeg: true });
+  const { data, info } = await encoded.toBuffer({
+    resolveWithObject: true,
+  });
+
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+/**
+ * Downscales and re-encodes a screenshot until it fits a size budget.
+ *
+ * Order of attempts: PNG at maxWidth (unless JPEG or WebP was requested),
+ * then JPEG (or WebP) at decreasing quality, then at decreasing widths. The
+ * smallest attempt is returned even if nothing fits, so callers always get
+ * an image.
+ *
+ * @param png The captured image, as a Buffer or base64 string (data: URL prefix allowed)
+ * @param options Size budget and encoding options
+ * @returns The encoded image and its dimensions
+ */
+export async function fitImageToBudget(
+  png: Buffer | string,
+  options: ImageBudgetOptions = {}
+): Promise<EncodedImage> {
+  const source =
+    typeof png === "string"
+      ? Buffer.from(png.replace(/^data:image\/\w+;base64,/, ""), "base64")
+      : png;
+
+  const metadata = await sharp(source).metadata();
+  const originalWidth = metadata.width || 0;
+  const originalHeight = metadata.height || 0;
+
+  const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+  const format = options.format || "auto";
+  const startQuality = Math.min(
+    100,
+    Math.max(1, options.quality || DEFAULT_JPEG_QUALITY)
+  );
+  let width = Math.min(originalWidth, options.maxWidth || originalWidth);
+
+  const toResult = (
+    attempt: { buffer: Buffer; width: number; height: number },
+    mimeType: EncodedImage["mimeType"]
+  ): EncodedImage => ({
+    data: attempt.buffer.toString("base64"),
+    mimeType,
+    width: attempt.width,
+    height: attempt.height,
+    bytes: attempt.buffer.length,
+    originalWidth,
+    originalHeight,
+  });
+
+  if (format === "auto" || format === "png") {
+    const attempt = await encode(source, width, "png", 100);
+    if (format === "png" || attempt.buffer.length <= maxBytes) {
+      return toResult(attempt, "image/png");
+    }
+  }
+
+  const lossy = format === "webp" ? "webp" : "jpeg";
+  const lossyMimeType = `image/${lossy}` as const;
+  let smallest = await encode(source, width, lossy, startQuality);
+  if (smallest.buffer.length <= maxBytes) {
+    return toResult(smallest, lossyMimeType);
+  }
+
+  let quality = startQuality;
+  while (true) {
+    // Trade quality first, then resolution
+    if (quality - QUALITY_STEP >= MIN_JPEG_QUALITY) {
+      quality -= QUALITY_STEP;
+    } else {
+      const nextWidth = Math.floor(width * SCALE_STEP);
+      if (nextWidth < MIN_WIDTH) break;
+      width = nextWidth;
+      quality = startQuality;
+    }
+
+    const attempt = await encode(source, width, lossy, quality);
+    if (attempt.buffer.length < smallest.buffer.length) {
+      smallest = attempt;
+    }
+    if (attempt.buffer.length <= maxBytes) {
+      return toResult(attempt, lossyMimeType);
+    }
+  }
+
+  console.log(
+    `Screenshot could not be fit under ${maxBytes} bytes, returning smallest attempt (${smallest.buffer.length} bytes)`
+  );
+  return toResult(smallest, lossyMimeType);
+}
@@ -0,0 +1,158 @@
+import type { ImageBudgetOptions } from "./screenshot-encoder.js";
+
+// ===== Types =====
+
+export type ScreenshotFormat = "png" | "jpeg" | "webp";
+
+/**
+ * A region of the page in CSS pixels, measured from the top-left corner of
+ * the document rather than the viewport
+ */
+export interface ScreenshotClip {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/**
+ * What the extension should capture. With no target set it captures the
+ * visible viewport, as before.
+ */
+export interface ScreenshotCaptureOptions {
+  fullPage?: boolean; // The whole scrollable page
+  selector?: string; // The first element matching a CSS selector
+  selectedElement?: boolean; // The element selected in the Elements panel ($0)
+  clip?: ScreenshotClip;
+  format: ScreenshotFormat;
+  quality?: number; // JPEG and WebP only (1-100)
+}
+
+/**
+ * Error raised when a screenshot request has invalid options
+ */
+export class ScreenshotOptionsError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ScreenshotOptionsError";
+  }
+}
+
+// ===== Parsing =====
+
+const REQUEST_FORMATS = ["auto", "png", "jpeg", "webp"];
+const TARGET_FIELDS = ["fullPage", "selector", "selectedElement", "clip"];
+
+/**
+ * Reads the capture options from a /capture-screenshot request body.
+ * "format" also accepts "auto", which captures PNG and lets the returned
+ * image fall back to JPEG when it's over budget.
+ *
+ * @throws ScreenshotOptionsError if an option is invalid, or more than one
+ * target (fullPage, selector, selectedElement, clip) is set
+ */
+export function parseScreenshotOptions(
+  body: Record<string, any> = {}
+): ScreenshotCaptureOptions {
+  const options: ScreenshotCaptureOptions = { format: "png" };
+
+  const targets = TARGET_FIELDS.filter(
+    (field) => body[field] !== undefined && body[field] !== false
+  );
+  if (targets.length > 1) {
+    throw new ScreenshotOptionsError(
+      `Only one of ${TARGET_FIELDS.join(", ")} can be set, got ${targets.join(
+        " and "
+      )}`
+    );
+  }
+
+  for (const field of ["fullPage", "selectedElement"] as const) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "boolean") {
+      throw new ScreenshotOptionsError(`"${field}" must be a boolean`);
+    }
+    if (body[field]) options[field] = true;
+  }
+
+  if (body.selector !== undefined) {
+    if (typeof body.selector !== "string" || body.selector.trim() === "") {
+      throw new ScreenshotOptionsError(
+        '"selector" must be a non-empty CSS selector'
+      );
+    }
+    options.selector = body.selector;
+  }
+
+  if (body.clip !== undefined) {
+    const { x, y, width, height } = body.clip || {};
+    const isNumber = (value: unknown): value is number =>
+      typeof value === "number" && Number.isFinite(value);
+    if (
+      !isNumber(x) ||
+      !isNumber(y) ||
+      !isNumber(width) ||
+      !isNumber(height) ||
+      x < 0 ||
+      y < 0 ||
+      width <= 0 ||
+      height <= 0
+    ) {
+      throw new ScreenshotOptionsError(
+        '"clip" must be { x, y, width, height } with x and y of at least 0 and a positive width and height'
+      );
+    }
+    options.clip = { x, y, width, height };
+  }
+
+  if (body.format !== undefined) {
+    if (!REQUEST_FORMATS.includes(body.format)) {
+      throw new ScreenshotOptionsError(
+        `"format" must be one of ${REQUEST_FORMATS.join(", ")}, got "${
+          body.format
+        }"`
+      );
+    }
+    if (body.format !== "auto") options.format = body.format;
+  }
+
+  if (body.quality !== undefined) {
+    if (
+      !Number.isInteger(body.quality) ||
+      body.quality < 1 ||
+      body.quality > 100
+    ) {
+      throw new ScreenshotOptionsError(
+        '"quality" must be an integer from 1 to 100'
+      );
+    }
+    // PNG is lossless, so quality only applies to the other formats
+    if (options.format !== "png") options.quality = body.quality;
+  }
+
+  return options;
+}
+
+/**
+ * Reads the size budget for an image returned by /capture-screenshot
+ * (includeImage). Format and quality are checked by parseScreenshotOptions.
+ *
+ * @throws ScreenshotOptionsError if maxWidth or maxBytes isn't a positive integer
+ */
+export function parseImageBudgetOptions(
+  body: Record<string, any> = {}
+): ImageBudgetOptions {
+  for (const field of ["maxWidth", "maxBytes"]) {
+    const value = body[field];
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      throw new ScreenshotOptionsError(`"${field}" must be a positive integer`);
+    }
+  }
+
+  return {
+    maxWidth: body.maxWidth,
+    maxBytes: body.maxBytes,
+    format: body.format,
+    quality: body.quality,
+  };
+}
@@ -0,0 +1,337 @@
+import path from "path";
+import { createHash } from "crypto";
+import { fileURLToPath } from "url";
+import { AnyMap, originalPositionFor } from "@jridgewell/trace-mapping";
+import type { TraceMap } from "@jridgewell/trace-mapping";
+
+// ===== Types =====
+
+/**
+ * A script the page loaded, as reported by the extension from the
+ * debugger's Debugger.scriptParsed event
+ */
+export interface ParsedScript {
+  scriptId: string;
+  url: string;
+  sourceMapURL: string; // Empty when the script has none
+  hash?: string; // Changes when a dev server rebuilds the script
+}
+
+/**
+ * Scripts of one tab by script ID
+ */
+export type ScriptRegistry = Map<string, ParsedScript>;
+
+/**
+ * Where an original source maps a generated position to. Lines and columns
+ * are 1-based, as editors show them.
+ */
+export interface OriginalLocation {
+  source: string; // Source URL from the source map, e.g. webpack://app/./src/App.tsx
+  file?: string; // Project-relative path when it can be worked out, e.g. src/App.tsx
+  line: number;
+  column: number;
+}
+
+/**
+ * One call frame of a console message or exception. Lines and columns are
+ * 1-based and refer to the script the browser ran.
+ */
+export interface StackFrame {
+  functionName: string;
+  url: string;
+  line: number;
+  column: number;
+  scriptId?: string;
+  original?: OriginalLocation; // Added when a source map covers the frame
+}
+
+// ===== Scripts =====
+
+// Every eval and bundle chunk counts, so old pages' scripts are dropped
+const MAX_SCRIPTS = 5000;
+
+export function createScriptRegistry(): ScriptRegistry {
+  return new Map();
+}
+
+/**
+ * Remembers a parsed script so frames that reference it can find its
+ * source map
+ */
+export function recordParsedScript(
+  scripts: ScriptRegistry,
+  script: ParsedScript
+): void {
+  if (!script || typeof script.url !== "string" || !script.scriptId) return;
+
+  const scriptId = String(script.scriptId);
+  scripts.delete(scriptId);
+  scripts.set(scriptId, {
+    scriptId,
+    url: script.url,
+    sourceMapURL:
+      typeof script.sourceMapURL === "string" ? script.sourceMapURL : "",
+    ...(typeof script.hash === "string" && { hash: script.hash }),
+  });
+
+  if (scripts.size > MAX_SCRIPTS) {
+    scripts.delete(scripts.keys().next().value as string);
+  }
+}
+
+// The latest script loaded from a URL, for frames without a script ID
+function findScriptByUrl(
+  scripts: ScriptRegistry,
+  url: string
+): ParsedScript | undefined {
+  let found: ParsedScript | undefined;
+  for (const script of scripts.values()) {
+    if (script.url === url) found = script;
+  }
+  return found;
+}
+
+// ===== Source Maps =====
+
+// Sources are relative to the map's URL, or to the script's for inline
+// maps, since a data: URL can't be a base. AnyMap also flattens index maps
+// (maps split into sections), and applies sourceRoot.
+function parseSourceMap(raw: any, baseUrl: string): TraceMap {
+  if (
+    !Array.isArray(raw?.sections) &&
+    (typeof raw?.mappings !== "string" || !Array.isArray(raw.sources))
+  ) {
+    throw new Error("Not a source map");
+  }
+  return new AnyMap(raw, baseUrl);
+}
+
+// ===== Loading =====
+
+const FETCH_TIMEOUT = 5000;
+const MAX_CACHED_SOURCE_MAPS = 20;
+// Maps of scripts without a content hash may be rebuilt under the same URL
+const UNVERSIONED_CACHE_TIME = 60 * 1000;
+
+interface CachedSourceMap {
+  map: Promise<TraceMap | null>;
+  expiresAt: number;
+}
+
+const sourceMapCache = new Map<string, CachedSourceMap>();
+const discoveredSourceMaps = new Map<
+  string,
+  { mapUrl: Promise<string | null>; expiresAt: number }
+>();
+
+async function fetchText(url: string): Promise<string> {
+  const dataUrl = /^data:([^,]*),(.*)$/s.exec(url);
+  if (dataUrl) {
+    return dataUrl[1].endsWith(";base64")
+      ? Buffer.from(dataUrl[2], "base64").toString("utf8")
+      : decodeURIComponent(dataUrl[2]);
+  }
+
+  const response = await fetch(url, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT),
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded with ${response.status}`);
+  }
+  return response.text();
+}
+
+function describeUrl(url: string): string {
+  return url.startsWith("data:") ? "inline source map" : url;
+}
+
+function loadSourceMap(
+  mapUrl: string,
+  scriptUrl: string,
+  version: string | undefined
+): Promise<TraceMap | null> {
+  // Inline maps can be megabytes long, so they're keyed by a hash, and
+  // by their script since that's what their sources are relative to
+  const key = `${version ?? ""}:${
+    mapUrl.startsWith("data:")
+      ? `${scriptUrl}#${createHash("sha1").update(mapUrl).digest("hex")}`
+      : mapUrl
+  }`;
+
+  const cached = sourceMapCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    // Move to the end, so the least recently used map is dropped first
+    sourceMapCache.delete(key);
+    sourceMapCache.set(key, cached);
+    return cached.map;
+  }
+
+  const map = fetchText(mapUrl)
+    // Some servers prefix JSON with )]}' to prevent it being run as script
+    .then((text) =>
+      parseSourceMap(
+        JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, "")),
+        mapUrl.startsWith("data:") ? scriptUrl : mapUrl
+      )
+    )
+    .catch((error) => {
+      console.log(
+        `Failed to load ${describeUrl(mapUrl)}:`,
+        error instanceof Error ? error.message : error
+      );
+      return null;
+    });
+  sourceMapCache.set(key, {
+    map,
+    expiresAt: version ? Infinity : Date.now() + UNVERSIONED_CACHE_TIME,
+  });
+  if (sourceMapCache.size > MAX_CACHED_SOURCE_MAPS) {
+    sourceMapCache.delete(sourceMapCache.keys().next().value as string);
+  }
+  return map;
+}
+
+// Reads the sourceMappingURL comment of a script the extension didn't
+// report, such as one loaded before the DevTools panel was opened
+function discoverSourceMapUrl(scriptUrl: string): Promise<string | null> {
+  const cached = discoveredSourceMaps.get(scriptUrl);
+  if (cached && cached.expiresAt > Date.now()) return cached.mapUrl;
+
+  const mapUrl = /^https?:/.test(scriptUrl)
+    ? fetchText(scriptUrl)
+        .then((text) => {
+          const comments = [
+            ...text.matchAll(/\/\/[#@] sourceMappingURL=(\S+)\s*$/gm),
+          ];
+          const url = comments.pop()?.[1];
+          return url ? new URL(url, scriptUrl).href : null;
+        })
+        .catch(() => null)
+    : Promise.resolve(null);
+
+  discoveredSourceMaps.set(scriptUrl, {
+    mapUrl,
+    expiresAt: Date.now() + UNVERSIONED_CACHE_TIME,
+  });
+  if (discoveredSourceMaps.size > MAX_CACHED_SOURCE_MAPS) {
+    discoveredSourceMaps.delete(
+      discoveredSourceMaps.keys().next().value as string
+    );
+  }
+  return mapUrl;
+}
+
+// ===== Resolution =====
+
+/**
+ * Turns a source map source into a path relative to the project, e.g.
+ * webpack://app/./src/App.tsx or http://localhost:5173/src/App.tsx into
+ * src/App.tsx. Absolute file paths are made relative to
+ * BROWSER_TOOLS_PROJECT_ROOT when they're inside it.
+ *
+ * @returns The path, or undefined for bundler internals
+ */
+export function toProjectPath(
+  source: string,
+  projectRoot: string | undefined = process.env.BROWSER_TOOLS_PROJECT_ROOT
+): string | undefined {
+  let absolutePath: string | undefined;
+  let urlPath = source;
+  try {
+    const url = new URL(source);
+    urlPath = decodeURIComponent(url.pathname);
+    if (url.protocol === "file:") {
+      absolutePath = fileURLToPath(url);
+    } else if (urlPath.startsWith("/@fs/")) {
+      // Vite serves files outside its root under /@fs/<absolute path>
+      absolutePath = urlPath.slice("/@fs".length);
+    }
+  } catch (error) {
+    // Not a URL, so already a relative path
+  }
+
+  if (absolutePath) {
+    if (projectRoot) {
+      const relative = path.relative(path.resolve(projectRoot), absolutePath);
+      if (
+        relative &&
+        !relative.startsWith("..") &&
+        !path.isAbsolute(relative)
+      ) {
+        return relative.split(path.sep).join("/");
+      }
+    }
+    return absolutePath;
+  }
+
+  const relative = urlPath.replace(/^\/+/, "").replace(/^(\.\/)+/, "");
+  if (!relative || /^(webpack|\(webpack\))\//.test(relative)) {
+    return undefined;
+  }
+  return relative;
+}
+
+async function resolveFrame(
+  frame: StackFrame,
+  scripts: ScriptRegistry
+): Promise<OriginalLocation | null> {
+  if (
+    typeof frame?.url !== "string" ||
+    !frame.url ||
+    !Number.isInteger(frame.line) ||
+    !Number.isInteger(frame.column)
+  ) {
+    return null;
+  }
+
+  const script =
+    (frame.scriptId !== undefined && scripts.get(String(frame.scriptId))) ||
+    findScriptByUrl(scripts, frame.url);
+  let mapUrl: string | null;
+  if (script) {
+    if (!script.sourceMapURL) return null;
+    try {
+      mapUrl = new URL(script.sourceMapURL, script.url).href;
+    } catch (error) {
+      return null;
+    }
+  } else {
+    mapUrl = await discoverSourceMapUrl(frame.url);
+  }
+  if (!mapUrl) return null;
+
+  const map = await loadSourceMap(mapUrl, frame.url, script?.hash);
+  if (!map) return null;
+  // Lines are 1-based and columns 0-based here
+  const position = originalPositionFor(map, {
+    line: frame.line,
+    column: frame.column - 1,
+  });
+  if (position.source === null) return null;
+
+  const file = toProjectPath(position.source);
+  return {
+    source: position.source,
+    ...(file && { file }),
+    line: position.line,
+    column: position.column + 1,
+  };
+}
+
+/**
+ * Adds the original source location to every frame a source map covers.
+ * Frames that can't be mapped, because the script has no source map or it
+ * can't be fetched, are returned as they are.
+ */
+export async function resolveStackTrace(
+  frames: StackFrame[],
+  scripts: ScriptRegistry
+): Promise<StackFrame[]> {
+  return Promise.all(
+    frames.map(async (frame) => {
+      const original = await resolveFrame(frame, scripts).catch(() => null);
+      return original ? { ...frame, original } : frame;
+    })
+  );
+}
@@ -0,0 +1,227 @@
+import { ErrorGroups } from "./error-groups.js";
+import { createHarRecording, HarRecording } from "./har.js";
+import { createScriptRegistry, ScriptRegistry } from "./source-maps.js";
+import { Timeline } from "./timeline.js";
+
+// ===== Types =====
+
+/**
+ * Chrome tab ID as sent by the extension. Query strings deliver it as a
+ * string, so tabs are keyed by its string form.
+ */
+export type TabId = number | string;
+
+/**
+ * Everything captured from one inspected tab
+ */
+export interface TabState {
+  tabId: TabId;
+  url: string;
+  title: string | null;
+  windowId: number | null;
+  connected: boolean; // Whether the tab's DevTools panel has a WebSocket open
+  lastActiveAt: number; // Last navigation, activation or panel connection
+  lastNavigationAt: number | null; // Used by sinceLastNavigation queries
+  consoleLogs: any[];
+  consoleErrors: any[];
+  errorGroups: ErrorGroups; // Console errors grouped by fingerprint
+  networkErrors: any[];
+  networkSuccess: any[];
+  selectedElement: any;
+  har: HarRecording; // Network traffic since the tab was first seen
+  timeline: Timeline; // Every captured event, across page loads
+  scripts: ScriptRegistry; // Scripts and their source maps, to map stack frames
+}
+
+/**
+ * Tab description returned by GET /tabs
+ */
+export interface TabSummary {
+  tabId: TabId;
+  url: string;
+  title: string | null;
+  windowId: number | null;
+  connected: boolean;
+  current: boolean;
+  lastActiveAt: number;
+  counts: {
+    consoleLogs: number;
+    consoleErrors: number;
+    errorGroups: number;
+    networkErrors: number;
+    networkSuccess: number;
+    harEntries: number;
+    timelineEvents: number;
+  };
+}
+
+/**
+ * Error raised when a request targets a tab the connector hasn't seen.
+ * Endpoints translate it into a 404 response.
+ */
+export class TabNotFoundError extends Error {
+  constructor(tabId: unknown) {
+    super(
+      `Unknown tab "${tabId}". GET /tabs (the listTabs tool) lists the tabs the extension has reported.`
+    );
+    this.name = "TabNotFoundError";
+  }
+}
+
+/**
+ * Whether a request or message names a tab
+ */
+export function hasTabId(tabId: unknown): boolean {
+  return tabId !== undefined && tabId !== null && tabId !== "";
+}
+
+// Old extensions don't tag their logs, so untagged entries share this tab
+export const UNKNOWN_TAB_ID = "unknown";
+
+// Closed tabs are never reported, so the least recently active ones are dropped
+const MAX_TRACKED_TABS = 20;
+
+// ===== Registry =====
+
+/**
+ * Per-tab log, URL and selected element state, so several DevTools panels
+ * can feed one connector without overwriting each other
+ */
+export class TabRegistry {
+  private tabs = new Map<string, TabState>();
+
+  /**
+   * Returns a tab's state, creating it the first time the tab is seen
+   */
+  track(tabId: TabId): TabState {
+    const key = String(tabId);
+    let tab = this.tabs.get(key);
+    if (!tab) {
+      tab = {
+        // Chrome tab IDs are integers; keep them numeric for clients
+        tabId: /^\d+$/.test(key) ? Number(key) : key,
+        url: "",
+        title: null,
+        windowId: null,
+        connected: false,
+        lastActiveAt: Date.now(),
+        lastNavigationAt: null,
+        consoleLogs: [],
+        consoleErrors: [],
+        errorGroups: new ErrorGroups(),
+        networkErrors: [],
+        networkSuccess: [],
+        selectedElement: null,
+        har: createHarRecording(),
+        timeline: new Timeline(),
+        scripts: createScriptRegistry(),
+      };
+      this.tabs.set(key, tab);
+      this.evictInactiveTabs();
+    }
+    return tab;
+  }
+
+  /**
+   * Returns a tab's state if the tab has been seen
+   */
+  get(tabId: TabId): TabState | undefined {
+    return this.tabs.get(String(tabId));
+  }
+
+  /**
+   * Marks a tab as the one the developer is working in
+   */
+  touch(tab: TabState) {
+    tab.lastActiveAt = Date.now();
+  }
+
+  /**
+   * The tab requests target when they don't name one: the most recently
+   * active tab with an open DevTools panel, or any tab if none is open
+   */
+  getCurrent(): TabState | undefined {
+    let current: TabState | undefined;
+    for (const tab of this.tabs.values()) {
+      if (
+        !current ||
+        (tab.connected && !current.connected) ||
+        (tab.connected === current.connected &&
+          tab.lastActiveAt > current.lastActiveAt)
+      ) {
+        current = tab;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Finds the tab a request targets
+   *
+   * @param tabId The request's tabId parameter, if any
+   * @returns The named tab, or the current tab (undefined if no tab is known yet)
+   * @throws TabNotFoundError if a tabId is given but the tab hasn't been seen
+   */
+  resolve(tabId: unknown): TabState | undefined {
+    const requested = Array.isArray(tabId) ? tabId[tabId.length - 1] : tabId;
+    if (!hasTabId(requested)) {
+      return this.getCurrent();
+    }
+    const tab = this.tabs.get(String(requested));
+    if (!tab) {
+      throw new TabNotFoundError(requested);
+    }
+    return tab;
+  }
+
+  /**
+   * Lists the known tabs, most recently active first
+   */
+  list(): TabSummary[] {
+    const current = this.getCurrent();
+    return [...this.tabs.values()]
+      .sort((a, b) => b.lastActiveAt - a.lastActiveAt)
+      .map((tab) => ({
+        tabId: tab.tabId,
+        url: tab.url,
+        title: tab.title,
+        windowId: tab.windowId,
+        connected: tab.connected,
+        current: tab === current,
+        lastActiveAt: tab.lastActiveAt,
+        counts: {
+          consoleLogs: tab.consoleLogs.length,
+          consoleErrors: tab.consoleErrors.length,
+          errorGroups: tab.errorGroups.size,
+          networkErrors: tab.networkErrors.length,
+          networkSuccess: tab.networkSuccess.length,
+          harEntries: tab.har.entries.length,
+          timelineEvents: tab.timeline.size,
+        },
+      }));
+  }
+
+  /**
+   * All known tabs, in no particular order
+   */
+  all(): TabState[] {
+    return [...this.tabs.values()];
+  }
+
+  private evictInactiveTabs() {
+    while (this.tabs.size > MAX_TRACKED_TABS) {
+      let oldest: [string, TabState] | undefined;
+      for (const entry of this.tabs) {
+        if (
+          !entry[1].connected &&
+          (!oldest || entry[1].lastActiveAt < oldest[1].lastActiveAt)
+        ) {
+          oldest = entry;
+        }
+      }
+      // Tabs with an open panel are never dropped
+      if (!oldest) return;
+      this.tabs.delete(oldest[0]);
+    }
+  }
+}
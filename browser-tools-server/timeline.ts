@@ -0,0 +1,336 @@
+// ===== Types =====
+
+export type TimelineEventKind =
+  | "navigation"
+  | "console"
+  | "exception"
+  | "network-start"
+  | "network-finish"
+  | "screenshot";
+
+/**
+ * Why two timeline events are linked
+ */
+export type TimelineLinkReason =
+  | "followed-failed-request" // An error soon after a failed request
+  | "followed-by-error" // The failed request an error came soon after
+  | "mentions-request" // An error whose message names a request's URL
+  | "mentioned-by-error"; // The request such an error names
+
+export interface TimelineLink {
+  id: number;
+  reason: TimelineLinkReason;
+}
+
+/**
+ * One thing that happened in a tab. Only the fields of its kind are set.
+ */
+export interface TimelineEvent {
+  id: number; // Increases in the order events were recorded
+  kind: TimelineEventKind;
+  timestamp: number;
+  navigation: number; // Page load, 0 before the first navigation was seen
+  logSeq?: number; // The entry's seq in the log endpoints
+  // Console messages and exceptions
+  level?: string;
+  source?: string; // e.g. "console-api", "javascript" or "security"
+  message?: string;
+  location?: string; // Where it was logged or thrown, originally if mapped
+  fingerprint?: string; // Error group, for GET /error-groups
+  // Navigations and network requests
+  url?: string;
+  requestId?: number; // Shared by a request's start and finish events
+  method?: string;
+  resourceType?: string;
+  status?: number;
+  error?: string;
+  duration?: number;
+  failed?: boolean; // A response of 400 or above, or none at all
+  // Screenshots
+  path?: string;
+  baseline?: string;
+  comparison?: string; // Status of a visual comparison
+  related?: TimelineLink[];
+}
+
+/**
+ * Position after the last event of a timeline page
+ */
+export interface TimelinePosition {
+  navigation: number;
+  timestamp: number;
+  id: number;
+}
+
+/**
+ * Error raised when a timeline query names a page load the tab doesn't
+ * have. Endpoints translate it into a 400 response.
+ */
+export class TimelineQueryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "TimelineQueryError";
+  }
+}
+
+// ===== Recording =====
+
+// Timelines outlive the logs, so they hold more than the log limit
+const MAX_EVENTS = 2000;
+// Errors this soon after a failed request are linked to it
+const CORRELATION_WINDOW = 2000;
+// Console messages are trimmed, the log endpoints have them in full
+const MAX_MESSAGE_LENGTH = 500;
+
+function describeLocation(entry: any): string | undefined {
+  const frame = Array.isArray(entry.stackTrace)
+    ? entry.stackTrace[0]
+    : undefined;
+  if (!frame) return undefined;
+  if (frame.original) {
+    const source = frame.original.file ?? frame.original.source;
+    return `${source}:${frame.original.line}:${frame.original.column}`;
+  }
+  return `${frame.url}:${frame.line}:${frame.column}`;
+}
+
+function trimMessage(message: unknown): string {
+  const text = String(message ?? "");
+  return text.length > MAX_MESSAGE_LENGTH
+    ? `${text.slice(0, MAX_MESSAGE_LENGTH)}...`
+    : text;
+}
+
+/**
+ * Everything that happened in one tab, in one list: navigations, console
+ * messages, exceptions, network requests and screenshots. Unlike the logs
+ * it isn't cleared by /wipelogs, so earlier page loads can be compared.
+ */
+export class Timeline {
+  private events: TimelineEvent[] = [];
+  private nextId = 1;
+  private nextRequestId = 1;
+  private navigation = 0;
+
+  recordNavigation(url: string, timestamp: number) {
+    this.navigation++;
+    this.add({ kind: "navigation", timestamp, url });
+  }
+
+  /**
+   * Records a console-log or console-error entry. Exceptions are the
+   * console errors the extension marked with "exception".
+   */
+  recordConsole(entry: any) {
+    this.add({
+      kind: entry.exception ? "exception" : "console",
+      timestamp: entry.timestamp || Date.now(),
+      logSeq: entry.seq,
+      level: entry.level,
+      source: entry.source,
+      message: trimMessage(
+        entry.exception && !/^Uncaught\b/.test(entry.message)
+          ? `${entry.exception} ${entry.message}`
+          : entry.message
+      ),
+      location: describeLocation(entry),
+      fingerprint: entry.fingerprint,
+    });
+  }
+
+  /**
+   * Records a network-request entry as a start and a finish event. The
+   * extension reports requests when they finish, so the start is worked
+   * out from startedAt, or the duration for older extensions.
+   */
+  recordNetworkRequest(entry: any) {
+    const finishedAt = entry.timestamp || Date.now();
+    const duration = Number(entry.duration) || 0;
+    const startedAt = Number.isFinite(entry.startedAt)
+      ? entry.startedAt
+      : finishedAt - duration;
+    const request = {
+      logSeq: entry.seq,
+      url: entry.url,
+      requestId: this.nextRequestId++,
+      method: entry.method,
+      resourceType: entry.resourceType,
+    };
+
+    this.add({ kind: "network-start", timestamp: startedAt, ...request });
+    this.add({
+      kind: "network-finish",
+      timestamp: Number.isFinite(entry.startedAt)
+        ? startedAt + duration
+        : finishedAt,
+      ...request,
+      status: entry.status,
+      ...(entry.error && { error: entry.error }),
+      duration,
+      failed: entry.status >= 400 || !entry.status || !!entry.error,
+    });
+  }
+
+  recordScreenshot(screenshot: {
+    path: string;
+    timestamp?: number;
+    baseline?: string;
+    comparison?: string;
+  }) {
+    this.add({
+      kind: "screenshot",
+      timestamp: screenshot.timestamp || Date.now(),
+      path: screenshot.path,
+      ...(screenshot.baseline && {
+        baseline: screenshot.baseline,
+        comparison: screenshot.comparison,
+      }),
+    });
+  }
+
+  /**
+   * The page load events are being recorded under
+   */
+  get currentNavigation(): number {
+    return this.navigation;
+  }
+
+  get size(): number {
+    return this.events.length;
+  }
+
+  /**
+   * Returns one page load's events, or every page load's, in time order
+   * and linked to related events
+   *
+   * @param navigation "all", "current", "previous" or a page load number
+   * @throws TimelineQueryError if the page load doesn't exist
+   */
+  query(navigation: string = "current"): TimelineEvent[] {
+    const selected = this.resolveNavigation(navigation);
+    const events = this.events
+      .filter((event) => selected === null || event.navigation === selected)
+      .map((event) => ({ ...event }))
+      .sort(compareTimelinePositions);
+    linkRelatedEvents(events);
+    return events;
+  }
+
+  clear() {
+    this.events = [];
+  }
+
+  private add(event: Omit<TimelineEvent, "id" | "navigation">) {
+    this.events.push({
+      id: this.nextId++,
+      navigation: this.navigation,
+      ...event,
+    });
+    if (this.events.length > MAX_EVENTS) this.events.shift();
+  }
+
+  // Returns the page load to keep, or null for all of them
+  private resolveNavigation(ref: string): number | null {
+    if (ref === "all") return null;
+    if (ref === "current") return this.navigation;
+    if (ref === "previous") {
+      if (this.navigation === 0) {
+        throw new TimelineQueryError(
+          "The tab has no page load before the current one"
+        );
+      }
+      return this.navigation - 1;
+    }
+
+    const navigation = Number(ref);
+    if (
+      !Number.isInteger(navigation) ||
+      navigation < 0 ||
+      navigation > this.navigation
+    ) {
+      throw new TimelineQueryError(
+        `"navigation" must be "all", "current", "previous" or a number from 0 to ${this.navigation}, got "${ref}"`
+      );
+    }
+    return navigation;
+  }
+}
+
+// ===== Correlation =====
+
+/**
+ * Orders timeline positions: page loads in order, then time, then
+ * recording order
+ */
+export function compareTimelinePositions(
+  a: TimelinePosition,
+  b: TimelinePosition
+): number {
+  return (
+    a.navigation - b.navigation || a.timestamp - b.timestamp || a.id - b.id
+  );
+}
+
+function isError(event: TimelineEvent): boolean {
+  return (
+    event.kind === "exception" ||
+    (event.kind === "console" && event.level === "error")
+  );
+}
+
+// Whether a message names a URL, with or without its query string, or its
+// path on the same origin (e.g. "GET /api/cart 500")
+function mentionsUrl(message: string, url: string): boolean {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  const candidates = [`${parsed.origin}${parsed.pathname}`];
+  if (parsed.pathname.length > 1) candidates.push(parsed.pathname);
+  return candidates.some((candidate) => {
+    let index = message.indexOf(candidate);
+    while (index !== -1) {
+      // Don't let /api match /api-docs or /api/v2
+      const next = message[index + candidate.length];
+      if (next === undefined || !/[\w/.-]/.test(next)) return true;
+      index = message.indexOf(candidate, index + 1);
+    }
+    return false;
+  });
+}
+
+function link(
+  from: TimelineEvent,
+  to: TimelineEvent,
+  reason: TimelineLinkReason
+) {
+  from.related = from.related || [];
+  if (!from.related.some((existing) => existing.id === to.id)) {
+    from.related.push({ id: to.id, reason });
+  }
+}
+
+// Links errors to the failed requests just before them, and to the
+// requests their messages name
+function linkRelatedEvents(events: TimelineEvent[]) {
+  const finished = events.filter((event) => event.kind === "network-finish");
+  for (const error of events.filter(isError)) {
+    for (const request of finished) {
+      if (request.navigation !== error.navigation) continue;
+      const delay = error.timestamp - request.timestamp;
+      if (request.failed && delay >= 0 && delay <= CORRELATION_WINDOW) {
+        link(error, request, "followed-failed-request");
+        link(request, error, "followed-by-error");
+      } else if (
+        request.url &&
+        error.message &&
+        mentionsUrl(error.message, request.url)
+      ) {
+        link(error, request, "mentions-request");
+        link(request, error, "mentioned-by-error");
+      }
+    }
+  }
+}
@@ -0,0 +1,198 @@
+import { tokenizeAndEstimateCost } from "llm-cost";
+
+// ===== Types =====
+
+/**
+ * How token counts were obtained: with the model's tokenizer, or estimated
+ * from text length while the tokenizer is unavailable
+ */
+export type TokenizerKind = "tokenizer" | "estimate";
+
+/**
+ * Token accounting reported alongside a budgeted response
+ */
+export interface TokenUsage {
+  tokenBudget: number;
+  tokensUsed: number;
+  omitted: number; // Entries left out of this response, reachable with the cursor
+  tokenizer: TokenizerKind;
+}
+
+// ===== Token Counting =====
+
+const CHARS_PER_TOKEN_ESTIMATE = 4;
+const TOKENIZER_RETRY_DELAY = 5 * 60 * 1000; // 5 minutes
+
+// llm-cost downloads its BPE ranks on first use, so it fails while offline
+let tokenizerFailedAt: number | null = null;
+
+/**
+ * Counts the tokens in a piece of text with llm-cost's tokenizer for a model.
+ * Falls back to a length-based estimate when the tokenizer can't be loaded,
+ * and retries the tokenizer after a delay.
+ *
+ * @param text The text to count
+ * @param model Model name used to pick the tokenizer (unknown models use gpt-3.5-turbo's)
+ * @returns The token count and how it was obtained
+ */
+export async function countTokens(
+  text: string,
+  model: string
+): Promise<{ tokens: number; tokenizer: TokenizerKind }> {
+  if (
+    tokenizerFailedAt === null ||
+    Date.now() - tokenizerFailedAt > TOKENIZER_RETRY_DELAY
+  ) {
+    try {
+      const { inputTokens } = await tokenizeAndEstimateCost({
+        model,
+        input: text,
+      });
+      tokenizerFailedAt = null;
+      return { tokens: inputTokens, tokenizer: "tokenizer" };
+    } catch (error) {
+      console.error(
+        `Tokenizer unavailable, estimating token counts from length: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+      tokenizerFailedAt = Date.now();
+    }
+  }
+
+  return {
+    tokens: Math.ceil(text.length / CHARS_PER_TOKEN_ESTIMATE),
+    tokenizer: "estimate",
+  };
+}
+
+// ===== Budgeting =====
+
+const MAX_SHORTEN_ATTEMPTS = 5;
+const MIN_SHORTENED_LENGTH = 50; // Keeps URLs, levels and short messages intact
+
+/**
+ * Truncates every string in a value that is longer than maxLength
+ */
+function shortenStrings(data: any, maxLength: number): any {
+  if (typeof data === "string") {
+    return data.length > maxLength
+      ? data.substring(0, maxLength) + "... (truncated)"
+      : data;
+  }
+  if (Array.isArray(data)) {
+    return data.map((item) => shortenStrings(item, maxLength));
+  }
+  if (typeof data === "object" && data !== null) {
+    const result: any = {};
+    for (const [key, value] of Object.entries(data)) {
+      result[key] = shortenStrings(value, maxLength);
+    }
+    return result;
+  }
+  return data;
+}
+
+/**
+ * Finds the length of the longest string in a value
+ */
+function longestString(data: any): number {
+  if (typeof data === "string") return data.length;
+  if (typeof data === "object" && data !== null) {
+    return Math.max(0, ...Object.values(data).map(longestString));
+  }
+  return 0;
+}
+
+/**
+ * Shortens the longest strings of an item (such as network bodies or
+ * audit details) until it fits in a number of tokens. The shortest attempt
+ * is returned even if nothing fits, so callers always get the item.
+ *
+ * @param item The item to shorten
+ * @param tokens The item's current token count
+ * @param maxTokens Tokens available for the item
+ * @param model Model name used to pick the tokenizer
+ * @returns The shortened item and its token count
+ */
+async function shortenToTokens<T>(
+  item: T,
+  tokens: number,
+  maxTokens: number,
+  model: string
+): Promise<{ item: T; tokens: number }> {
+  let maxLength = longestString(item);
+  let smallest = { item, tokens };
+
+  for (let attempt = 0; attempt < MAX_SHORTEN_ATTEMPTS; attempt++) {
+    maxLength = Math.floor(maxLength / 2);
+    if (maxLength < MIN_SHORTENED_LENGTH) break;
+
+    const shortened = shortenStrings(item, maxLength);
+    const counted = await countTokens(JSON.stringify(shortened), model);
+    if (counted.tokens < smallest.tokens) {
+      smallest = { item: shortened, tokens: counted.tokens };
+    }
+    if (counted.tokens <= maxTokens) break;
+  }
+  return smallest;
+}
+
+/**
+ * Takes items from the start of a list until a token budget is spent.
+ * When even the first item is over budget, its longest strings are
+ * shortened so the page still makes progress; a page always holds at
+ * least one item.
+ *
+ * @param items The remaining items, in page order
+ * @param tokenBudget Tokens available for the items
+ * @param model Model name used to pick the tokenizer
+ * @param limit Optional maximum number of items
+ * @returns The page, whether any items were left out, and the tokens it used
+ */
+export async function takeTokenBudgetedPage<T>(
+  items: T[],
+  tokenBudget: number,
+  model: string,
+  limit?: number
+): Promise<{
+  items: T[];
+  hasMore: boolean;
+  tokensUsed: number;
+  tokenizer: TokenizerKind;
+}> {
+  const maxItems = Math.min(items.length, limit ?? items.length);
+  const page: T[] = [];
+  let tokensUsed = 0;
+  let tokenizer: TokenizerKind = "tokenizer";
+
+  for (const item of items.slice(0, maxItems)) {
+    const counted = await countTokens(JSON.stringify(item), model);
+    if (counted.tokenizer === "estimate") tokenizer = "estimate";
+
+    if (tokensUsed + counted.tokens <= tokenBudget) {
+      page.push(item);
+      tokensUsed += counted.tokens;
+      continue;
+    }
+
+    if (page.length === 0) {
+      const shortened = await shortenToTokens(
+        item,
+        counted.tokens,
+        tokenBudget,
+        model
+      );
+      page.push(shortened.item);
+      tokensUsed += shortened.tokens;
+    }
+    break;
+  }
+
+  return {
+    items: page,
+    hasMore: page.length < items.length,
+    tokensUsed,
+    tokenizer,
+  };
+}
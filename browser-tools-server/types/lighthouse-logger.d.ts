@@ -0,0 +1,12 @@
+// lighthouse-logger ships without type declarations. Lighthouse has its
+// own, but only inside its package, so the parts used here are declared.
+declare module "lighthouse-logger" {
+  import type { EventEmitter } from "events";
+
+  const log: {
+    // Emits "status" and "warning" events as [title, ...args]
+    events: EventEmitter;
+    setLevel(level: string): void;
+  };
+  export default log;
+}
@@ -0,0 +1,359 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createHash } from "crypto";
+import sharp from "sharp";
+
+// ===== Types =====
+
+/**
+ * Size of the page's viewport when a screenshot was taken, as reported by
+ * the extension
+ */
+export interface Viewport {
+  width: number;
+  height: number;
+  deviceScaleFactor: number;
+}
+
+/**
+ * Bounding box of one area of changed pixels, in image pixels
+ */
+export interface ChangedRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  changedPixels: number;
+}
+
+/**
+ * Result of comparing a screenshot with its baseline
+ */
+export interface ImageDiff {
+  width: number;
+  height: number;
+  changedPixels: number;
+  changedPercent: number; // 0-100, of the larger of the two images
+  sizeChanged: boolean; // Pixels outside the smaller image count as changed
+  regions: ChangedRegion[]; // Largest first, at most MAX_REGIONS
+  regionCount: number; // Including regions left out of the list
+  diffImage: Buffer; // PNG: baseline faded to grey, changed pixels in red
+}
+
+/**
+ * Options for POST /compare-screenshot
+ */
+export interface CompareOptions {
+  name: string;
+  tolerance: number; // Per-pixel color difference to ignore, 0-1
+  maxChangedPercent: number; // Largest change that still counts as a match
+  updateBaseline: boolean; // Replace the baseline with this capture
+}
+
+/**
+ * Error raised when a comparison request has invalid options
+ */
+export class VisualRegressionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "VisualRegressionError";
+  }
+}
+
+// ===== Options =====
+
+const DEFAULT_TOLERANCE = 0.1;
+const BASELINE_NAME = /^[\w.-]{1,100}$/;
+
+/**
+ * Reads the comparison options from a /compare-screenshot request body.
+ * Capture options (fullPage, selector, clip, ...) are read separately.
+ *
+ * @throws VisualRegressionError if an option is invalid
+ */
+export function parseCompareOptions(
+  body: Record<string, any> = {}
+): CompareOptions {
+  if (typeof body.name !== "string" || !BASELINE_NAME.test(body.name)) {
+    throw new VisualRegressionError(
+      '"name" must be 1 to 100 letters, digits, ".", "-" or "_", e.g. "header" or "checkout-form"'
+    );
+  }
+
+  const readFraction = (field: string, max: number, fallback: number) => {
+    const value = body[field];
+    if (value === undefined) return fallback;
+    if (typeof value !== "number" || !(value >= 0 && value <= max)) {
+      throw new VisualRegressionError(
+        `"${field}" must be a number from 0 to ${max}`
+      );
+    }
+    return value;
+  };
+
+  if (
+    body.updateBaseline !== undefined &&
+    typeof body.updateBaseline !== "boolean"
+  ) {
+    throw new VisualRegressionError('"updateBaseline" must be a boolean');
+  }
+
+  return {
+    name: body.name,
+    tolerance: readFraction("tolerance", 1, DEFAULT_TOLERANCE),
+    maxChangedPercent: readFraction("maxChangedPercent", 100, 0),
+    updateBaseline: body.updateBaseline === true,
+  };
+}
+
+// ===== Diffing =====
+
+// Changed pixels are grouped into cells of this size, and neighbouring
+// cells into regions, so anti-aliasing noise doesn't produce thousands
+const REGION_CELL_SIZE = 16;
+const MAX_REGIONS = 20;
+
+async function readPixels(image: Buffer) {
+  const { data, info } = await sharp(image)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Compares two images pixel by pixel. A pixel has changed when any channel
+ * differs by more than the tolerance (0 flags every difference, 1 none).
+ *
+ * @param baseline The baseline image, in any format sharp reads
+ * @param current The new screenshot
+ * @param tolerance Per-pixel color difference to ignore, 0-1
+ */
+export async function diffImages(
+  baseline: Buffer,
+  current: Buffer,
+  tolerance: number = DEFAULT_TOLERANCE
+): Promise<ImageDiff> {
+  const before = await readPixels(baseline);
+  const after = await readPixels(current);
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const threshold = tolerance * 255;
+
+  const cellColumns = Math.ceil(width / REGION_CELL_SIZE);
+  const cellRows = Math.ceil(height / REGION_CELL_SIZE);
+  const cells = new Map<number, ChangedRegion>();
+
+  const output = Buffer.alloc(width * height * 4);
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const inBefore = x < before.width && y < before.height;
+      const inAfter = x < after.width && y < after.height;
+      const b = (y * before.width + x) * 4;
+
+      let changed = !inBefore || !inAfter;
+      if (!changed) {
+        const a = (y * after.width + x) * 4;
+        for (let channel = 0; channel < 4 && !changed; channel++) {
+          changed =
+            Math.abs(before.data[b + channel] - after.data[a + channel]) >
+            threshold;
+        }
+      }
+
+      if (!changed) {
+        // Faded greyscale of the baseline, so changes stand out
+        const luma =
+          0.299 * before.data[b] +
+          0.587 * before.data[b + 1] +
+          0.114 * before.data[b + 2];
+        const faded = 255 - (255 - luma) * 0.1;
+        output.fill(Math.round(faded), out, out + 3);
+        output[out + 3] = 255;
+        continue;
+      }
+
+      output[out] = 255;
+      output[out + 3] = 255;
+      changedPixels++;
+
+      const key =
+        Math.floor(y / REGION_CELL_SIZE) * cellColumns +
+        Math.floor(x / REGION_CELL_SIZE);
+      const cell = cells.get(key);
+      if (!cell) {
+        cells.set(key, { x, y, width: 1, height: 1, changedPixels: 1 });
+      } else {
+        const right = Math.max(cell.x + cell.width, x + 1);
+        cell.x = Math.min(cell.x, x);
+        cell.width = right - cell.x;
+        cell.height = y + 1 - cell.y;
+        cell.changedPixels++;
+      }
+    }
+  }
+
+  // Merge touching cells (including diagonally) into regions
+  const regions: ChangedRegion[] = [];
+  const visited = new Set<number>();
+  for (const start of cells.keys()) {
+    if (visited.has(start)) continue;
+    visited.add(start);
+
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+    let regionPixels = 0;
+    const queue = [start];
+    while (queue.length > 0) {
+      const key = queue.pop() as number;
+      const cell = cells.get(key) as ChangedRegion;
+      left = Math.min(left, cell.x);
+      top = Math.min(top, cell.y);
+      right = Math.max(right, cell.x + cell.width);
+      bottom = Math.max(bottom, cell.y + cell.height);
+      regionPixels += cell.changedPixels;
+
+      const column = key % cellColumns;
+      const row = Math.floor(key / cellColumns);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nextColumn = column + dx;
+          const nextRow = row + dy;
+          if (
+            nextColumn < 0 ||
+            nextColumn >= cellColumns ||
+            nextRow < 0 ||
+            nextRow >= cellRows
+          ) {
+            continue;
+          }
+          const next = nextRow * cellColumns + nextColumn;
+          if (cells.has(next) && !visited.has(next)) {
+            visited.add(next);
+            queue.push(next);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: left,
+      y: top,
+      width: right - left,
+      height: bottom - top,
+      changedPixels: regionPixels,
+    });
+  }
+  regions.sort((a, b) => b.changedPixels - a.changedPixels);
+
+  const diffImage = await sharp(output, {
+    raw: { width, height, channels: 4 },
+  })
+    .png()
+    .toBuffer();
+
+  return {
+    width,
+    height,
+    changedPixels,
+    changedPercent:
+      width * height > 0
+        ? Math.round((changedPixels / (width * height)) * 10000) / 100
+        : 0,
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    regions: regions.slice(0, MAX_REGIONS),
+    regionCount: regions.length,
+    diffImage,
+  };
+}
+
+// ===== Baselines =====
+
+/**
+ * Files belonging to one baseline
+ */
+export interface BaselineFiles {
+  directory: string;
+  baseline: string; // The approved screenshot
+  current: string; // The latest capture compared with it
+  diff: string; // The latest diff image
+}
+
+// Readable, file-system-safe form of a URL, with a hash so URLs that
+// sanitize to the same text don't share baselines
+function urlKey(url: string): string {
+  let normalized = url;
+  try {
+    const parsed = new URL(url);
+    // Query strings and fragments are usually state, not a different page
+    normalized = `${parsed.host}${parsed.pathname}`;
+  } catch (error) {
+    // Not a URL (e.g. "unknown"), use it as is
+  }
+  const readable = normalized
+    .replace(/[^\w.-]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 80);
+  const hash = createHash("sha1").update(normalized).digest("hex").slice(0, 8);
+  return `${readable || "page"}-${hash}`;
+}
+
+function viewportKey(viewport: Viewport | undefined): string {
+  return viewport
+    ? `${viewport.width}x${viewport.height}@${viewport.deviceScaleFactor}x`
+    : "unknown-viewport";
+}
+
+/**
+ * Baseline screenshots on disk, kept per page URL and viewport so the same
+ * name can be used across pages and window sizes
+ */
+export class BaselineStore {
+  constructor(readonly directory: string) {}
+
+  locate(
+    name: string,
+    url: string,
+    viewport: Viewport | undefined
+  ): BaselineFiles {
+    const directory = path.join(
+      this.directory,
+      urlKey(url),
+      viewportKey(viewport)
+    );
+    return {
+      directory,
+      baseline: path.join(directory, `${name}.png`),
+      current: path.join(directory, `${name}.current.png`),
+      diff: path.join(directory, `${name}.diff.png`),
+    };
+  }
+}
+
+/**
+ * Creates the baseline store in BROWSER_TOOLS_BASELINES, or
+ * ~/.browser-tools/baselines
+ */
+export function createBaselineStoreFromEnv(): BaselineStore {
+  return new BaselineStore(
+    path.resolve(
+      process.env.BROWSER_TOOLS_BASELINES ||
+        path.join(os.homedir(), ".browser-tools", "baselines")
+    )
+  );
+}
+
+/**
+ * Saves an image as PNG, whatever format it was captured in, so baselines
+ * compare the same way however they were taken
+ */
+export async function writePng(file: string, image: Buffer): Promise<void> {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await sharp(image).png().toFile(file);
+}
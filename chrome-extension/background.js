@@ -41,7 +41,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       };
 
       // Validate server identity first
-      validateServerIdentity(settings.serverHost, settings.serverPort)
+      validateServerIdentity(
+        settings.serverHost,
+        settings.serverPort,
+        settings.pairingToken
+      )
         .then((isValid) => {
           if (!isValid) {
             console.error(
@@ -70,10 +74,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// Adds the pairing token the server requires to a request's headers
+function withPairingToken(pairingToken, headers = {}) {
+  return pairingToken
+    ? { ...headers, Authorization: `Bearer ${pairingToken}` }
+    : headers;
+}
+
 // Validate server identity
-async function validateServerIdentity(host, port) {
+async function validateServerIdentity(host, port, pairingToken) {
   try {
     const response = await fetch(`http://${host}:${port}/.identity`, {
+      headers: withPairingToken(pairingToken),
       signal: AbortSignal.timeout(3000), // 3 second timeout
     });
 
@@ -90,6 +102,12 @@ async function validateServerIdentity(host, port) {
       return false;
     }
 
+    // The server would reject our requests without the right token
+    if (identity.authRequired && !identity.paired) {
+      console.error("Missing or invalid pairing token for the server");
+      return false;
+    }
+
     return true;
   } catch (error) {
     console.error("Error validating server identity:", error);
@@ -247,9 +265,9 @@ async function updateServerWithUrl(tabId, url, source = "background_update") {
 
         const response = await fetch(serverUrl, {
           method: "POST",
-          headers: {
+          headers: withPairingToken(settings.pairingToken, {
             "Content-Type": "application/json",
-          },
+          }),
           body: JSON.stringify({
             url: url,
             tabId: tabId,
@@ -310,7 +328,8 @@ async function retestConnectionOnRefresh(tabId) {
     // Test the connection with the last known host and port
     const isConnected = await validateServerIdentity(
       settings.serverHost,
-      settings.serverPort
+      settings.serverPort,
+      settings.pairingToken
     );
 
     // Notify all devtools instances about the connection status
@@ -394,9 +413,9 @@ function captureAndSendScreenshot(message, settings, sendResponse) {
 
           fetch(serverUrl, {
             method: "POST",
-            headers: {
+            headers: withPairingToken(settings.pairingToken, {
               "Content-Type": "application/json",
-            },
+            }),
             body: JSON.stringify({
               data: dataUrl,
               path: message.screenshotPath,
@@ -6,14 +6,38 @@ let settings = {
   queryLimit: 30000,
   stringSizeLimit: 500,
   maxLogSize: 20000,
+  // Logged objects are expanded this many levels deep, reading at most this
+  // many properties per console call
+  objectExpansionDepth: 3,
+  objectExpansionBudget: 200,
   showRequestHeaders: false,
   showResponseHeaders: false,
   screenshotPath: "", // Add new setting for screenshot path
   serverHost: "localhost", // Default server host
   serverPort: 3025, // Default server port
   allowAutoPaste: false, // Default auto-paste setting
+  pairingToken: "", // Printed by the server at startup
+  // Request types sent to the server, as keys of RESOURCE_TYPE_GROUPS or "other"
+  captureResourceTypes: [
+    "xhr",
+    "document",
+    "script",
+    "stylesheet",
+    "image",
+    "font",
+    "media",
+    "eventsource",
+    "other",
+  ],
 };
 
+// Adds the pairing token the server requires to a request's headers
+function withPairingToken(headers = {}) {
+  return settings.pairingToken
+    ? { ...headers, Authorization: `Bearer ${settings.pairingToken}` }
+    : headers;
+}
+
 // Keep track of debugger state
 let isDebuggerAttached = false;
 let attachDebuggerRetries = 0;
@@ -31,13 +55,15 @@ chrome.storage.local.get(["browserConnectorSettings"], (result) => {
 // Listen for settings updates
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "SETTINGS_UPDATED") {
+    const previousSettings = settings;
     settings = message.settings;
 
     // If server settings changed and we have a WebSocket, reconnect
     if (
       ws &&
-      (message.settings.serverHost !== settings.serverHost ||
-        message.settings.serverPort !== settings.serverPort)
+      (previousSettings.serverHost !== settings.serverHost ||
+        previousSettings.serverPort !== settings.serverPort ||
+        previousSettings.pairingToken !== settings.pairingToken)
     ) {
       console.log("Server settings changed, reconnecting WebSocket...");
       setupWebSocket();
@@ -246,7 +272,7 @@ async function sendToBrowserConnector(logData) {
   }
 
   // First, ensure we're connecting to the right server
-  if (!(await validateServerIdentity())) {
+  if (!(await validateServerIdentityCached())) {
     console.error(
       "Cannot send logs: Not connected to a valid browser tools server"
     );
@@ -301,13 +327,23 @@ async function sendToBrowserConnector(logData) {
       );
       console.log("Message size after:", processedData.message.length);
     }
+    if (processedData.args) {
+      processedData.args = processArrayWithSizeLimit(
+        processedData.args,
+        settings.maxLogSize,
+        (arg) => truncateStringsInData(arg, settings.stringSizeLimit, 0, "args")
+      );
+    }
   }
 
   // Add settings to the request
   const payload = {
     data: {
       ...processedData,
-      timestamp: Date.now(),
+      // Lets the server keep each inspected tab's logs apart
+      tabId: currentTabId,
+      // Entries that record when they happened keep that time
+      timestamp: processedData.timestamp ?? Date.now(),
     },
     settings: {
       logLimit: settings.logLimit,
@@ -333,7 +369,7 @@ async function sendToBrowserConnector(logData) {
 
   fetch(serverUrl, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: withPairingToken({ "Content-Type": "application/json" }),
     body: JSON.stringify(payload),
   })
     .then((response) => {
@@ -350,6 +386,31 @@ async function sendToBrowserConnector(logData) {
     });
 }
 
+// A page load can finish hundreds of requests at once, so log sends share
+// one identity check and reuse a successful one for a few seconds
+const IDENTITY_CHECK_REUSE_TIME = 5000;
+let identityCheck = null;
+
+function validateServerIdentityCached() {
+  // A check only stands for the server and token it was made with
+  const server = `${settings.serverHost}:${settings.serverPort}:${settings.pairingToken}`;
+  if (
+    !identityCheck ||
+    identityCheck.server !== server ||
+    (identityCheck.settled &&
+      (!identityCheck.valid ||
+        Date.now() - identityCheck.checkedAt > IDENTITY_CHECK_REUSE_TIME))
+  ) {
+    const check = { server, settled: false, valid: false, checkedAt: 0 };
+    check.promise = validateServerIdentity().then((valid) => {
+      Object.assign(check, { settled: true, valid, checkedAt: Date.now() });
+      return valid;
+    });
+    identityCheck = check;
+  }
+  return identityCheck.promise;
+}
+
 // Validate server identity
 async function validateServerIdentity() {
   try {
@@ -361,6 +422,7 @@ async function validateServerIdentity() {
     const response = await fetch(
       `http://${settings.serverHost}:${settings.serverPort}/.identity`,
       {
+        headers: withPairingToken(),
         signal: AbortSignal.timeout(3000), // 3 second timeout
       }
     );
@@ -399,6 +461,22 @@ async function validateServerIdentity() {
       return false;
     }
 
+    // The server is there but would reject our requests
+    if (identity.authRequired && !identity.paired) {
+      console.error(
+        "Server identity validation failed: Missing or invalid pairing token"
+      );
+
+      chrome.runtime.sendMessage({
+        type: "SERVER_VALIDATION_FAILED",
+        reason: "unpaired",
+        serverHost: settings.serverHost,
+        serverPort: settings.serverPort,
+      });
+
+      return false;
+    }
+
     console.log(
       `Server identity confirmed: ${identity.name} v${identity.version}`
     );
@@ -428,16 +506,17 @@ async function validateServerIdentity() {
   }
 }
 
-// Function to clear logs on the server
+// Function to clear this tab's logs on the server
 function wipeLogs() {
-  console.log("Wiping all logs...");
+  console.log(`Wiping logs for tab ${currentTabId}...`);
 
   const serverUrl = `http://${settings.serverHost}:${settings.serverPort}/wipelogs`;
   console.log(`Sending wipe request to ${serverUrl}`);
 
   fetch(serverUrl, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: withPairingToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ tabId: currentTabId }),
   })
     .then((response) => {
       if (!response.ok) {
@@ -476,22 +555,91 @@ chrome.devtools.network.onNavigated.addListener((url) => {
 });
 
 // 1) Listen for network requests
+// Response bodies longer than this are left out of HAR entries
+const HAR_MAX_CONTENT_LENGTH = 100000;
+
+// Forwards a finished request to the server's HAR recording. Pages load
+// hundreds of resources, so entries go over the WebSocket rather than one
+// HTTP request each, and are skipped while it is disconnected.
+function sendHarEntry(request, content, encoding) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+
+  // Copies the entry's data, leaving out methods such as getContent
+  const entry = JSON.parse(JSON.stringify(request));
+  if (typeof content === "string") {
+    if (content.length <= HAR_MAX_CONTENT_LENGTH) {
+      entry.response.content.text = content;
+      if (encoding) entry.response.content.encoding = encoding;
+    } else {
+      entry.response.content.comment = `Body of ${content.length} characters left out`;
+    }
+  }
+
+  ws.send(JSON.stringify({ type: "har-entry", tabId: currentTabId, entry }));
+}
+
+// Chrome's _resourceType values, grouped the way the panel lets users
+// pick which requests are captured. Anything else counts as "other".
+const RESOURCE_TYPE_GROUPS = {
+  xhr: ["xhr", "fetch"],
+  document: ["document"],
+  script: ["script"],
+  stylesheet: ["stylesheet"],
+  image: ["image"],
+  font: ["font"],
+  media: ["media", "texttrack"],
+  eventsource: ["eventsource", "websocket"],
+};
+
+function isCapturedResourceType(resourceType) {
+  const group =
+    Object.keys(RESOURCE_TYPE_GROUPS).find((key) =>
+      RESOURCE_TYPE_GROUPS[key].includes(resourceType)
+    ) || "other";
+  return settings.captureResourceTypes.includes(group);
+}
+
+// Whether a response body is text worth reading, rather than an image,
+// font or other binary that would only be base64 noise in the logs
+function isTextMimeType(mimeType) {
+  return /^text\/|[/+](json|xml|javascript|ecmascript|graphql|x-www-form-urlencoded)\b/i.test(
+    mimeType || ""
+  );
+}
+
+function sendNetworkRequest(request, responseBody) {
+  sendToBrowserConnector({
+    type: "network-request",
+    resourceType: request._resourceType,
+    url: request.request.url,
+    method: request.request.method,
+    status: request.response.status,
+    // Set for requests that failed without a response, e.g. net::ERR_FAILED
+    ...(request.response._error && { error: request.response._error }),
+    mimeType: request.response.content.mimeType,
+    size: request.response.content.size,
+    startedAt: Date.parse(request.startedDateTime),
+    duration: Math.round(request.time),
+    requestHeaders: request.request.headers,
+    responseHeaders: request.response.headers,
+    requestBody: request.request.postData?.text ?? "",
+    // Binary responses are recorded as metadata only
+    ...(responseBody !== undefined && { responseBody }),
+  });
+}
+
 chrome.devtools.network.onRequestFinished.addListener((request) => {
-  if (request._resourceType === "xhr" || request._resourceType === "fetch") {
-    request.getContent((responseBody) => {
-      const entry = {
-        type: "network-request",
-        url: request.request.url,
-        method: request.request.method,
-        status: request.response.status,
-        requestHeaders: request.request.headers,
-        responseHeaders: request.response.headers,
-        requestBody: request.request.postData?.text ?? "",
-        responseBody: responseBody ?? "",
-      };
-      sendToBrowserConnector(entry);
-    });
+  if (!isCapturedResourceType(request._resourceType)) return;
+  if (!isTextMimeType(request.response.content.mimeType)) {
+    sendHarEntry(request);
+    sendNetworkRequest(request);
+    return;
   }
+
+  request.getContent((responseBody, encoding) => {
+    sendHarEntry(request, responseBody, encoding);
+    sendNetworkRequest(request, responseBody ?? "");
+  });
 });
 
 // Helper function to attach debugger
@@ -547,6 +695,45 @@ function performAttach() {
         console.log("Runtime API successfully enabled");
       }
     );
+
+    // The Log domain reports what the browser itself logs, such as CSP
+    // violations, deprecations, interventions and mixed content
+    chrome.debugger.sendCommand(
+      { tabId: currentTabId },
+      "Log.enable",
+      {},
+      () => {
+        if (chrome.runtime.lastError) {
+          console.error(
+            "Failed to enable log domain:",
+            chrome.runtime.lastError
+          );
+        }
+      }
+    );
+
+    // The Debugger domain reports each script's source map URL, which the
+    // server uses to map stack frames back to original sources. Pauses are
+    // skipped so "debugger" statements don't stop the page.
+    chrome.debugger.sendCommand(
+      { tabId: currentTabId },
+      "Debugger.enable",
+      {},
+      () => {
+        if (chrome.runtime.lastError) {
+          console.error(
+            "Failed to enable debugger domain:",
+            chrome.runtime.lastError
+          );
+          return;
+        }
+        chrome.debugger.sendCommand(
+          { tabId: currentTabId },
+          "Debugger.setSkipAllPauses",
+          { skip: true }
+        );
+      }
+    );
   });
 }
 
@@ -580,6 +767,257 @@ function detachDebugger() {
   });
 }
 
+// Frames beyond this are left out of console entries
+const MAX_STACK_FRAMES = 20;
+
+// Converts a DevTools protocol stack trace into the frames sent with console
+// entries, with 1-based lines and columns as editors show them
+function formatStackTrace(stackTrace) {
+  return (stackTrace?.callFrames || [])
+    .slice(0, MAX_STACK_FRAMES)
+    .map((frame) => ({
+      functionName: frame.functionName || "",
+      url: frame.url,
+      line: frame.lineNumber + 1,
+      column: frame.columnNumber + 1,
+      scriptId: frame.scriptId,
+    }));
+}
+
+// Renders a console argument as JSON. Objects and arrays are read through
+// Runtime.getProperties, since the argument's preview only holds a few
+// properties and no nested values. The budget is shared by all arguments
+// of a console call, so logging a huge object can't stall the panel.
+async function expandRemoteObject(remote, depth, budget) {
+  // NaN, Infinity, -0 and BigInts
+  if (remote.unserializableValue !== undefined) {
+    return remote.unserializableValue;
+  }
+
+  switch (remote.type) {
+    case "undefined":
+      return "[undefined]";
+    case "function": {
+      const name = /^(?:async\s+)?function\*?\s*([\w$]+)/.exec(
+        remote.description || ""
+      )?.[1];
+      return name ? `[Function: ${name}]` : "[Function]";
+    }
+    case "symbol":
+      return remote.description;
+    case "object":
+      break;
+    default:
+      return remote.value;
+  }
+
+  if (remote.subtype === "null") return null;
+  if (!remote.objectId) return remote.value ?? remote.description;
+
+  const isArray = remote.subtype === "array" || remote.subtype === "typedarray";
+  const isCollection = remote.subtype === "map" || remote.subtype === "set";
+  // Dates, errors, DOM nodes, promises and the like read best as their
+  // description
+  if (remote.subtype && !isArray && !isCollection) return remote.description;
+  if (depth <= 0) return `[${remote.description}]`;
+
+  const { result = [], internalProperties = [] } = await sendDebuggerCommand(
+    "Runtime.getProperties",
+    { objectId: remote.objectId, ownProperties: true }
+  );
+
+  // Maps and Sets keep their contents in an internal [[Entries]] list,
+  // rendered like [...map] and [...set]
+  if (isCollection) {
+    const entries = internalProperties.find(
+      (property) => property.name === "[[Entries]]"
+    );
+    if (!entries?.value?.objectId) return `[${remote.description}]`;
+    const { result: items = [] } = await sendDebuggerCommand(
+      "Runtime.getProperties",
+      { objectId: entries.value.objectId, ownProperties: true }
+    );
+    return expandItems(
+      items.filter((item) => /^\d+$/.test(item.name)),
+      async (item) => {
+        const { result: parts = [] } = await sendDebuggerCommand(
+          "Runtime.getProperties",
+          { objectId: item.value.objectId, ownProperties: true }
+        );
+        // Each entry is an object with a "value", and a "key" in Maps
+        const expandPart = (name) => {
+          const part = parts.find((entry) => entry.name === name);
+          return part?.value
+            ? expandRemoteObject(part.value, depth - 1, budget)
+            : "[undefined]";
+        };
+        return remote.subtype === "map"
+          ? [await expandPart("key"), await expandPart("value")]
+          : expandPart("value");
+      },
+      budget
+    );
+  }
+
+  if (isArray) {
+    return expandItems(
+      result.filter((property) => /^\d+$/.test(property.name)),
+      (property) => expandProperty(property, depth, budget),
+      budget
+    );
+  }
+
+  const object = {};
+  const properties = result.filter(
+    (property) => property.enumerable && property.name !== "__proto__"
+  );
+  for (const [index, property] of properties.entries()) {
+    if (budget.remaining <= 0) {
+      object["..."] = `${properties.length - index} more properties`;
+      break;
+    }
+    budget.remaining--;
+    object[property.name] = await expandProperty(property, depth, budget);
+  }
+  return object;
+}
+
+// Expands array or collection items until the budget runs out
+async function expandItems(items, expandItem, budget) {
+  const values = [];
+  for (const [index, item] of items.entries()) {
+    if (budget.remaining <= 0) {
+      values.push(`... ${items.length - index} more items`);
+      break;
+    }
+    budget.remaining--;
+    values.push(await expandItem(item));
+  }
+  return values;
+}
+
+function expandProperty(property, depth, budget) {
+  if (!property.value) {
+    // Accessors aren't called, since that could change the page's state.
+    // A missing getter or setter is reported as undefined.
+    const hasGetter = property.get && property.get.type !== "undefined";
+    const hasSetter = property.set && property.set.type !== "undefined";
+    return hasGetter && hasSetter
+      ? "[Getter/Setter]"
+      : hasGetter
+      ? "[Getter]"
+      : "[Setter]";
+  }
+  return expandRemoteObject(property.value, depth - 1, budget);
+}
+
+// How a console argument reads in the message, as before objects were
+// expanded
+function describeConsoleArgument(arg) {
+  if (arg.type === "string") {
+    return arg.value;
+  } else if (arg.type === "object" && arg.preview) {
+    // For objects, include their preview or description
+    return JSON.stringify(arg.preview);
+  } else if (arg.description) {
+    // Some objects have descriptions
+    return arg.description;
+  } else {
+    // Fallback for other types
+    return arg.value || arg.description || JSON.stringify(arg);
+  }
+}
+
+// Builds the message of a console call and, when it logged objects or
+// arrays, their expanded values in "args"
+async function formatConsoleArguments(args) {
+  // A cleared setting reads as NaN, which would lift both limits
+  const budget = { remaining: Number(settings.objectExpansionBudget) || 0 };
+  const depth = Math.min(Number(settings.objectExpansionDepth) || 0, 10);
+  const parts = [];
+  const values = [];
+  let expanded = false;
+
+  for (const arg of args) {
+    if (arg.type === "object" && arg.objectId && arg.subtype !== "null") {
+      try {
+        const value = await expandRemoteObject(arg, depth, budget);
+        parts.push(typeof value === "string" ? value : JSON.stringify(value));
+        values.push(value);
+        expanded = true;
+        continue;
+      } catch (e) {
+        // e.g. the debugger detached, fall back to the preview
+        console.error("Failed to expand console argument:", e);
+      }
+    }
+    const description = describeConsoleArgument(arg);
+    parts.push(description);
+    values.push(arg.value !== undefined ? arg.value : description);
+  }
+
+  return { message: parts.join(" "), ...(expanded && { args: values }) };
+}
+
+// Console entries whose objects are being expanded hold back the entries
+// after them, so the server receives them in the order they were logged
+let pendingConsoleEntry = Promise.resolve();
+
+function queueConsoleEntry(buildEntry) {
+  pendingConsoleEntry = pendingConsoleEntry
+    .then(buildEntry)
+    .then((entry) => {
+      console.log("Sending console entry:", entry);
+      sendToBrowserConnector(entry);
+    })
+    .catch((error) => console.error("Failed to send console entry:", error));
+}
+
+// Severity of each console API call type, named like the Log domain's
+// levels. Other types, such as "log", "table" or "trace", are "info".
+const CONSOLE_API_SEVERITIES = {
+  debug: "verbose",
+  warning: "warning",
+  error: "error",
+  assert: "error",
+};
+
+// Entries with an error severity are kept as console errors
+function getConsoleEntryType(severity) {
+  return severity === "error" ? "console-error" : "console-log";
+}
+
+// Scripts the inspected page has loaded, resent whenever the WebSocket
+// reconnects since the debugger reports them only once
+const MAX_PARSED_SCRIPTS = 1000;
+const parsedScripts = new Map();
+
+function sendParsedScript(script) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  ws.send(
+    JSON.stringify({ type: "script-parsed", tabId: currentTabId, script })
+  );
+}
+
+// Keeps a script's source map URL for the server. Scripts without a URL,
+// such as evals, can't be looked up by the server and are skipped.
+function recordParsedScript(params) {
+  if (!/^(https?|file):/.test(params.url)) return;
+
+  const script = {
+    scriptId: params.scriptId,
+    url: params.url,
+    sourceMapURL: params.sourceMapURL || "",
+    hash: params.hash,
+  };
+  parsedScripts.delete(script.scriptId);
+  parsedScripts.set(script.scriptId, script);
+  if (parsedScripts.size > MAX_PARSED_SCRIPTS) {
+    parsedScripts.delete(parsedScripts.keys().next().value);
+  }
+  sendParsedScript(script);
+}
+
 // Move the console message listener outside the panel creation
 const consoleMessageListener = (source, method, params) => {
   // Only process events for our tab
@@ -587,61 +1025,99 @@ const consoleMessageListener = (source, method, params) => {
     return;
   }
 
+  if (method === "Debugger.scriptParsed") {
+    recordParsedScript(params);
+    return;
+  }
+
+  // Messages from the browser rather than the page's scripts, e.g.
+  // "security" for CSP violations or "network" for failed preloads
+  if (method === "Log.entryAdded") {
+    const logEntry = params.entry;
+    const entry = {
+      type: getConsoleEntryType(logEntry.level),
+      level: logEntry.level,
+      severity: logEntry.level,
+      source: logEntry.source,
+      message: logEntry.text,
+      // The resource the message is about, e.g. the blocked script
+      ...(logEntry.url && { url: logEntry.url }),
+      // A line number means the URL is the script that caused the message
+      stackTrace: formatStackTrace(
+        logEntry.stackTrace || {
+          callFrames:
+            logEntry.url && logEntry.lineNumber !== undefined
+              ? [
+                  {
+                    url: logEntry.url,
+                    lineNumber: logEntry.lineNumber,
+                    columnNumber: 0,
+                  },
+                ]
+              : [],
+        }
+      ),
+      timestamp: Date.now(),
+    };
+    queueConsoleEntry(() => entry);
+  }
+
   if (method === "Runtime.exceptionThrown") {
+    const details = params.exceptionDetails;
     const entry = {
       type: "console-error",
-      message:
-        params.exceptionDetails.exception?.description ||
-        JSON.stringify(params.exceptionDetails),
+      message: details.exception?.description || JSON.stringify(details),
       level: "error",
+      severity: "error",
+      source: "javascript",
+      // Tells uncaught exceptions apart from console.error calls, e.g.
+      // "Uncaught (in promise)" for unhandled rejections
+      exception: details.text || "Uncaught",
+      // Some exceptions, such as syntax errors, come without a stack
+      // trace, only the location they were thrown at
+      stackTrace: formatStackTrace(
+        details.stackTrace || {
+          callFrames: details.url
+            ? [
+                {
+                  url: details.url,
+                  lineNumber: details.lineNumber,
+                  columnNumber: details.columnNumber,
+                  scriptId: details.scriptId,
+                },
+              ]
+            : [],
+        }
+      ),
       timestamp: Date.now(),
     };
-    console.log("Sending runtime exception:", entry);
-    sendToBrowserConnector(entry);
+    queueConsoleEntry(() => entry);
   }
 
   if (method === "Runtime.consoleAPICalled") {
-    // Process all arguments from the console call
-    let formattedMessage = "";
-    const args = params.args || [];
-
-    // Extract all arguments and combine them
-    if (args.length > 0) {
-      // Try to build a meaningful representation of all arguments
+    const severity = CONSOLE_API_SEVERITIES[params.type] || "info";
+    const timestamp = Date.now();
+    queueConsoleEntry(async () => {
+      let formatted = { message: "" };
       try {
-        formattedMessage = args
-          .map((arg) => {
-            // Handle different types of arguments
-            if (arg.type === "string") {
-              return arg.value;
-            } else if (arg.type === "object" && arg.preview) {
-              // For objects, include their preview or description
-              return JSON.stringify(arg.preview);
-            } else if (arg.description) {
-              // Some objects have descriptions
-              return arg.description;
-            } else {
-              // Fallback for other types
-              return arg.value || arg.description || JSON.stringify(arg);
-            }
-          })
-          .join(" ");
+        formatted = await formatConsoleArguments(params.args || []);
       } catch (e) {
         // Fallback if processing fails
         console.error("Failed to process console arguments:", e);
-        formattedMessage =
-          args[0]?.value || "Unable to process console arguments";
+        formatted.message =
+          params.args?.[0]?.value || "Unable to process console arguments";
       }
-    }
 
-    const entry = {
-      type: params.type === "error" ? "console-error" : "console-log",
-      level: params.type,
-      message: formattedMessage,
-      timestamp: Date.now(),
-    };
-    console.log("Sending console entry:", entry);
-    sendToBrowserConnector(entry);
+      return {
+        type: getConsoleEntryType(severity),
+        level: params.type,
+        severity,
+        source: "console-api",
+        ...formatted,
+        stackTrace: formatStackTrace(params.stackTrace),
+        timestamp,
+      };
+    });
   }
 };
 
@@ -733,6 +1209,140 @@ chrome.devtools.panels.elements.onSelectionChanged.addListener(() => {
   captureAndSendElement();
 });
 
+// Runs a DevTools protocol command on the inspected tab
+function sendDebuggerCommand(method, params = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.debugger.sendCommand(
+      { tabId: currentTabId },
+      method,
+      params,
+      (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(result);
+      }
+    );
+  });
+}
+
+// Finds the page region an element covers, in document coordinates so it
+// can be captured even when scrolled out of view. Without a selector this
+// is the element selected in the Elements panel ($0).
+function getElementClip(selector) {
+  const target = selector
+    ? `document.querySelector(${JSON.stringify(selector)})`
+    : "$0";
+  const description = selector
+    ? `No element matches "${selector}"`
+    : "No element is selected in the Elements panel";
+
+  return new Promise((resolve, reject) => {
+    chrome.devtools.inspectedWindow.eval(
+      `(function() {
+        const el = ${target};
+        if (!el) return null;
+
+        const rect = el.getBoundingClientRect();
+        return {
+          x: rect.left + window.scrollX,
+          y: rect.top + window.scrollY,
+          width: rect.width,
+          height: rect.height
+        };
+      })()`,
+      (result, exceptionInfo) => {
+        if (exceptionInfo) {
+          reject(
+            new Error(
+              exceptionInfo.value ||
+                exceptionInfo.description ||
+                "Failed to find the element to capture"
+            )
+          );
+        } else if (!result) {
+          reject(new Error(description));
+        } else if (result.width === 0 || result.height === 0) {
+          reject(new Error(`${description.replace(/^No/, "The")} has no size`));
+        } else {
+          resolve(result);
+        }
+      }
+    );
+  });
+}
+
+// Reads the inspected page's viewport, which the server uses to keep
+// visual baselines for different window sizes apart
+function getViewport() {
+  return new Promise((resolve) => {
+    chrome.devtools.inspectedWindow.eval(
+      `({
+        width: window.innerWidth,
+        height: window.innerHeight,
+        deviceScaleFactor: window.devicePixelRatio
+      })`,
+      (result, exceptionInfo) => resolve(exceptionInfo ? undefined : result)
+    );
+  });
+}
+
+// Captures the inspected tab as a data URL. The plain viewport in PNG or
+// JPEG uses captureVisibleTab; full pages, elements, regions and WebP go
+// through the debugger's Page.captureScreenshot.
+async function captureScreenshot(tab, options) {
+  const format = options.format || "png";
+  const quality = options.quality;
+
+  if (
+    !options.fullPage &&
+    !options.selector &&
+    !options.selectedElement &&
+    !options.clip &&
+    format !== "webp"
+  ) {
+    return new Promise((resolve, reject) => {
+      chrome.tabs.captureVisibleTab(
+        tab.windowId,
+        { format, ...(quality !== undefined && { quality }) },
+        (dataUrl) => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          resolve(dataUrl);
+        }
+      );
+    });
+  }
+
+  if (!isDebuggerAttached) {
+    throw new Error(
+      "The debugger isn't attached to this tab, which full-page, element, region and WebP screenshots need. Close any other debugger attached to the tab and reopen the BrowserToolsMCP panel."
+    );
+  }
+
+  let clip = options.clip;
+  if (options.fullPage) {
+    const metrics = await sendDebuggerCommand("Page.getLayoutMetrics");
+    const { width, height } = metrics.cssContentSize || metrics.contentSize;
+    clip = { x: 0, y: 0, width, height };
+  } else if (options.selector || options.selectedElement) {
+    clip = await getElementClip(options.selector);
+  }
+
+  const { data } = await sendDebuggerCommand("Page.captureScreenshot", {
+    format,
+    ...(quality !== undefined && { quality }),
+    ...(clip && {
+      clip: { ...clip, scale: 1 },
+      captureBeyondViewport: true,
+    }),
+  });
+  return `data:image/${format};base64,${data}`;
+}
+
 // WebSocket connection management
 let ws = null;
 let wsReconnectTimeout = null;
@@ -799,11 +1409,15 @@ async function setupWebSocket() {
   // Reset reconnect flag since validation succeeded
   reconnectAfterValidation = false;
 
-  const wsUrl = `ws://${settings.serverHost}:${settings.serverPort}/extension-ws`;
+  // The tab ID lets the server route requests for this tab to this panel.
+  // WebSockets can't send headers, so the pairing token goes in the URL.
+  const wsUrl = `ws://${settings.serverHost}:${settings.serverPort}/extension-ws?tabId=${currentTabId}`;
   console.log(`Connecting to WebSocket at ${wsUrl}`);
 
   try {
-    ws = new WebSocket(wsUrl);
+    ws = new WebSocket(
+      `${wsUrl}&token=${encodeURIComponent(settings.pairingToken || "")}`
+    );
 
     ws.onopen = () => {
       console.log(`Chrome Extension: WebSocket connected to ${wsUrl}`);
@@ -818,6 +1432,25 @@ async function setupWebSocket() {
         serverPort: settings.serverPort,
       });
 
+      // Tell the server which window and page this panel inspects
+      chrome.tabs.get(currentTabId, (tab) => {
+        if (chrome.runtime.lastError || !tab) return;
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.send(
+            JSON.stringify({
+              type: "tab-info",
+              tabId: currentTabId,
+              windowId: tab.windowId,
+              title: tab.title,
+              url: tab.url,
+            })
+          );
+        }
+      });
+
+      // Scripts parsed while disconnected weren't sent
+      parsedScripts.forEach(sendParsedScript);
+
       // Send the current URL to the server right after connection
       // This ensures the server has the URL even if no navigation occurs
       chrome.runtime.sendMessage(
@@ -966,41 +1599,69 @@ async function setupWebSocket() {
           // console.log("Chrome Extension: Received heartbeat response");
         } else if (message.type === "take-screenshot") {
           console.log("Chrome Extension: Taking screenshot...");
-          // Capture screenshot of the current tab
-          chrome.tabs.captureVisibleTab(null, { format: "png" }, (dataUrl) => {
+          const sendScreenshotError = (error) => {
+            console.error(
+              "Chrome Extension: Screenshot capture failed:",
+              error
+            );
+            ws.send(
+              JSON.stringify({
+                type: "screenshot-error",
+                error,
+                requestId: message.requestId,
+              })
+            );
+          };
+
+          // Capture the window holding the inspected tab, which need not be
+          // the focused window when several panels are open
+          chrome.tabs.get(currentTabId, (tab) => {
             if (chrome.runtime.lastError) {
-              console.error(
-                "Chrome Extension: Screenshot capture failed:",
-                chrome.runtime.lastError
-              );
-              ws.send(
-                JSON.stringify({
-                  type: "screenshot-error",
-                  error: chrome.runtime.lastError.message,
-                  requestId: message.requestId,
-                })
+              sendScreenshotError(chrome.runtime.lastError.message);
+              return;
+            }
+            if (!tab.active) {
+              sendScreenshotError(
+                `Tab ${currentTabId} is not the visible tab of its window. Switch to it to take a screenshot.`
               );
               return;
             }
 
-            console.log("Chrome Extension: Screenshot captured successfully");
-            // Just send the screenshot data, let the server handle paths
-            const response = {
-              type: "screenshot-data",
-              data: dataUrl,
-              requestId: message.requestId,
-              // Only include path if it's configured in settings
-              ...(settings.screenshotPath && { path: settings.screenshotPath }),
-              // Include auto-paste setting
-              autoPaste: settings.allowAutoPaste,
-            };
-
-            console.log("Chrome Extension: Sending screenshot data response", {
-              ...response,
-              data: "[base64 data]",
-            });
+            // Older servers send no options, which captures the viewport
+            Promise.all([
+              captureScreenshot(tab, message.options || {}),
+              getViewport(),
+            ]).then(
+              ([dataUrl, viewport]) => {
+                console.log(
+                  "Chrome Extension: Screenshot captured successfully"
+                );
+                // Just send the screenshot data, let the server handle paths
+                const response = {
+                  type: "screenshot-data",
+                  data: dataUrl,
+                  requestId: message.requestId,
+                  // Only include path if it's configured in settings
+                  ...(settings.screenshotPath && {
+                    path: settings.screenshotPath,
+                  }),
+                  // Include auto-paste setting
+                  autoPaste: settings.allowAutoPaste,
+                  viewport,
+                };
+
+                console.log(
+                  "Chrome Extension: Sending screenshot data response",
+                  {
+                    ...response,
+                    data: "[base64 data]",
+                  }
+                );
 
-            ws.send(JSON.stringify(response));
+                ws.send(JSON.stringify(response));
+              },
+              (error) => sendScreenshotError(error.message)
+            );
           });
         } else if (message.type === "get-current-url") {
           console.log("Chrome Extension: Received request for current URL");
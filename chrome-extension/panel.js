@@ -6,11 +6,26 @@ let settings = {
   showRequestHeaders: false,
   showResponseHeaders: false,
   maxLogSize: 20000,
+  objectExpansionDepth: 3, // How deep logged objects are expanded
+  objectExpansionBudget: 200, // Properties read per console call
   screenshotPath: "",
   // Add server connection settings
   serverHost: "localhost",
   serverPort: 3025,
   allowAutoPaste: false, // Default auto-paste setting
+  pairingToken: "", // Printed by the server at startup
+  // Request types sent to the server, see RESOURCE_TYPE_GROUPS in devtools.js
+  captureResourceTypes: [
+    "xhr",
+    "document",
+    "script",
+    "stylesheet",
+    "image",
+    "font",
+    "media",
+    "eventsource",
+    "other",
+  ],
 };
 
 // Track connection status
@@ -123,6 +138,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     serverConnected = false;
     updateConnectionBanner(false, null);
 
+    if (message.reason === "unpaired") {
+      showUnpairedStatus(message.serverHost, message.serverPort);
+    }
+
     // Start auto-discovery if this was a page refresh validation
     if (
       message.reason === "connection_error" ||
@@ -315,12 +334,19 @@ const showResponseHeadersCheckbox = document.getElementById(
   "show-response-headers"
 );
 const maxLogSizeInput = document.getElementById("max-log-size");
+const objectExpansionDepthInput = document.getElementById(
+  "object-expansion-depth"
+);
+const objectExpansionBudgetInput = document.getElementById(
+  "object-expansion-budget"
+);
 const screenshotPathInput = document.getElementById("screenshot-path");
 const captureScreenshotButton = document.getElementById("capture-screenshot");
 
 // Server connection UI elements
 const serverHostInput = document.getElementById("server-host");
 const serverPortInput = document.getElementById("server-port");
+const pairingTokenInput = document.getElementById("pairing-token");
 const discoverServerButton = document.getElementById("discover-server");
 const testConnectionButton = document.getElementById("test-connection");
 const connectionStatusDiv = document.getElementById("connection-status");
@@ -343,6 +369,9 @@ advancedSettingsHeader.addEventListener("click", () => {
 
 // Get all inputs by ID
 const allowAutoPasteCheckbox = document.getElementById("allow-auto-paste");
+const captureResourceTypeCheckboxes = document.querySelectorAll(
+  ".capture-resource-type"
+);
 
 // Update UI from settings
 function updateUIFromSettings() {
@@ -352,10 +381,16 @@ function updateUIFromSettings() {
   showRequestHeadersCheckbox.checked = settings.showRequestHeaders;
   showResponseHeadersCheckbox.checked = settings.showResponseHeaders;
   maxLogSizeInput.value = settings.maxLogSize;
+  objectExpansionDepthInput.value = settings.objectExpansionDepth;
+  objectExpansionBudgetInput.value = settings.objectExpansionBudget;
   screenshotPathInput.value = settings.screenshotPath;
   serverHostInput.value = settings.serverHost;
   serverPortInput.value = settings.serverPort;
+  pairingTokenInput.value = settings.pairingToken;
   allowAutoPasteCheckbox.checked = settings.allowAutoPaste;
+  captureResourceTypeCheckboxes.forEach((checkbox) => {
+    checkbox.checked = settings.captureResourceTypes.includes(checkbox.value);
+  });
 }
 
 // Save settings
@@ -399,6 +434,16 @@ maxLogSizeInput.addEventListener("change", (e) => {
   saveSettings();
 });
 
+objectExpansionDepthInput.addEventListener("change", (e) => {
+  settings.objectExpansionDepth = parseInt(e.target.value, 10);
+  saveSettings();
+});
+
+objectExpansionBudgetInput.addEventListener("change", (e) => {
+  settings.objectExpansionBudget = parseInt(e.target.value, 10);
+  saveSettings();
+});
+
 screenshotPathInput.addEventListener("change", (e) => {
   settings.screenshotPath = e.target.value;
   saveSettings();
@@ -419,12 +464,27 @@ serverPortInput.addEventListener("change", (e) => {
   testConnection(settings.serverHost, settings.serverPort);
 });
 
+pairingTokenInput.addEventListener("change", (e) => {
+  settings.pairingToken = e.target.value.trim();
+  saveSettings();
+  testConnection(settings.serverHost, settings.serverPort);
+});
+
 // Add event listener for auto-paste checkbox
 allowAutoPasteCheckbox.addEventListener("change", (e) => {
   settings.allowAutoPaste = e.target.checked;
   saveSettings();
 });
 
+captureResourceTypeCheckboxes.forEach((checkbox) => {
+  checkbox.addEventListener("change", () => {
+    settings.captureResourceTypes = [...captureResourceTypeCheckboxes]
+      .filter((box) => box.checked)
+      .map((box) => box.value);
+    saveSettings();
+  });
+});
+
 // Function to cancel any ongoing discovery operations
 function cancelOngoingDiscovery() {
   if (isDiscoveryInProgress) {
@@ -467,6 +527,23 @@ testConnectionButton.addEventListener("click", async () => {
   await testConnection(settings.serverHost, settings.serverPort);
 });
 
+// Adds the pairing token the server requires to a request's headers
+function withPairingToken(headers = {}) {
+  return settings.pairingToken
+    ? { ...headers, Authorization: `Bearer ${settings.pairingToken}` }
+    : headers;
+}
+
+// Shown when the server is reachable but rejects our pairing token.
+// Retrying won't help until the token is fixed.
+function showUnpairedStatus(host, port) {
+  connectionStatusDiv.style.display = "block";
+  statusIcon.className = "status-indicator status-disconnected";
+  statusText.textContent = `Found the server at ${host}:${port}, but the pairing token is missing or wrong. Copy the token the server printed at startup into Pairing Token above.`;
+  serverConnected = false;
+  updateConnectionBanner(false, null);
+}
+
 // Function to test server connection
 async function testConnection(host, port) {
   // Cancel any ongoing discovery operations
@@ -479,6 +556,7 @@ async function testConnection(host, port) {
   try {
     // Use the identity endpoint instead of .port for more reliable validation
     const response = await fetch(`http://${host}:${port}/.identity`, {
+      headers: withPairingToken(),
       signal: AbortSignal.timeout(5000), // 5 second timeout
     });
 
@@ -495,6 +573,11 @@ async function testConnection(host, port) {
         return false;
       }
 
+      if (identity.authRequired && !identity.paired) {
+        showUnpairedStatus(host, port);
+        return false;
+      }
+
       statusIcon.className = "status-indicator status-connected";
       statusText.textContent = `Connected successfully to ${identity.name} v${identity.version} at ${host}:${port}`;
       serverConnected = true;
@@ -575,6 +658,7 @@ async function tryServerConnection(host, port) {
     try {
       // Use identity endpoint for validation
       const response = await fetch(`http://${host}:${port}/.identity`, {
+        headers: withPairingToken(),
         // Use a local controller for this specific request timeout
         // but also respect the global discovery cancellation
         signal: discoveryController
@@ -609,6 +693,14 @@ async function tryServerConnection(host, port) {
         serverPortInput.value = settings.serverPort;
         saveSettings();
 
+        // End the discovery process
+        isDiscoveryInProgress = false;
+
+        if (identity.authRequired && !identity.paired) {
+          showUnpairedStatus(host, identity.port);
+          return true;
+        }
+
         statusIcon.className = "status-indicator status-connected";
         statusText.textContent = `Discovered ${identity.name} v${identity.version} at ${host}:${identity.port}`;
 
@@ -624,9 +716,6 @@ async function tryServerConnection(host, port) {
           reconnectAttemptTimeout = null;
         }
 
-        // End the discovery process
-        isDiscoveryInProgress = false;
-
         // Successfully found server
         return true;
       }
@@ -961,7 +1050,7 @@ wipeLogsButton.addEventListener("click", () => {
 
   fetch(serverUrl, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: withPairingToken({ "Content-Type": "application/json" }),
   })
     .then((response) => response.json())
     .then((result) => {
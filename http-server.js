@@ -10,12 +10,13 @@ import bodyParser from 'body-parser';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { runLighthouseAudit } from './browser-tools-server/dist/lighthouse/index.js';
+import { runLighthouseAudit, AuditOptionsError } from './browser-tools-server/dist/lighthouse/index.js';
 import { runAccessibilityAudit } from './browser-tools-server/dist/lighthouse/accessibility.js';
 import { runPerformanceAudit } from './browser-tools-server/dist/lighthouse/performance.js';
 import { runSEOAudit } from './browser-tools-server/dist/lighthouse/seo.js';
 import { runBestPracticesAudit } from './browser-tools-server/dist/lighthouse/best-practices.js';
 import { runPWAAudit } from './browser-tools-server/dist/lighthouse/pwa.js';
+import { runComprehensiveSiteAnalysis, parseComprehensiveAnalysisOptions } from './browser-tools-server/dist/lighthouse/comprehensive-analysis.js';
 import { AuditCategory } from './browser-tools-server/dist/lighthouse/types.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -45,6 +46,7 @@ app.get('/', (req, res) => {
       sessionNavigate: 'POST /session/:id/navigate - Navigate session to URL',
       sessionConsole: 'GET /session/:id/console - Get session console logs',
       sessionLighthouse: 'GET /session/:id/lighthouse - Run Lighthouse audit for session',
+      sessionComprehensiveAnalysis: 'POST /session/:id/comprehensive-analysis - Run all audits with weighted scoring and prioritized action items',
       sessionClose: 'POST /session/:id/close - Close session',
       screenshot: 'POST /browser/screenshot - Capture screenshot (legacy)',
       lighthouse: 'POST /browser/lighthouse - Run Lighthouse audit (legacy)',
@@ -440,38 +442,64 @@ app.post('/session/:id/close', async (req, res) => {
   }
 });
 
-// Comprehensive site analysis endpoint (placeholder - implementation pending)
+// Comprehensive site analysis endpoint
 app.post('/session/:id/comprehensive-analysis', async (req, res) => {
   try {
     const sessionId = req.params.id;
-    const { url } = req.body;
 
-    if (!url) {
-      return res.status(400).json({
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return res.status(404).json({
         success: false,
-        error: 'URL is required',
+        error: 'Session not found',
+        sessionId,
         timestamp: new Date().toISOString()
       });
     }
 
-    const session = sessions.get(sessionId);
-    if (!session) {
-      return res.status(404).json({
+    // Fall back to the page the session last navigated to
+    const url = req.body.url || session.url;
+    if (!url) {
+      return res.status(400).json({
         success: false,
-        error: 'Session not found',
+        error: 'URL is required. Pass it in the body or use POST /session/:id/navigate first',
         sessionId,
         timestamp: new Date().toISOString()
       });
     }
 
-    console.log(`[${sessionId}] Comprehensive analysis requested for ${url} (not yet implemented)`);
+    // Validates weights, formFactor, throttling and viewport from the body
+    let options;
+    try {
+      options = parseComprehensiveAnalysisOptions(req.body);
+    } catch (error) {
+      if (error instanceof AuditOptionsError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          sessionId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      throw error;
+    }
+
+    session.lastActivity = new Date().toISOString();
+    sessions.set(sessionId, session);
+
+    console.log(`[${sessionId}] Running comprehensive analysis for ${url}...`);
+    const analysis = await runComprehensiveSiteAnalysis(url, options);
+
+    // Store results in session for caching
+    session.comprehensiveAnalysis = analysis;
+    sessions.set(sessionId, session);
+
+    console.log(`[${sessionId}] Comprehensive analysis complete for ${url}: overall score ${analysis.overall_score}`);
 
-    // TODO: Implement comprehensive analysis when comprehensive-analysis.ts is compiled
     res.json({
-      success: false,
+      success: true,
       sessionId,
-      error: 'Comprehensive analysis feature not yet implemented',
-      note: 'Use individual Lighthouse audit endpoints instead',
+      analysis,
       timestamp: new Date().toISOString()
     });
   } catch (error) {